@@ -0,0 +1,31 @@
+-- Route records for RECORDS=SUPABASE (run once in the Supabase SQL editor).
+create table if not exists routes (
+  id text primary key,
+  name text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  parent_id text references routes (id) on delete set null,
+  version integer not null default 1,
+  input jsonb,
+  edits jsonb,
+  anchors jsonb,
+  stats jsonb,
+  evidence jsonb,
+  files jsonb,
+  paths jsonb,
+  legs jsonb,
+  result jsonb,
+  south double precision,
+  west double precision,
+  north double precision,
+  east double precision
+);
+
+-- tables created before /refine
+alter table routes add column if not exists version integer not null default 1;
+alter table routes add column if not exists edits jsonb;
+alter table routes add column if not exists legs jsonb;
+
+create index if not exists routes_parent on routes (parent_id);
+create index if not exists routes_created_at on routes (created_at desc);
+create index if not exists routes_bbox on routes (south, west, north, east);
@@ -0,0 +1,142 @@
+// Legal access for Overpass tracks: access / vehicle / motor_vehicle / motorcycle tags, their
+// :conditional forms and seasonal=*, evaluated for a ride date when one is given.
+
+// most specific first: motorcycle=yes wins over motor_vehicle=no
+const ACCESS_KEYS = ['motorcycle', 'motor_vehicle', 'vehicle', 'access'];
+const ALLOWED = new Set(['yes', 'permissive', 'designated', 'official']);
+const DENIED = new Set(['no', 'private', 'forestry', 'agricultural', 'delivery', 'military', 'discouraged']);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+// northern-hemisphere months (1-12); flipped south of the equator
+const SEASONS = { spring: [3, 4, 5], summer: [6, 7, 8], autumn: [9, 10, 11], winter: [12, 1, 2] };
+
+const monthDay = (date) => (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+
+/** `value @ (condition); value @ condition` → [{ value, condition }]. */
+export function parseConditional(tag) {
+  if (!tag) return [];
+  const rules = [];
+  for (const m of String(tag).matchAll(/([^;@]+?)\s*@\s*(\([^)]*\)|[^;]+)/g)) {
+    rules.push({ value: m[1].trim(), condition: m[2].trim().replace(/^\(|\)$/g, '').trim() });
+  }
+  return rules;
+}
+
+// "Nov 01-Mar 31", "Nov-Mar", "Dec" as inclusive month*100+day bounds
+function dateRanges(text) {
+  const re = new RegExp(`(${MONTHS.join('|')})(?:\\s+(\\d{1,2}))?(?:\\s*-\\s*(${MONTHS.join('|')})(?:\\s+(\\d{1,2}))?)?`, 'g');
+  const ranges = [];
+  const rest = text.replace(re, (_, m0, d0, m1, d1) => {
+    const from = (MONTHS.indexOf(m0) + 1) * 100 + (d0 ? +d0 : 1);
+    const endMonth = MONTHS.indexOf(m1 ?? m0) + 1;
+    const to = endMonth * 100 + (d1 ? +d1 : (m1 || !d0 ? 31 : +d0));
+    ranges.push([from, to]);
+    return ' ';
+  });
+  return { ranges, rest };
+}
+
+// "Mo-Fr", "Sa,Su" as sets of weekday indexes (0 = Sunday)
+function weekdays(text) {
+  const re = new RegExp(`(${WEEKDAYS.join('|')})(?:\\s*-\\s*(${WEEKDAYS.join('|')}))?`, 'g');
+  const days = new Set();
+  const rest = text.replace(re, (_, d0, d1) => {
+    const a = WEEKDAYS.indexOf(d0), b = WEEKDAYS.indexOf(d1 ?? d0);
+    for (let d = a; ; d = (d + 1) % 7) { days.add(d); if (d === b) break; }
+    return ' ';
+  }).replace(/,/g, ' ');
+  return { days, rest };
+}
+
+/**
+ * Whether a conditional restriction's condition holds on `date` (a Date, or
+ * null when the ride date is unknown): true, false, or null when it can't be
+ * told (no date, times of day, weather, anything unparsed).
+ */
+export function conditionHolds(condition, date) {
+  let unknown = false;
+  for (const part of condition.split(/\s+AND\s+/i)) {
+    const weight = part.match(/^(?:max)?weight\s*>\s*([\d.]+)/i);
+    if (weight) {
+      if (+weight[1] >= 0.5) return false; // a loaded motorcycle is well under half a tonne
+      continue;
+    }
+    const { ranges, rest: afterDates } = dateRanges(part);
+    const { days, rest } = weekdays(afterDates);
+    const leftover = rest.replace(/\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2}/g, (t) => (t.trim() === '00:00-24:00' ? ' ' : ' TIME ')).trim();
+    if (!ranges.length && !days.size && !leftover) { unknown = true; continue; }
+    if (!date) { unknown = true; continue; }
+    const md = monthDay(date);
+    if (ranges.length && !ranges.some(([a, b]) => (a <= b ? md >= a && md <= b : md >= a || md <= b))) return false;
+    if (days.size && !days.has(date.getUTCDay())) return false;
+    if (leftover) unknown = true; // times of day, wet, snow, …
+  }
+  return unknown ? null : true;
+}
+
+const verdictOf = (value) => {
+  const v = String(value).toLowerCase();
+  if (ALLOWED.has(v)) return 'ok';
+  if (DENIED.has(v)) return 'no';
+  return 'uncertain'; // destination, customers, unknown, …
+};
+
+/**
+ * Whether a motorcycle may ride a way with these tags on `date` (ISO day or
+ * Date; optional): `{ verdict: 'ok' | 'no' | 'uncertain', reason }`. `lat`
+ * flips seasonal=* south of the equator. Untagged tracks count as open.
+ */
+export function trackAccess(tags = {}, { date = null, lat = 0 } = {}) {
+  const day = date ? new Date(typeof date === 'string' ? `${date}T12:00:00Z` : date) : null;
+  let verdict = 'ok', reason = null, unsure = null;
+  found: for (const key of ACCESS_KEYS) {
+    for (const { value, condition } of parseConditional(tags[`${key}:conditional`])) {
+      const holds = conditionHolds(condition, day);
+      if (holds) {
+        verdict = verdictOf(value);
+        reason = `${key}:conditional=${value} @ (${condition})`;
+        break found;
+      }
+      if (holds === null && verdictOf(value) !== 'ok') {
+        unsure ??= `${key}:conditional=${value} @ (${condition})${day ? '' : ' without ride_date'}`;
+      }
+    }
+    if (tags[key] !== undefined) {
+      verdict = verdictOf(tags[key]);
+      reason = `${key}=${tags[key]}`;
+      break;
+    }
+  }
+  if (verdict === 'no') return { verdict, reason };
+
+  const seasonal = String(tags.seasonal || 'no').toLowerCase();
+  if (seasonal !== 'no') {
+    const names = seasonal.split(/[;,]\s*/).filter((s) => SEASONS[s]);
+    if (!names.length || !day) {
+      unsure ??= `seasonal=${seasonal}${day || !names.length ? '' : ' without ride_date'}`;
+    } else {
+      const month = day.getUTCMonth() + 1;
+      const rideMonth = lat < 0 ? ((month + 5) % 12) + 1 : month;
+      if (!names.some((s) => SEASONS[s].includes(rideMonth))) return { verdict: 'no', reason: `seasonal=${seasonal}` };
+    }
+  }
+  if (verdict === 'ok' && unsure) return { verdict: 'uncertain', reason: unsure };
+  return { verdict, reason };
+}
+
+/**
+ * Split Overpass tracks into usable ones and exclusions: `{ tracks,
+ * excluded: [{ id, reason }], uncertain: Map(id → reason) }`. Uncertain
+ * tracks stay in `tracks`; callers warn when a route ends up on one.
+ */
+export function screenTracks(tracks, { date = null } = {}) {
+  const kept = [], excluded = [], uncertain = new Map();
+  for (const t of tracks) {
+    const { verdict, reason } = trackAccess(t.tags, { date, lat: t.coords?.[0]?.[1] ?? 0 });
+    if (verdict === 'no') { excluded.push({ id: t.id, reason }); continue; }
+    if (verdict === 'uncertain') uncertain.set(String(t.id), reason);
+    kept.push(t);
+  }
+  return { tracks: kept, excluded, uncertain };
+}
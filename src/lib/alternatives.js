@@ -0,0 +1,81 @@
+// Scores candidate routes and picks a ranked, mutually distinct top N.
+import { resampleKm, polylineLenKm } from './geometry.js';
+import { motorwayShareFromDetails, offPavementShare, avoidedShare } from './details.js';
+
+// Candidates sharing more than this with a better-ranked one are dropped as duplicates.
+export const DUPLICATE_OVERLAP = 0.9;
+
+function cellKeys(coords, cellM) {
+  const keys = new Set();
+  const latStep = cellM / 110540;
+  for (const [lon, lat] of resampleKm(coords, cellM / 1000)) {
+    const lonStep = cellM / (111320 * Math.max(0.1, Math.cos(lat * Math.PI / 180)));
+    keys.add(`${Math.round(lon / lonStep)}:${Math.round(lat / latStep)}`);
+  }
+  return keys;
+}
+
+/** Share of route `a` (0..1) that runs within ~cellM of route `b`. */
+export function overlapShare(a, b, { cellM = 60 } = {}) {
+  const ka = cellKeys(a, cellM);
+  if (!ka.size) return 0;
+  const kb = cellKeys(b, cellM);
+  let shared = 0;
+  for (const k of ka) if (kb.has(k)) shared++;
+  return shared / ka.size;
+}
+
+/**
+ * Route quality before overlap is considered. Every penalty is 0..1;
+ * `base` = 1 - weighted penalties, so higher is better.
+ */
+export function scoreCandidate({ coords, details }, {
+  kmTarget,
+  offTarget = 0.3,
+  avoidMotorways = false,
+  avoidSurfaces = [],
+  avoidTolls = false
+} = {}) {
+  const distanceKm = polylineLenKm(coords);
+  const off = offPavementShare(coords, details);
+  const { share: motorway } = motorwayShareFromDetails(coords, details);
+  const avoided = avoidedShare(coords, details, { surfaces: avoidSurfaces, tolls: avoidTolls });
+  const deviation = kmTarget > 0 ? Math.abs(distanceKm - kmTarget) / kmTarget : 0;
+  const base = 1
+    - 0.35 * Math.min(1, deviation)
+    - (avoidMotorways ? 0.35 : 0.15) * motorway
+    - 0.3 * Math.abs(off - offTarget)
+    - 0.5 * avoided;
+  return {
+    base,
+    distance_km: distanceKm,
+    off_pavement_share: off,
+    motorway_share: motorway,
+    distance_deviation: deviation,
+    avoided_share: avoided
+  };
+}
+
+/**
+ * Greedy ranking: repeatedly take the candidate with the best base score
+ * minus its overlap with what is already picked.
+ */
+export function rankAlternatives(candidates, opts, n = 3, { overlapWeight = 0.4 } = {}) {
+  const pool = candidates
+    .filter((c) => c?.coords?.length >= 2)
+    .map((c) => ({ cand: c, score: scoreCandidate(c, opts) }));
+  const picked = [];
+  while (picked.length < n && pool.length) {
+    let bestIdx = -1, bestTotal = -Infinity, bestOverlap = 0;
+    for (let i = 0; i < pool.length; i++) {
+      const overlap = picked.reduce((m, p) => Math.max(m, overlapShare(pool[i].cand.coords, p.cand.coords)), 0);
+      if (overlap >= DUPLICATE_OVERLAP) { pool.splice(i--, 1); continue; }
+      const total = pool[i].score.base - overlapWeight * overlap;
+      if (total > bestTotal) { bestTotal = total; bestIdx = i; bestOverlap = overlap; }
+    }
+    if (bestIdx < 0) break;
+    const [best] = pool.splice(bestIdx, 1);
+    picked.push({ ...best, score: { ...best.score, overlap: bestOverlap, total: bestTotal } });
+  }
+  return picked;
+}
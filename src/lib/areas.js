@@ -0,0 +1,73 @@
+// Rider no-go areas (GeoJSON Polygon / MultiPolygon): hit tests for tracks, anchors and connectors.
+import { distKm } from './bbox.js';
+import { pointInPolygon } from './geometry.js';
+
+const rings = (area) => (area.type === 'MultiPolygon' ? area.coordinates.flat() : area.coordinates);
+
+/** [south, west, north, east] of an area's outer rings. */
+export function areaBBox(area) {
+  let s = Infinity, w = Infinity, n = -Infinity, e = -Infinity;
+  for (const ring of rings(area)) {
+    for (const [lon, lat] of ring) {
+      if (lat < s) s = lat; if (lat > n) n = lat;
+      if (lon < w) w = lon; if (lon > e) e = lon;
+    }
+  }
+  return [s, w, n, e];
+}
+
+const inBox = ([lon, lat], [s, w, n, e]) => lat >= s && lat <= n && lon >= w && lon <= e;
+
+// proper crossing of segments ab and cd (2D, lon/lat)
+function segmentsCross(a, b, c, d) {
+  const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+/** Areas with their bboxes, so repeated tests skip far-away polylines cheaply. */
+export const indexAreas = (areas = []) => areas.map((geometry) => ({ geometry, bbox: areaBBox(geometry) }));
+
+export const inAnyArea = (pt, indexed) => indexed.some((a) => inBox(pt, a.bbox) && pointInPolygon(pt, a.geometry));
+
+/** Index of the first area a polyline enters (a vertex inside or an edge crossing a ring), or -1. */
+export function crossedArea(coords, indexed) {
+  return indexed.findIndex(({ geometry, bbox: [s, w, n, e] }) => {
+    for (let i = 0; i < coords.length; i++) {
+      const a = coords[Math.max(0, i - 1)], b = coords[i];
+      // segment bbox vs area bbox
+      if (Math.max(a[1], b[1]) < s || Math.min(a[1], b[1]) > n || Math.max(a[0], b[0]) < w || Math.min(a[0], b[0]) > e) continue;
+      if (pointInPolygon(b, geometry)) return true;
+      if (i && rings(geometry).some((ring) => ring.some((c, j) => j && segmentsCross(a, b, ring[j - 1], c)))) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Vias that take `from`→`to` around `area`: one corner / side midpoint of its
+ * bbox (padded by `padKm`) or two corners along one side, outside every area.
+ * Sets whose straight chords stay clear of all areas win, then the shortest.
+ */
+export function detourVias(from, to, area, indexed, padKm = 0.5) {
+  const [s, w, n, e] = area.bbox;
+  const dLat = padKm / 110.574, dLon = padKm / (111.32 * Math.cos(((s + n) / 2) * Math.PI / 180));
+  const S = s - dLat, N = n + dLat, W = w - dLon, E = e + dLon;
+  const midLat = (S + N) / 2, midLon = (W + E) / 2;
+  const corners = [[W, S], [E, S], [E, N], [W, N]];
+  const options = [
+    ...[...corners, [midLon, S], [E, midLat], [midLon, N], [W, midLat]].map((pt) => [pt]),
+    ...corners.map((c, i) => {
+      const d = corners[(i + 1) % 4];
+      return distKm(from, c) <= distKm(from, d) ? [c, d] : [d, c];
+    })
+  ];
+  let best = null;
+  for (const vias of options) {
+    if (vias.some((pt) => inAnyArea(pt, indexed))) continue;
+    const line = [from, ...vias, to];
+    const clear = crossedArea(line, indexed) < 0;
+    const km = line.reduce((sum, pt, i) => (i ? sum + distKm(line[i - 1], pt) : 0), 0);
+    if (!best || (clear && !best.clear) || (clear === best.clear && km < best.km)) best = { vias, clear, km };
+  }
+  return best?.vias ?? null;
+}
@@ -46,3 +46,140 @@ export function corridorBBox(a, b, {
   }
   return { bbox, padKm, areaKm2, shrunk, D };
 }
+
+const KM_PER_DEG = 6371 * Math.PI / 180; // same sphere as distKm, so padded areas match bboxAreaKm2
+
+// [south, west, north, east] around `pts`, `padKm` wider on every side
+export function padBBox(pts, padKm) {
+  const lats = pts.map((p) => p[1]), lons = pts.map((p) => p[0]);
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+  const latPad = padKm / KM_PER_DEG;
+  const lonPad = padKm / (KM_PER_DEG * Math.cos(toRad((minLat + maxLat) / 2)) || 1);
+  return [minLat - latPad, Math.min(...lons) - lonPad, maxLat + latPad, Math.max(...lons) + lonPad];
+}
+
+// cut a polyline into `n` consecutive pieces of equal length (cut points interpolated)
+function splitLine(line, n) {
+  const total = line.reduce((s, p, i) => i ? s + distKm(line[i - 1], p) : 0, 0);
+  const pieces = [];
+  let piece = [line[0]], acc = 0, next = total / n;
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1], b = line[i];
+    const seg = distKm(a, b);
+    while (pieces.length < n - 1 && seg > 0 && acc + seg >= next) {
+      const t = (next - acc) / seg;
+      const cut = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      pieces.push([...piece, cut]);
+      piece = [cut];
+      next += total / n;
+    }
+    piece.push(b);
+    acc += seg;
+  }
+  pieces.push(piece);
+  return pieces;
+}
+
+/** A corridor whose tiles would together cover more than the allowed area (reported as HTTP 400). */
+export class CorridorError extends Error {}
+
+const checkArea = (tiles, areaKm2, MAX_AREA_KM2) => {
+  if (areaKm2 > MAX_AREA_KM2) {
+    throw new CorridorError(`corridor too large: ${tiles.length} tiles, ${Math.round(areaKm2)} km² (limit ${MAX_AREA_KM2} km²); plan the trip in shorter parts`);
+  }
+};
+
+/**
+ * Buffered tiles along `line` (start, vias, end): the line is cut into
+ * pieces of about `sqrt(BBOX_AREA_MAX_KM2) - 2·PAD_KM_MIN` km, each piece
+ * boxed with the corridor pad. A tile over `BBOX_AREA_MAX_KM2` gets a
+ * narrower pad, never under `PAD_KM_MIN`, so no tile exceeds the bound.
+ * Throws CorridorError when the tiles add up to more than `MAX_AREA_KM2`.
+ * `padKm` is the narrowest pad used and `areaKm2` the summed tile area.
+ */
+export function corridorTiles(line, {
+  PAD_KM_MIN = 8,
+  PAD_KM_MAX = 25,
+  BBOX_AREA_MAX_KM2 = 2500,
+  MAX_AREA_KM2 = 60000
+} = {}) {
+  const pts = line.filter((p, i) => i === 0 || distKm(line[i - 1], p) > 0);
+  if (pts.length < 2) {
+    const { bbox, padKm, areaKm2, shrunk, D } = corridorBBox(line[0], line[line.length - 1], { PAD_KM_MIN, PAD_KM_MAX, BBOX_AREA_MAX_KM2 });
+    return { tiles: [bbox], padKm, areaKm2, shrunk, D };
+  }
+  const D = pts.reduce((s, p, i) => i ? s + distKm(pts[i - 1], p) : 0, 0);
+  const wantPad = Math.max(PAD_KM_MIN, Math.min(PAD_KM_MAX, Math.max(8, D * 0.25)));
+  // a piece this long still fits BBOX_AREA_MAX_KM2 with PAD_KM_MIN on every side, in any direction
+  const stepKm = Math.max(1, Math.sqrt(BBOX_AREA_MAX_KM2) - 2 * PAD_KM_MIN);
+  const n = Math.max(1, Math.ceil(D / stepKm));
+
+  const tiles = [];
+  let padKm = wantPad, areaKm2 = 0;
+  for (const piece of splitLine(pts, n)) {
+    let pad = wantPad;
+    let tile = padBBox(piece, pad);
+    let area = bboxAreaKm2(tile);
+    if (area > BBOX_AREA_MAX_KM2) {
+      // (w + 2p)(h + 2p) = max, solved for p
+      const bare = padBBox(piece, 0);
+      const midLat = (bare[0] + bare[2]) / 2;
+      const w = distKm([bare[1], midLat], [bare[3], midLat]), h = distKm([bare[1], bare[0]], [bare[1], bare[2]]);
+      pad = Math.max(0, (-(w + h) + Math.sqrt((w + h) ** 2 - 4 * (w * h - BBOX_AREA_MAX_KM2))) / 4);
+      tile = padBBox(piece, pad);
+      area = bboxAreaKm2(tile);
+    }
+    tiles.push(tile);
+    padKm = Math.min(padKm, pad);
+    areaKm2 += area;
+  }
+  checkArea(tiles, areaKm2, MAX_AREA_KM2);
+  return { tiles, padKm, areaKm2, shrunk: padKm < PAD_KM_MIN, D };
+}
+
+/**
+ * Tiles covering the box around `sw` / `ne` (a loop's extent) padded like a
+ * corridor: a grid of equal cells, each within `BBOX_AREA_MAX_KM2`. Throws
+ * CorridorError past `MAX_AREA_KM2` in total.
+ */
+export function gridTiles(sw, ne, {
+  PAD_KM_MIN = 8,
+  PAD_KM_MAX = 25,
+  BBOX_AREA_MAX_KM2 = 2500,
+  MAX_AREA_KM2 = 60000
+} = {}) {
+  const { bbox, padKm, D } = corridorBBox(sw, ne, { PAD_KM_MIN, PAD_KM_MAX, BBOX_AREA_MAX_KM2: Infinity });
+  const [south, west, north, east] = bbox;
+  // columns are sized where the box is widest (its latitude nearest the equator), so every row fits
+  const wideLat = south > 0 ? south : (north < 0 ? north : 0);
+  const w = distKm([west, wideLat], [east, wideLat]), h = distKm([west, south], [west, north]);
+  const side = Math.sqrt(BBOX_AREA_MAX_KM2);
+  const rows = Math.max(1, Math.ceil(h / side)), cols = Math.max(1, Math.ceil(w / side));
+  const tiles = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      tiles.push([
+        south + (north - south) * r / rows, west + (east - west) * c / cols,
+        south + (north - south) * (r + 1) / rows, west + (east - west) * (c + 1) / cols
+      ]);
+    }
+  }
+  const areaKm2 = tiles.reduce((s, t) => s + bboxAreaKm2(t), 0);
+  checkArea(tiles, areaKm2, MAX_AREA_KM2);
+  return { tiles, padKm, areaKm2, shrunk: false, D };
+}
+
+/** Merge per-tile results, keeping the first of each `type`/`id` (ways found by overlapping tiles). */
+export function mergeById(lists) {
+  const seen = new Set();
+  const out = [];
+  for (const list of lists) {
+    for (const item of list) {
+      const id = item.type ? `${item.type}/${item.id}` : String(item.id);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      out.push(item);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,190 @@
+// Shared cache for geocodes, GH routes and Overpass responses: LRU-bounded per kind, with a TTL
+// per kind, in memory, in a SQLite file or in Redis.
+// A driver is { name, get(kind, key) -> value|undefined, set(kind, key, value, ttlMs), size(kind) -> n|null }.
+// Values are plain JSON; the memory driver keeps them as they are, the others store JSON text.
+import { createHash } from 'node:crypto';
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+export const CACHE_KINDS = ['geocode', 'route', 'overpass'];
+
+/** Least recently used entries beyond `maxEntries[kind]` are dropped; expired ones on read. */
+export function memoryCache({ maxEntries = {}, now = Date.now } = {}) {
+  const maps = new Map();
+  const mapOf = (kind) => {
+    if (!maps.has(kind)) maps.set(kind, new Map());
+    return maps.get(kind);
+  };
+  return {
+    name: 'memory',
+    async get(kind, key) {
+      const map = mapOf(kind);
+      const hit = map.get(key);
+      if (!hit) return undefined;
+      map.delete(key);
+      if (hit.expires <= now()) return undefined;
+      map.set(key, hit); // most recently used last
+      return hit.value;
+    },
+    async set(kind, key, value, ttlMs) {
+      const map = mapOf(kind);
+      map.delete(key);
+      map.set(key, { value, expires: now() + ttlMs });
+      const max = maxEntries[kind] ?? Infinity;
+      for (const oldest of map.keys()) {
+        if (map.size <= max) break;
+        map.delete(oldest);
+      }
+    },
+    size: async (kind) => mapOf(kind).size
+  };
+}
+
+/** One SQLite file (created on first use) shared across restarts; LRU by a per-file use counter. */
+export async function sqliteCache({ file, maxEntries = {}, now = Date.now }) {
+  const { default: Database } = await import('better-sqlite3');
+  if (file !== ':memory:') mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS cache (
+    kind TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    used INTEGER NOT NULL,
+    PRIMARY KEY (kind, key)
+  );
+  CREATE INDEX IF NOT EXISTS cache_used ON cache (kind, used);`);
+  let used = db.prepare('SELECT MAX(used) AS used FROM cache').get().used ?? 0;
+  const read = db.prepare('SELECT value, expires_at FROM cache WHERE kind = ? AND key = ?');
+  const touch = db.prepare('UPDATE cache SET used = ? WHERE kind = ? AND key = ?');
+  const drop = db.prepare('DELETE FROM cache WHERE kind = ? AND key = ?');
+  const write = db.prepare('INSERT OR REPLACE INTO cache (kind, key, value, expires_at, used) VALUES (?, ?, ?, ?, ?)');
+  const trim = db.prepare(`DELETE FROM cache WHERE kind = @kind AND used <=
+    (SELECT used FROM cache WHERE kind = @kind ORDER BY used DESC LIMIT 1 OFFSET @max)`);
+  const count = db.prepare('SELECT COUNT(*) AS n FROM cache WHERE kind = ?');
+  return {
+    name: 'sqlite',
+    async get(kind, key) {
+      const row = read.get(kind, key);
+      if (!row) return undefined;
+      if (row.expires_at <= now()) { drop.run(kind, key); return undefined; }
+      touch.run(++used, kind, key);
+      return JSON.parse(row.value);
+    },
+    async set(kind, key, value, ttlMs) {
+      write.run(kind, key, JSON.stringify(value), now() + ttlMs, ++used);
+      if (Number.isFinite(maxEntries[kind])) trim.run({ kind, max: maxEntries[kind] });
+    },
+    size: async (kind) => count.get(kind).n
+  };
+}
+
+/**
+ * Redis (the optional `redis` package, installed separately). Expiry is
+ * Redis' own; bound its memory with `maxmemory` and an `allkeys-lru` policy.
+ */
+export async function redisCache({ url, prefix = 'adv:' }) {
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch {
+    throw new Error('CACHE=REDIS needs the "redis" package (npm install redis)');
+  }
+  const client = createClient({ url });
+  client.on('error', () => {}); // reconnects on its own; failed calls count as cache errors
+  await client.connect();
+  return {
+    name: 'redis',
+    async get(kind, key) {
+      const v = await client.get(`${prefix}${kind}:${key}`);
+      return v === null ? undefined : JSON.parse(v);
+    },
+    async set(kind, key, value, ttlMs) {
+      await client.set(`${prefix}${kind}:${key}`, JSON.stringify(value), { PX: Math.max(1, Math.round(ttlMs)) });
+    },
+    size: async () => null
+  };
+}
+
+export const CACHE_DRIVERS = { MEMORY: memoryCache, SQLITE: sqliteCache, REDIS: redisCache };
+
+/**
+ * A cache over the `kind` driver: `wrap(kind, key, fn)` returns the cached
+ * value or stores what `fn()` resolves to for `ttlMs[kind]`. Driver failures
+ * count as misses (and `errors`), so a cache outage only costs speed.
+ */
+export async function createCache(kind, opts = {}) {
+  const make = CACHE_DRIVERS[String(kind || '').toUpperCase()];
+  if (!make) throw new Error(`unknown CACHE "${kind}" (expected ${Object.keys(CACHE_DRIVERS).join(' | ')})`);
+  const driver = await make(opts);
+  const { ttlMs = {}, log = null } = opts;
+  const counts = Object.fromEntries(CACHE_KINDS.map((k) => [k, { hits: 0, misses: 0, errors: 0 }]));
+  const countsOf = (k) => (counts[k] ??= { hits: 0, misses: 0, errors: 0 });
+
+  const get = async (k, key) => {
+    try {
+      return await driver.get(k, key);
+    } catch (err) {
+      countsOf(k).errors++;
+      log?.warn({ kind: k, err: String(err) }, 'cache: read failed');
+      return undefined;
+    }
+  };
+
+  return {
+    name: driver.name,
+    async wrap(k, key, fn) {
+      const hit = await get(k, key);
+      if (hit !== undefined) {
+        countsOf(k).hits++;
+        log?.debug({ kind: k, key }, 'cache: hit');
+        return hit;
+      }
+      countsOf(k).misses++;
+      log?.debug({ kind: k, key }, 'cache: miss');
+      const value = await fn();
+      if (value !== undefined && value !== null) {
+        try {
+          await driver.set(k, key, value, ttlMs[k] ?? 60 * 60 * 1000);
+        } catch (err) {
+          countsOf(k).errors++;
+          log?.warn({ kind: k, err: String(err) }, 'cache: write failed');
+        }
+      }
+      return value;
+    },
+    /** Hits, misses, errors, hit rate and entry count (null when the backend can't tell) per kind. */
+    async stats() {
+      const kinds = {};
+      for (const [k, c] of Object.entries(counts)) {
+        const lookups = c.hits + c.misses;
+        let entries = null;
+        try { entries = await driver.size(k); } catch {}
+        kinds[k] = { ...c, hit_rate: lookups ? +(c.hits / lookups).toFixed(3) : null, entries };
+      }
+      return { backend: driver.name, kinds };
+    },
+    /** Plain hit / miss counters, for log lines. */
+    counts: () => Object.fromEntries(Object.entries(counts).map(([k, c]) => [k, `${c.hits}/${c.misses}`]))
+  };
+}
+
+const r4 = (n) => n.toFixed(4);
+
+/**
+ * Grow an Overpass tile ([south, west, north, east]) outward to a `stepDeg`
+ * grid, so plans in the same region ask for the same boxes.
+ */
+export function snapTile([s, w, n, e], stepDeg = 0.01) {
+  const down = (v) => +(Math.floor(v / stepDeg + 1e-9) * stepDeg).toFixed(6);
+  const up = (v) => +(Math.ceil(v / stepDeg - 1e-9) * stepDeg).toFixed(6);
+  return [down(s), down(w), up(n), up(e)];
+}
+
+/** Cache key for an Overpass query: its tile (when given) and a hash of the whitespace-normalized query. */
+export function overpassKey(query, tile = null) {
+  const normalized = String(query).replace(/\s+/g, ' ').trim();
+  const hash = createHash('sha1').update(normalized).digest('hex');
+  return tile ? `${tile.map(r4).join(',')}|${hash}` : hash;
+}
@@ -0,0 +1,91 @@
+// Turns rider surface/toll preferences into a GraphHopper custom model and an Overpass surface filter.
+
+// planSchema surface names -> GH `surface` encoded values (GH folds mud into DIRT)
+const GH_SURFACE = {
+  asphalt: 'ASPHALT',
+  compacted: 'COMPACTED',
+  gravel: 'GRAVEL',
+  dirt: 'DIRT',
+  ground: 'GROUND',
+  fine_gravel: 'FINE_GRAVEL',
+  sand: 'SAND',
+  mud: 'DIRT'
+};
+
+// planSchema surface names -> OSM `surface=*` values they cover on tracks
+const OSM_SURFACE = {
+  compacted: ['compacted'],
+  gravel: ['gravel', 'pebblestone'],
+  dirt: ['dirt', 'earth'],
+  ground: ['ground'],
+  fine_gravel: ['fine_gravel'],
+  sand: ['sand'],
+  mud: ['mud']
+};
+
+export const DEFAULT_TRACK_SURFACES = ['gravel', 'compacted', 'fine_gravel', 'ground', 'earth', 'mud', 'pebblestone', 'unpaved'];
+
+const UNPAVED_GH = ['UNPAVED', 'COMPACTED', 'FINE_GRAVEL', 'GRAVEL', 'GROUND', 'DIRT', 'GRASS', 'SAND'];
+
+const uniq = (xs) => [...new Set(xs)];
+const anyOf = (field, values) => values.map((v) => `${field} == ${v}`).join(' || ');
+
+export const ghSurfaces = (names = []) => uniq(names.map((s) => GH_SURFACE[s]).filter(Boolean));
+
+const GH_TRACK_TYPES = ['GRADE1', 'GRADE2', 'GRADE3', 'GRADE4', 'GRADE5'];
+
+/**
+ * GH custom model for the flexible (non-CH) route request, or null when the
+ * preferences add no rules. Priorities only ever scale down (GH caps them at 1).
+ * `allowed_track_types` (OSM grade1–5, from a rider profile) nearly rules out the rest.
+ */
+export function buildCustomModel({ prefer_surfaces = [], avoid_surfaces = [], avoid_tolls = false, avoid_motorways = false, allowed_track_types } = {}) {
+  const avoid = ghSurfaces(avoid_surfaces);
+  const prefer = ghSurfaces(prefer_surfaces).filter((s) => !avoid.includes(s));
+  const priority = [];
+  const speed = [];
+
+  if (avoid.length) priority.push({ if: anyOf('surface', avoid), multiply_by: '0.1' });
+  if (prefer.length) {
+    priority.push({ if: anyOf('surface', prefer), multiply_by: '1' });
+    priority.push({ else: '', multiply_by: '0.6' });
+  }
+  if (avoid_tolls) priority.push({ if: 'toll == ALL', multiply_by: '0.05' });
+  if (avoid_motorways) priority.push({ if: 'road_class == MOTORWAY', multiply_by: '0.2' });
+  const tooRough = allowed_track_types ? GH_TRACK_TYPES.filter((t) => !allowed_track_types.includes(t.toLowerCase())) : [];
+  if (tooRough.length) priority.push({ if: anyOf('track_type', tooRough), multiply_by: '0.05' });
+  if (avoid.length || prefer.length) speed.push({ if: anyOf('surface', UNPAVED_GH), limit_to: '50' });
+
+  if (!priority.length && !speed.length) return null;
+  const model = { priority };
+  if (speed.length) model.speed = speed;
+  return model;
+}
+
+/**
+ * Anchored regex for Overpass `["surface"~...]` on tracks: preferred surfaces
+ * (or the rider profile's / default dirt set) minus avoided ones, kept to the
+ * profile's `allowed` surfaces when it has them. Null when nothing is left.
+ */
+export function trackSurfaceRegex({ prefer_surfaces = [], avoid_surfaces = [] } = {}, allowed = null) {
+  const preferred = prefer_surfaces.flatMap((s) => OSM_SURFACE[s] || []);
+  const avoided = new Set(avoid_surfaces.flatMap((s) => OSM_SURFACE[s] || []));
+  const wanted = uniq(preferred.length ? preferred : (allowed || DEFAULT_TRACK_SURFACES))
+    .filter((s) => !avoided.has(s) && (!allowed || allowed.includes(s)));
+  return wanted.length ? `^(${wanted.join('|')})$` : null;
+}
+
+/**
+ * Add GeoJSON (Multi)Polygons to a custom model (or start one) as GH areas the
+ * route must not enter. `prefix` keeps area ids apart when models are combined.
+ */
+export function withBlockedAreas(model, polygons, prefix = 'block') {
+  if (!polygons?.length) return model;
+  const features = polygons.map((geometry, i) => ({ type: 'Feature', id: `${prefix}${i}`, properties: {}, geometry }));
+  const block = { if: features.map((f) => `in_${f.id}`).join(' || '), multiply_by: '0' };
+  return {
+    ...(model || {}),
+    priority: [block, ...(model?.priority || [])],
+    areas: { type: 'FeatureCollection', features: [...(model?.areas?.features || []), ...features] }
+  };
+}
@@ -0,0 +1,158 @@
+// Pluggable elevation (DEM) providers for coordinates GH did not give a height for.
+// A provider is { name, elevations(points) -> Promise<(number|null)[]> }.
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { distKm } from './bbox.js';
+
+const HGT_VOID = -32768;
+
+/** Provider that knows nothing; elevations come only from GH or interpolation. */
+export function noneDem() {
+  return { name: 'none', elevations: async (points) => points.map(() => null) };
+}
+
+/** N38W010.hgt -> SW corner [lon, lat] = [-10, 38]. */
+export function hgtTileName(lon, lat) {
+  const la = Math.floor(lat), lo = Math.floor(lon);
+  const ns = la >= 0 ? 'N' : 'S', ew = lo >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(la)).padStart(2, '0')}${ew}${String(Math.abs(lo)).padStart(3, '0')}.hgt`;
+}
+
+/** Bilinear sample of a north-up grid; `fx`/`fy` are fractional column/row. */
+function bilinear(get, fx, fy, width, height, isVoid) {
+  const x0 = Math.max(0, Math.min(width - 1, Math.floor(fx))), y0 = Math.max(0, Math.min(height - 1, Math.floor(fy)));
+  const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+  const dx = fx - x0, dy = fy - y0;
+  const v = [get(x0, y0), get(x1, y0), get(x0, y1), get(x1, y1)];
+  if (v.some(isVoid)) {
+    const ok = v.filter((z) => !isVoid(z));
+    return ok.length ? ok.reduce((s, z) => s + z, 0) / ok.length : null;
+  }
+  return v[0] * (1 - dx) * (1 - dy) + v[1] * dx * (1 - dy) + v[2] * (1 - dx) * dy + v[3] * dx * dy;
+}
+
+/** Tiny LRU of loaded tiles keyed by file name; `null` marks a missing tile. */
+function tileCache(max, load) {
+  const cache = new Map();
+  return async (key) => {
+    if (cache.has(key)) {
+      const hit = cache.get(key);
+      cache.delete(key); cache.set(key, hit);
+      return hit;
+    }
+    const tile = await load(key).catch(() => null);
+    cache.set(key, tile);
+    if (cache.size > max) cache.delete(cache.keys().next().value);
+    return tile;
+  };
+}
+
+/** SRTM-style .hgt tiles (1°×1°, big-endian int16, 1201² or 3601²) in `dir`. */
+export function hgtDem(dir, { maxTiles = 4 } = {}) {
+  const tile = tileCache(maxTiles, async (name) => {
+    const buf = await readFile(path.join(dir, name));
+    const size = Math.round(Math.sqrt(buf.length / 2));
+    if (size * size * 2 !== buf.length) throw new Error(`bad hgt size: ${name}`);
+    return { buf, size };
+  });
+  return {
+    name: 'hgt',
+    async elevations(points) {
+      const out = [];
+      for (const [lon, lat] of points) {
+        const t = await tile(hgtTileName(lon, lat));
+        if (!t) { out.push(null); continue; }
+        const n = t.size - 1;
+        const fx = (lon - Math.floor(lon)) * n;
+        const fy = (Math.floor(lat) + 1 - lat) * n; // row 0 is the north edge
+        out.push(bilinear((x, y) => t.buf.readInt16BE((y * t.size + x) * 2), fx, fy, t.size, t.size, (z) => z === HGT_VOID));
+      }
+      return out;
+    }
+  };
+}
+
+/** Single-band GeoTIFF tiles (EPSG:4326, north-up) in `dir`. */
+export function geotiffDem(dir, { maxTiles = 2 } = {}) {
+  let index = null; // [{ file, bbox: [west, south, east, north] }]
+  const loadIndex = async () => {
+    if (index) return index;
+    const { fromFile } = await import('geotiff');
+    const files = (await readdir(dir)).filter((f) => /\.tiff?$/i.test(f));
+    index = [];
+    for (const file of files) {
+      try {
+        const img = await (await fromFile(path.join(dir, file))).getImage();
+        index.push({ file, bbox: img.getBoundingBox() });
+      } catch { /* unreadable tile: skip */ }
+    }
+    return index;
+  };
+  const tile = tileCache(maxTiles, async (file) => {
+    const { fromFile } = await import('geotiff');
+    const img = await (await fromFile(path.join(dir, file))).getImage();
+    const [raster] = await img.readRasters();
+    const noData = img.getGDALNoData();
+    return { raster, width: img.getWidth(), height: img.getHeight(), bbox: img.getBoundingBox(), noData };
+  });
+  return {
+    name: 'geotiff',
+    async elevations(points) {
+      const idx = await loadIndex();
+      const out = [];
+      for (const [lon, lat] of points) {
+        const hit = idx.find(({ bbox: [w, s, e, n] }) => lon >= w && lon <= e && lat >= s && lat <= n);
+        const t = hit && await tile(hit.file);
+        if (!t) { out.push(null); continue; }
+        const [w, s, e, n] = t.bbox;
+        const fx = ((lon - w) / (e - w)) * t.width - 0.5;
+        const fy = ((n - lat) / (n - s)) * t.height - 0.5;
+        const isVoid = (z) => z === t.noData || !Number.isFinite(z);
+        out.push(bilinear((x, y) => t.raster[y * t.width + x], Math.max(0, fx), Math.max(0, fy), t.width, t.height, isVoid));
+      }
+      return out;
+    }
+  };
+}
+
+export const DEM_PROVIDERS = { none: noneDem, hgt: hgtDem, geotiff: geotiffDem };
+
+export function createDem(name = 'none', dir = '') {
+  const make = DEM_PROVIDERS[String(name).toLowerCase()];
+  if (!make) throw new Error(`unknown DEM provider: ${name}`);
+  return make === noneDem || !dir ? noneDem() : make(dir);
+}
+
+/**
+ * Give every coordinate a z: keep GH heights, ask the DEM for the rest, then
+ * interpolate remaining gaps by distance. Returns coords unchanged (2D) when no
+ * height is known anywhere.
+ */
+export async function fillElevation(coords, dem) {
+  const z = coords.map((c) => (Number.isFinite(c[2]) ? c[2] : null));
+  const missing = z.map((v, i) => (v === null ? i : -1)).filter((i) => i >= 0);
+  if (missing.length && dem) {
+    const found = await dem.elevations(missing.map((i) => coords[i]));
+    missing.forEach((i, k) => { if (Number.isFinite(found[k])) z[i] = found[k]; });
+  }
+  const known = z.map((v, i) => (v === null ? -1 : i)).filter((i) => i >= 0);
+  if (!known.length) return coords;
+
+  // distance-weighted fill between known neighbours; flat beyond the ends
+  const along = [0];
+  for (let i = 1; i < coords.length; i++) along.push(along[i - 1] + distKm(coords[i - 1], coords[i]));
+  let k = 0;
+  for (let i = 0; i < z.length; i++) {
+    if (z[i] !== null) continue;
+    while (k < known.length && known[k] < i) k++;
+    const prev = known[k - 1], next = known[k];
+    if (prev === undefined) z[i] = z[next];
+    else if (next === undefined) z[i] = z[prev];
+    else {
+      const span = along[next] - along[prev];
+      const r = span > 0 ? (along[i] - along[prev]) / span : 0;
+      z[i] = z[prev] + (z[next] - z[prev]) * r;
+    }
+  }
+  return coords.map((c, i) => [c[0], c[1], +z[i].toFixed(1)]);
+}
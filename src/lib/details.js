@@ -0,0 +1,224 @@
+// GH path details (road_class, surface, ...) are [from, to, value] ranges over point indices.
+import { distKm } from './bbox.js';
+import { nearestOnPolyline, polylineLenKm } from './geometry.js';
+
+// Detail keys requested from GH and kept on every route segment (smoothness feeds difficulty grades)
+export const GH_DETAILS = ['road_class', 'surface', 'track_type', 'smoothness', 'toll'];
+
+// OSM surface values GH stores under another name
+const OSM_TO_GH_SURFACE = { pebblestone: 'gravel', earth: 'dirt', mud: 'dirt' };
+
+const PAVED = new Set(['ASPHALT', 'CONCRETE', 'PAVED', 'PAVING_STONES', 'COBBLESTONE', 'SETT', 'METAL', 'WOOD']);
+
+export function lengthKmBetween(points, i0, i1) {
+  let km = 0;
+  for (let i = Math.max(1, i0 + 1); i <= Math.min(points.length - 1, i1); i++) {
+    km += distKm(points[i - 1], points[i]);
+  }
+  return km;
+}
+
+export function motorwayShareFromDetails(points, details) {
+  const rc = details?.road_class || [];
+  if (!rc.length) return { share: 0, longestBad: null, totalKm: polylineLenKm(points) };
+
+  const BAD = new Set(['MOTORWAY', 'TRUNK']);
+  let badKm = 0;
+  let totalKm = polylineLenKm(points);
+  let longestBad = null; // { i0, i1, km }
+
+  for (const [i0, i1, cls] of rc) {
+    if (!BAD.has(String(cls).toUpperCase())) continue;
+    const km = lengthKmBetween(points, i0, i1);
+    badKm += km;
+    if (!longestBad || km > longestBad.km) longestBad = { i0, i1, km };
+  }
+  const share = totalKm > 0 ? badKm / totalKm : 0;
+  return { share, longestBad, totalKm };
+}
+
+/** Off-pavement share from `surface` details, or `road_class=track` when GH sent no surfaces. */
+export function offPavementShare(points, details) {
+  const totalKm = polylineLenKm(points);
+  if (totalKm <= 0) return 0;
+  const surface = details?.surface || [];
+  let offKm = 0;
+  if (surface.length) {
+    for (const [i0, i1, v] of surface) {
+      const s = String(v).toUpperCase();
+      if (!PAVED.has(s) && s !== 'MISSING' && s !== 'OTHER') offKm += lengthKmBetween(points, i0, i1);
+    }
+  } else {
+    for (const [i0, i1, v] of details?.road_class || []) {
+      if (String(v).toUpperCase() === 'TRACK') offKm += lengthKmBetween(points, i0, i1);
+    }
+  }
+  return Math.min(1, offKm / totalKm);
+}
+
+/** Share of the route on avoided GH surfaces, or on toll roads when `tolls` is set. */
+export function avoidedShare(points, details, { surfaces = [], tolls = false } = {}) {
+  const totalKm = polylineLenKm(points);
+  if (totalKm <= 0) return 0;
+  const bad = new Set(surfaces.map((v) => String(v).toUpperCase()));
+  const flagged = new Array(points.length).fill(false); // per segment ending at index i
+  const mark = (ranges, pred) => {
+    for (const [i0, i1, v] of ranges || []) {
+      if (!pred(String(v).toUpperCase())) continue;
+      for (let i = Math.max(1, i0 + 1); i <= Math.min(points.length - 1, i1); i++) flagged[i] = true;
+    }
+  };
+  if (bad.size) mark(details?.surface, (v) => bad.has(v));
+  if (tolls) mark(details?.toll, (v) => v === 'ALL');
+  let km = 0;
+  for (let i = 1; i < points.length; i++) if (flagged[i]) km += distKm(points[i - 1], points[i]);
+  return Math.min(1, km / totalKm);
+}
+
+/**
+ * GH-style details for a stitched OSM track, from its Overpass tags. The
+ * untranslated `surface=*` also goes in `osm_surface`, for difficulty grades.
+ */
+export function trackDetails(coords, tags = {}) {
+  const last = Math.max(0, coords.length - 1);
+  const surface = tags.surface ? (OSM_TO_GH_SURFACE[tags.surface] || tags.surface) : 'missing';
+  return {
+    road_class: [[0, last, 'track']],
+    surface: [[0, last, surface]],
+    osm_surface: [[0, last, tags.surface || 'missing']],
+    track_type: [[0, last, tags.tracktype || 'missing']],
+    smoothness: [[0, last, tags.smoothness || 'missing']],
+    toll: [[0, last, tags.toll === 'yes' ? 'all' : 'no']]
+  };
+}
+
+/** Lowercased (or `raw`) detail value of every segment (index i = segment ending at point i); first range wins. */
+export function segmentValues(points, ranges, { raw = false } = {}) {
+  const value = new Array(points.length).fill(null);
+  for (const [i0, i1, v] of ranges || []) {
+    for (let i = Math.max(1, i0 + 1); i <= Math.min(points.length - 1, i1); i++) {
+      if (value[i] === null) value[i] = raw ? v : String(v).toLowerCase();
+    }
+  }
+  return value;
+}
+
+/**
+ * km and percentage per detail value; stretches no range covers count as
+ * `missing`. Sorted by km, longest first.
+ */
+export function detailBreakdown(points, ranges) {
+  const totalKm = polylineLenKm(points);
+  const value = segmentValues(points, ranges);
+  const km = {};
+  for (let i = 1; i < points.length; i++) {
+    const k = value[i] ?? 'missing';
+    km[k] = (km[k] || 0) + distKm(points[i - 1], points[i]);
+  }
+  return Object.fromEntries(
+    Object.entries(km)
+      .sort((x, y) => y[1] - x[1])
+      .map(([k, v]) => [k, { km: +v.toFixed(1), pct: totalKm > 0 ? +(100 * v / totalKm).toFixed(1) : 0 }])
+  );
+}
+
+/** Surface / road-class / track-type breakdown plus the achieved off-pavement share. */
+export function surfaceStats(points, details) {
+  return {
+    off_pavement_share: +offPavementShare(points, details).toFixed(3),
+    surface: detailBreakdown(points, details?.surface),
+    road_class: detailBreakdown(points, details?.road_class),
+    track_type: detailBreakdown(points, details?.track_type),
+    toll_km: +(avoidedShare(points, details, { tolls: true }) * polylineLenKm(points)).toFixed(1)
+  };
+}
+
+/** Detail ranges clipped to points i0..i1 and re-indexed from 0 (for a sliced polyline). */
+export function sliceDetails(details, i0, i1) {
+  const out = {};
+  for (const [key, ranges] of Object.entries(details || {})) {
+    out[key] = [];
+    for (const [a, b, v] of ranges) {
+      const from = Math.max(a, i0), to = Math.min(b, i1);
+      if (to > from) out[key].push([from - i0, to - i0, v]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Move detail ranges onto a resampled polyline where `index[j]` is the
+ * (possibly fractional) source position of new point j, ascending.
+ */
+export function remapDetails(details, index) {
+  // first new point at or past source position i (binary search), else the last one
+  const at = (i) => {
+    let lo = 0, hi = index.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (index[mid] >= i) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo < index.length ? lo : index.length - 1;
+  };
+  const out = {};
+  for (const [key, ranges] of Object.entries(details || {})) {
+    out[key] = [];
+    for (const [a, b, v] of ranges) {
+      const from = at(a), to = at(b);
+      if (to > from) out[key].push([from, to, v]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Concatenate path parts ({ coords, details }) into one polyline, dropping the
+ * first point of every part after the first and shifting detail ranges to match.
+ */
+export function joinParts(parts) {
+  const coords = [];
+  const details = {};
+  for (const part of parts) {
+    if (!part?.coords?.length) continue;
+    const offset = coords.length ? coords.length - 1 : 0;
+    coords.push(...(coords.length ? part.coords.slice(1) : part.coords));
+    for (const [key, ranges] of Object.entries(part.details || {})) {
+      if (!details[key]) details[key] = [];
+      for (const [i0, i1, v] of ranges) details[key].push([i0 + offset, i1 + offset, v]);
+    }
+  }
+  return { coords, details };
+}
+
+/**
+ * Carry detail ranges from a routed `source` polyline onto `target` (an
+ * imported track following roughly the same roads): each target segment takes
+ * the values of the source segment nearest its midpoint, searched in a window
+ * that moves forward with the match. Segments further than `maxOffKm` from
+ * the source stay uncovered. Returns `{ details, matchedShare }` (by km).
+ */
+export function transferDetails(source, details, target, { maxOffKm = 0.1, window = 300 } = {}) {
+  const keys = Object.keys(details || {});
+  const values = Object.fromEntries(keys.map((k) => [k, segmentValues(source, details[k], { raw: true })]));
+  const out = Object.fromEntries(keys.map((k) => [k, []]));
+  let cursor = 0, matchedKm = 0, totalKm = 0;
+  const open = Object.fromEntries(keys.map((k) => [k, null])); // current run per key: [from, to, value]
+  for (let j = 1; j < target.length; j++) {
+    const a = target[j - 1], b = target[j];
+    const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const lo = Math.max(0, cursor - Math.floor(window / 4)), hi = Math.min(source.length - 1, cursor + window);
+    const near = hi > lo ? nearestOnPolyline(source.slice(lo, hi + 1), mid) : { idx: 0, offKm: Infinity };
+    const segKm = distKm(a, b);
+    totalKm += segKm;
+    const hit = near.offKm <= maxOffKm;
+    if (hit) { cursor = lo + near.idx; matchedKm += segKm; }
+    for (const k of keys) {
+      const v = hit ? values[k][cursor + 1] : null;
+      const run = open[k];
+      if (run && run[2] === v && run[1] === j - 1) { run[1] = j; continue; }
+      if (v !== null && v !== undefined) { open[k] = [j - 1, j, v]; out[k].push(open[k]); } else open[k] = null;
+    }
+  }
+  return { details: out, matchedShare: totalKm > 0 ? matchedKm / totalKm : 0 };
+}
@@ -0,0 +1,126 @@
+// Rider / bike profiles (which tracks are rideable, which GH profile routes connectors) and
+// difficulty grades per stretch of a route, from its surface / track_type / smoothness details.
+import { distKm } from './bbox.js';
+import { segmentValues } from './details.js';
+
+const SMOOTHNESS = ['excellent', 'good', 'intermediate', 'bad', 'very_bad', 'horrible', 'very_horrible', 'impassable'];
+const SAC_SCALE = ['hiking', 'mountain_hiking', 'demanding_mountain_hiking', 'alpine_hiking', 'demanding_alpine_hiking', 'difficult_alpine_hiking'];
+
+/**
+ * `tracktypes` / `surfaces`: OSM values Overpass may return (surfaces null =
+ * the default dirt set); `smoothness`, `sac_scale`: worst value allowed (null
+ * = any tagged sac_scale is too much); `mtb_scale`: highest allowed;
+ * `max_grade`: hardest difficulty grade the rider should meet.
+ */
+export const RIDER_PROFILES = {
+  heavy_road: {
+    label: 'Heavy twin on road tyres',
+    gh_profile: 'car',
+    tracktypes: ['grade1', 'grade2'],
+    surfaces: ['compacted', 'fine_gravel', 'gravel', 'unpaved'],
+    smoothness: 'intermediate',
+    sac_scale: null,
+    mtb_scale: 0,
+    max_grade: 2
+  },
+  adv_mid: {
+    label: 'Mid-weight ADV',
+    gh_profile: 'car',
+    tracktypes: ['grade1', 'grade2', 'grade3'],
+    surfaces: null,
+    smoothness: 'very_bad',
+    sac_scale: 'hiking',
+    mtb_scale: 1,
+    max_grade: 3
+  },
+  light_enduro: {
+    label: 'Light enduro',
+    gh_profile: 'scooter', // small roads, no motorways
+    tracktypes: ['grade1', 'grade2', 'grade3', 'grade4', 'grade5'],
+    surfaces: ['gravel', 'compacted', 'fine_gravel', 'pebblestone', 'unpaved', 'ground', 'earth', 'dirt', 'grass', 'mud', 'sand', 'rock'],
+    smoothness: 'horrible',
+    sac_scale: 'mountain_hiking',
+    mtb_scale: 2,
+    max_grade: 4
+  }
+};
+
+export const DEFAULT_RIDER_PROFILE = 'adv_mid';
+
+export const riderProfile = (name) => ({ name: name || DEFAULT_RIDER_PROFILE, ...RIDER_PROFILES[name || DEFAULT_RIDER_PROFILE] });
+
+/** Why a track's smoothness / sac_scale / mtb:scale is too much for `profile`, or null when rideable. */
+export function tooHardFor(tags = {}, profile) {
+  const smooth = SMOOTHNESS.indexOf(tags.smoothness);
+  if (smooth > SMOOTHNESS.indexOf(profile.smoothness)) return `smoothness=${tags.smoothness}`;
+  const sac = SAC_SCALE.indexOf(tags.sac_scale);
+  if (sac >= 0 && (profile.sac_scale === null || sac > SAC_SCALE.indexOf(profile.sac_scale))) return `sac_scale=${tags.sac_scale}`;
+  const mtb = parseInt(tags['mtb:scale'], 10);
+  if (Number.isFinite(mtb) && mtb > profile.mtb_scale) return `mtb:scale=${tags['mtb:scale']}`;
+  return null;
+}
+
+export const DIFFICULTY_GRADES = {
+  1: { label: 'easy', color: '#2e7d32' },
+  2: { label: 'moderate', color: '#1e88e5' },
+  3: { label: 'challenging', color: '#f9a825' },
+  4: { label: 'hard', color: '#e65100' },
+  5: { label: 'extreme', color: '#b71c1c' }
+};
+
+const SURFACE_GRADE = {
+  compacted: 2, fine_gravel: 2, gravel: 2, unpaved: 2, pebblestone: 3,
+  dirt: 3, ground: 3, earth: 3, grass: 3, sand: 4, mud: 4, rock: 4
+};
+const TRACK_GRADE = { grade1: 2, grade2: 2, grade3: 3, grade4: 4, grade5: 5 };
+const SMOOTHNESS_GRADE = { intermediate: 2, bad: 3, very_bad: 4, horrible: 5, very_horrible: 5, impassable: 5 };
+
+/** Grade 1–5 of one stretch from its (lowercased) detail values; unknown surfaces count as paved unless on a track. */
+export function segmentGrade({ surface, track_type, smoothness, road_class } = {}) {
+  const onTrack = road_class === 'track';
+  const bySurface = SURFACE_GRADE[surface] ?? (onTrack && (!surface || surface === 'missing') ? 3 : 1);
+  return Math.max(bySurface, TRACK_GRADE[track_type] ?? (onTrack ? 2 : 1), SMOOTHNESS_GRADE[smoothness] ?? 1);
+}
+
+/**
+ * Difficulty of a route: `segments` (runs of one grade by km), km per grade,
+ * `max_grade`, and the overall `grade`: the hardest one kept up for at least
+ * `minShare` of the distance. Stitched tracks are graded by their raw OSM
+ * surface (`osm_surface`), which tells mud and rock from GH's coarser names.
+ */
+export function routeDifficulty(points, details, { minShare = 0.05 } = {}) {
+  const keys = ['surface', 'osm_surface', 'track_type', 'smoothness', 'road_class'];
+  const values = Object.fromEntries(keys.map((k) => [k, segmentValues(points, details?.[k])]));
+  const segments = [];
+  const kmByGrade = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let km = 0;
+  for (let i = 1; i < points.length; i++) {
+    const { osm_surface, ...seg } = Object.fromEntries(keys.map((k) => [k, values[k][i]]));
+    if (osm_surface && osm_surface !== 'missing') seg.surface = osm_surface;
+    const grade = segmentGrade(seg);
+    const step = distKm(points[i - 1], points[i]);
+    const last = segments[segments.length - 1];
+    if (last?.grade === grade) last.to_km = km + step;
+    else segments.push({ from_km: km, to_km: km + step, grade });
+    kmByGrade[grade] += step;
+    km += step;
+  }
+  let grade = 1, hardKm = 0;
+  for (let g = 5; g >= 1; g--) {
+    hardKm += kmByGrade[g];
+    if (km > 0 && hardKm >= minShare * km) { grade = g; break; }
+  }
+  const maxGrade = segments.reduce((m, s) => Math.max(m, s.grade), 1);
+  return {
+    grade,
+    label: DIFFICULTY_GRADES[grade].label,
+    max_grade: maxGrade,
+    by_grade: Object.entries(kmByGrade).filter(([, k]) => k > 0).map(([g, k]) => ({
+      grade: +g,
+      label: DIFFICULTY_GRADES[g].label,
+      km: +k.toFixed(1),
+      pct: km > 0 ? +(100 * k / km).toFixed(1) : 0
+    })),
+    segments: segments.map((s) => ({ from_km: +s.from_km.toFixed(2), to_km: +s.to_km.toFixed(2), grade: s.grade }))
+  };
+}
@@ -0,0 +1,70 @@
+// Riding time and climb estimates for a finished route.
+import { distKm } from './bbox.js';
+import { segmentValues } from './details.js';
+import { polylineLenKm } from './geometry.js';
+
+// Paved vs unpaved base speeds; /plan's kmTarget from time_budget_h uses the same pair.
+export const PAVED_KMH = 50;
+export const UNPAVED_KMH = 30;
+
+// Per-surface speeds (GH surface values, lowercase); unknown surfaces fall back to the pair above.
+export const SURFACE_KMH = {
+  asphalt: PAVED_KMH,
+  concrete: PAVED_KMH,
+  paved: PAVED_KMH,
+  paving_stones: 35,
+  cobblestone: 30,
+  sett: 30,
+  compacted: 35,
+  fine_gravel: 32,
+  gravel: UNPAVED_KMH,
+  unpaved: UNPAVED_KMH,
+  ground: 25,
+  dirt: 25,
+  grass: 20,
+  sand: 15
+};
+
+/** Blended average speed for a requested off-pavement share. */
+export const avgSpeedKmh = (offShare) => (1 - offShare) * PAVED_KMH + offShare * UNPAVED_KMH;
+
+/** Hours per segment (index i = segment ending at point i) from surface, or road_class=track, details. */
+export function segmentHours(points, details) {
+  const surface = segmentValues(points, details?.surface);
+  const roadClass = segmentValues(points, details?.road_class);
+  const h = new Array(points.length).fill(0);
+  for (let i = 1; i < points.length; i++) {
+    const kmh = SURFACE_KMH[surface[i]] ?? (roadClass[i] === 'track' ? UNPAVED_KMH : PAVED_KMH);
+    h[i] = distKm(points[i - 1], points[i]) / kmh;
+  }
+  return h;
+}
+
+/** Hours to ride the whole route. */
+export const durationH = (points, details) => segmentHours(points, details).reduce((s, h) => s + h, 0);
+
+/**
+ * Total climb / descent in metres from [lon, lat, z] coords, ignoring wiggles
+ * under `thresholdM` (DEM and GH noise). Null when coords carry no heights.
+ */
+export function climbM(coords, { thresholdM = 5 } = {}) {
+  const zs = coords.map((c) => c[2]).filter(Number.isFinite);
+  if (zs.length < 2) return { ascent: null, descent: null };
+  let ascent = 0, descent = 0, ref = zs[0];
+  for (const z of zs) {
+    if (z - ref >= thresholdM) { ascent += z - ref; ref = z; }
+    else if (ref - z >= thresholdM) { descent += ref - z; ref = z; }
+  }
+  return { ascent, descent };
+}
+
+/** Distance, riding time and climb for a route or one of its stages. */
+export function rideStats(coords, details) {
+  const { ascent, descent } = climbM(coords);
+  return {
+    distance_km: +polylineLenKm(coords).toFixed(1),
+    duration_h: +durationH(coords, details).toFixed(2),
+    ascent_m: ascent === null ? null : Math.round(ascent),
+    descent_m: descent === null ? null : Math.round(descent)
+  };
+}
@@ -0,0 +1,80 @@
+// Distance fitting for /plan: detour anchors when a route comes back short, dropping optional ones when long.
+import { distKm } from './bbox.js';
+import { bearingDeg, destPoint, nearestOnPolyline, polylineLenKm } from './geometry.js';
+import { LOOP_ROAD_FACTOR } from './loop.js';
+
+/** Band around the target a route may land in: `pct` percent of it, at least `minKm`. */
+export const fitToleranceKm = (targetKm, { pct = 5, minKm = 2 } = {}) => Math.max(minKm, targetKm * pct / 100);
+
+/** Ridden km per straight-line km between the stops, from a built route; LOOP_ROAD_FACTOR when unknown. */
+export function roadFactor(stops, routeKm) {
+  const chordKm = polylineLenKm(stops);
+  if (!(chordKm > 0) || !(routeKm > 0)) return LOOP_ROAD_FACTOR;
+  return Math.max(1, Math.min(2.5, routeKm / chordKm));
+}
+
+/**
+ * Where `pt` slots into `stops` ([start, ...vias, end], by its position along
+ * them) and the road km a detour through it adds: `at` is its index in the
+ * via list.
+ */
+export function detourCost(stops, pt, factor = LOOP_ROAD_FACTOR) {
+  const { idx } = nearestOnPolyline(stops, pt);
+  const u = stops[idx], v = stops[idx + 1];
+  return { at: idx, addedKm: factor * (distKm(u, pt) + distKm(pt, v) - distKm(u, v)) };
+}
+
+/**
+ * Points off the middle of the longest stop-to-stop stretch, one each side,
+ * placed so a detour through either adds about `deltaKm`. Fallbacks for when
+ * no candidate in the corridor reaches far enough; snap them before routing.
+ */
+export function offsetDetours(stops, deltaKm, factor = LOOP_ROAD_FACTOR) {
+  let k = 0;
+  for (let i = 1; i < stops.length - 1; i++) if (distKm(stops[i], stops[i + 1]) > distKm(stops[k], stops[k + 1])) k = i;
+  const from = stops[k], to = stops[k + 1];
+  const chord = distKm(from, to);
+  const half = (factor * chord + deltaKm) / (2 * factor);
+  const offKm = Math.sqrt(Math.max(0, half * half - (chord / 2) ** 2));
+  const bearing = bearingDeg(from, to);
+  const mid = destPoint(from, bearing, chord / 2);
+  return [90, 270].map((turn) => destPoint(mid, (bearing + turn) % 360, offKm));
+}
+
+/**
+ * The candidate (`{ pt, source }`, e.g. track midpoints and minor-road points)
+ * whose detour comes closest to adding `deltaKm`, as `{ pt, source, at,
+ * addedKm }`. Candidates within `spacingKm` of a stop or of `exclude` (tried
+ * before) are skipped, and so is anything closing less than `minShare` of the
+ * gap or overshooting it by as much. Null when nothing helps.
+ */
+export function pickDetour(stops, deltaKm, candidates, { factor = LOOP_ROAD_FACTOR, exclude = [], spacingKm = 1, minShare = 0.5 } = {}) {
+  let best = null;
+  for (const cand of candidates) {
+    if ([...stops, ...exclude].some((p) => distKm(p, cand.pt) < spacingKm)) continue;
+    const cost = detourCost(stops, cand.pt, factor);
+    const miss = Math.abs(cost.addedKm - deltaKm);
+    if (miss > (1 - minShare) * deltaKm) continue;
+    if (!best || miss < best.miss) best = { ...cand, ...cost, miss };
+  }
+  if (!best) return null;
+  const { miss, ...pick } = best;
+  return pick;
+}
+
+/**
+ * The via to drop when the route is `excessKm` too long: among the indices in
+ * `optional`, the one whose detour saving comes closest to the excess, as
+ * `{ at, savedKm }`. Null when none saves anything.
+ */
+export function pickTrim(stops, excessKm, optional, factor = LOOP_ROAD_FACTOR) {
+  let best = null;
+  for (const at of optional) {
+    const u = stops[at], p = stops[at + 1], v = stops[at + 2];
+    const savedKm = factor * (distKm(u, p) + distKm(p, v) - distKm(u, v));
+    if (savedKm <= 0) continue;
+    const miss = Math.abs(savedKm - excessKm);
+    if (!best || miss < best.miss) best = { at, savedKm, miss };
+  }
+  return best && { at: best.at, savedKm: best.savedKm };
+}
@@ -0,0 +1,134 @@
+// File writers for finished routes: GPX (tracks + waypoints) and GeoJSON.
+
+export const escapeXml = (s) => String(s ?? '').replace(/[<>&'"]/g, (c) => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]
+));
+
+const ele = (c) => (Number.isFinite(c[2]) ? `<ele>${c[2]}</ele>` : '');
+
+function wpt(p) {
+  const [lon, lat] = p.coord;
+  const name = p.name || p.category;
+  const desc = p.km_from_start !== undefined ? `<desc>${escapeXml(`${p.category} · km ${p.km_from_start}`)}</desc>` : '';
+  return `<wpt lat="${lat}" lon="${lon}"><name>${escapeXml(name)}</name>${desc}<type>${escapeXml(p.category)}</type></wpt>`;
+}
+
+/**
+ * GPX 1.1 with metadata, optional <wpt> POIs and one <trk> per entry in
+ * `tracks` ({ name, coords }), e.g. one per day of a multi-day route.
+ */
+export function toGPXTracks(tracks, { name = 'ADV Route', waypoints = [], time = new Date() } = {}) {
+  const meta = `<metadata><name>${escapeXml(name)}</name><time>${time.toISOString()}</time></metadata>`;
+  const trks = tracks.map(({ name: trkName, coords }) => {
+    const trkpts = coords.map((c) => `<trkpt lon="${c[0]}" lat="${c[1]}">${ele(c)}</trkpt>`).join('');
+    return `<trk><name>${escapeXml(trkName)}</name><trkseg>${trkpts}</trkseg></trk>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><gpx version="1.1" creator="adv-route" xmlns="http://www.topografix.com/GPX/1/1">${meta}${waypoints.map(wpt).join('')}${trks}</gpx>`;
+}
+
+export function toGPX(name, coords, opts = {}) {
+  return toGPXTracks([{ name, coords }], { name, ...opts });
+}
+
+/** FeatureCollection: the route LineString plus one Point per POI. */
+export function toGeoJSON(name, coords, { waypoints = [], properties = {} } = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name, ...properties }, geometry: { type: 'LineString', coordinates: coords } },
+      ...waypoints.map((p) => ({
+        type: 'Feature',
+        properties: { name: p.name, category: p.category, source: p.source, osm_id: p.osm_id ?? null, km_from_start: p.km_from_start },
+        geometry: { type: 'Point', coordinates: p.coord }
+      }))
+    ]
+  };
+}
+
+/** KML document: the route as a LineString placemark plus one Point placemark per POI. */
+export function toKML(name, coords, { waypoints = [] } = {}) {
+  const line = coords.map((c) => `${c[0]},${c[1]}${Number.isFinite(c[2]) ? `,${c[2]}` : ''}`).join(' ');
+  const marks = waypoints.map((p) => (
+    `<Placemark><name>${escapeXml(p.name || p.category)}</name><description>${escapeXml(p.category)}</description>`
+    + `<Point><coordinates>${p.coord[0]},${p.coord[1]}</coordinates></Point></Placemark>`
+  )).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeXml(name)}</name>`
+    + '<Style id="route"><LineStyle><color>ff0066ff</color><width>4</width></LineStyle></Style>'
+    + `<Placemark><name>${escapeXml(name)}</name><styleUrl>#route</styleUrl><LineString><tessellate>1</tessellate><coordinates>${line}</coordinates></LineString></Placemark>`
+    + `${marks}</Document></kml>`;
+}
+
+// TCX CoursePoint types closest to our POI categories
+const TCX_POINT_TYPE = {
+  drinking_water: 'Water', cafe: 'Food', mountain_pass: 'Summit', ford: 'Danger', viewpoint: 'Generic', campsite: 'Generic',
+  gate: 'Danger', bollard: 'Danger', lift_gate: 'Danger', dead_end: 'Danger', steep: 'Danger'
+};
+
+/**
+ * TCX course for Garmin devices. `hours[i]` is riding time up to point i and
+ * `km[i]` distance; trackpoint times count from `start`.
+ */
+export function toTCX(name, coords, { km, hours, waypoints = [], start = new Date() } = {}) {
+  const t0 = start.getTime();
+  const at = (h) => new Date(t0 + h * 3600 * 1000).toISOString();
+  const pos = (c) => `<Position><LatitudeDegrees>${c[1]}</LatitudeDegrees><LongitudeDegrees>${c[0]}</LongitudeDegrees></Position>`;
+  const totalH = hours[hours.length - 1] || 0;
+  const last = coords[coords.length - 1];
+  const lap = `<Lap><TotalTimeSeconds>${Math.round(totalH * 3600)}</TotalTimeSeconds><DistanceMeters>${Math.round(km[km.length - 1] * 1000)}</DistanceMeters>`
+    + `<BeginPosition><LatitudeDegrees>${coords[0][1]}</LatitudeDegrees><LongitudeDegrees>${coords[0][0]}</LongitudeDegrees></BeginPosition>`
+    + `<EndPosition><LatitudeDegrees>${last[1]}</LatitudeDegrees><LongitudeDegrees>${last[0]}</LongitudeDegrees></EndPosition>`
+    + '<Intensity>Active</Intensity></Lap>';
+  const trackpoints = coords.map((c, i) => (
+    `<Trackpoint><Time>${at(hours[i])}</Time>${pos(c)}${Number.isFinite(c[2]) ? `<AltitudeMeters>${c[2]}</AltitudeMeters>` : ''}`
+    + `<DistanceMeters>${(km[i] * 1000).toFixed(1)}</DistanceMeters></Trackpoint>`
+  )).join('');
+  const coursePoints = waypoints.map((p) => {
+    const i = Math.max(0, km.findIndex((k) => k >= p.km_from_start));
+    return `<CoursePoint><Name>${escapeXml(String(p.name || p.category).slice(0, 10))}</Name><Time>${at(hours[i])}</Time>${pos(p.coord)}`
+      + `<PointType>${TCX_POINT_TYPE[p.category] || 'Generic'}</PointType></CoursePoint>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8"?><TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">'
+    + `<Courses><Course><Name>${escapeXml(String(name).slice(0, 15))}</Name>${lap}<Track>${trackpoints}</Track>${coursePoints}</Course></Courses>`
+    + '</TrainingCenterDatabase>';
+}
+
+/**
+ * Route points for a GPX <rte>: every via (first/last included) plus evenly
+ * spaced route vertices as shaping points, at most `maxPoints` in total.
+ * `viaKms` / `km` are distances along the route.
+ */
+export function shapingPoints(coords, km, viaKms, maxPoints = 50) {
+  const totalKm = km[km.length - 1] || 0;
+  const vias = [0, ...viaKms, totalKm].sort((a, b) => a - b);
+  const budget = Math.max(0, maxPoints - vias.length);
+  const step = totalKm / (budget + 1);
+  const idxAt = (k) => { const i = km.findIndex((x) => x >= k); return i < 0 ? km.length - 1 : i; };
+  const pts = vias.map((k) => ({ idx: idxAt(k), via: true }));
+  for (let n = 1; n <= budget; n++) pts.push({ idx: idxAt(n * step), via: false });
+  const byIdx = new Map();
+  for (const p of pts) if (!byIdx.has(p.idx) || p.via) byIdx.set(p.idx, p);
+  return [...byIdx.values()].sort((a, b) => a.idx - b.idx).map((p) => ({ coord: coords[p.idx], via: p.via }));
+}
+
+/** GPX <rte> with Garmin trip extensions marking via vs shaping points. */
+export function toGPXRoute(name, routePoints, { waypoints = [], time = new Date() } = {}) {
+  let viaNo = 0;
+  const rtepts = routePoints.map((p, i) => {
+    const label = p.via ? (i === 0 ? 'Start' : i === routePoints.length - 1 ? 'Finish' : `Via ${++viaNo}`) : `Shape ${i}`;
+    return `<rtept lat="${p.coord[1]}" lon="${p.coord[0]}"><name>${escapeXml(label)}</name>`
+      + `<extensions>${p.via ? '<trp:ViaPoint/>' : '<trp:ShapingPoint/>'}</extensions></rtept>`;
+  }).join('');
+  const meta = `<metadata><name>${escapeXml(name)}</name><time>${time.toISOString()}</time></metadata>`;
+  return '<?xml version="1.0" encoding="UTF-8"?><gpx version="1.1" creator="adv-route" xmlns="http://www.topografix.com/GPX/1/1" '
+    + 'xmlns:trp="http://www.garmin.com/xmlschemas/TripExtensions/v1">'
+    + `${meta}${waypoints.map(wpt).join('')}<rte><name>${escapeXml(name)}</name>${rtepts}</rte></gpx>`;
+}
+
+/** Split a polyline into consecutive parts of at most `maxPoints`, each starting where the last ended. */
+export function splitTrack(coords, maxPoints = 500) {
+  const size = Math.max(2, maxPoints);
+  if (coords.length <= size) return [coords];
+  const parts = [];
+  for (let i = 0; i < coords.length - 1; i += size - 1) parts.push(coords.slice(i, i + size));
+  return parts;
+}
@@ -0,0 +1,56 @@
+// Fuel-range planning: where along a route the tank runs dry and which stations fix it.
+import { distKm } from './bbox.js';
+
+/** Nearest route vertex to `pt`: its index, km from the start and km off the route. */
+export function projectOnRoute(coords, cumKm, pt) {
+  let idx = 0, offKm = Infinity;
+  for (let i = 0; i < coords.length; i++) {
+    const d = distKm(coords[i], pt);
+    if (d < offKm) { offKm = d; idx = i; }
+  }
+  return { idx, alongKm: cumKm[idx], offKm };
+}
+
+/**
+ * Greedy refuelling plan starting with a full tank. `stations` carry
+ * `alongKm` / `offKm`; a stop costs its detour (there and back) out of the
+ * range. Returns chosen stops and the stretches no station can bridge.
+ */
+export function planFuelStops(totalKm, stations, { rangeKm, reserveKm = 0 }) {
+  const usable = Math.max(1, rangeKm - reserveKm);
+  const sorted = stations.slice().sort((a, b) => a.alongKm - b.alongKm);
+  const stops = [];
+  const gaps = [];
+  let pos = 0; // km from start of the last fill-up
+  while (totalKm - pos > usable) {
+    let best = null, bestGain = -Infinity;
+    for (const s of sorted) {
+      if (s.alongKm <= pos || s.alongKm + s.offKm > pos + usable) continue;
+      const gain = s.alongKm - 2 * s.offKm;
+      if (gain > bestGain) { bestGain = gain; best = s; }
+    }
+    if (!best || best.alongKm - pos < 1) {
+      // nothing reachable: the next station (or the finish) is over range
+      const next = sorted.find((s) => s.alongKm > pos + usable);
+      const toKm = next ? next.alongKm : totalKm;
+      gaps.push({ fromKm: pos, toKm });
+      if (!next) break;
+      stops.push(next);
+      pos = next.alongKm;
+      continue;
+    }
+    stops.push(best);
+    pos = best.alongKm;
+  }
+  return { stops, gaps };
+}
+
+/** Stretches between consecutive fill-ups (start, stops, finish) longer than `usableKm`. */
+export function fuelGaps(totalKm, stopKms, usableKm) {
+  const marks = [0, ...stopKms.slice().sort((a, b) => a - b), totalKm];
+  const gaps = [];
+  for (let i = 1; i < marks.length; i++) {
+    if (marks[i] - marks[i - 1] > usableKm) gaps.push({ fromKm: marks[i - 1], toKm: marks[i] });
+  }
+  return gaps;
+}
@@ -0,0 +1,82 @@
+// Polyline helpers shared by the planner (lengths, bearings, resampling).
+import { distKm, toRad } from './bbox.js';
+
+const R_KM = 6371;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+export const polylineLenKm = (coords) => coords.reduce((s, c, i) => i ? s + distKm(coords[i - 1], c) : 0, 0);
+
+export function bearingDeg([lon1, lat1], [lon2, lat2]) {
+  const p1 = toRad(lat1), p2 = toRad(lat2), dl = toRad(lon2 - lon1);
+  const y = Math.sin(dl) * Math.cos(p2);
+  const x = Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/** Point reached from [lon,lat] after `km` along initial bearing `bearing` (degrees). */
+export function destPoint([lon, lat], bearing, km) {
+  const d = km / R_KM, b = toRad(bearing), p1 = toRad(lat), l1 = toRad(lon);
+  const p2 = Math.asin(Math.sin(p1) * Math.cos(d) + Math.cos(p1) * Math.sin(d) * Math.cos(b));
+  const l2 = l1 + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(p1), Math.cos(d) - Math.sin(p1) * Math.sin(p2));
+  return [((toDeg(l2) + 540) % 360) - 180, toDeg(p2)];
+}
+
+/** Points every `stepKm` along a polyline (first and last vertex included). */
+export function resampleKm(coords, stepKm) {
+  if (!Array.isArray(coords) || coords.length < 2 || !(stepKm > 0)) return coords ? coords.slice() : [];
+  const out = [coords[0]];
+  let carry = 0; // km travelled since the last emitted sample
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    const seg = distKm(a, b);
+    let t = stepKm - carry;
+    while (t <= seg) {
+      const r = t / seg;
+      out.push([a[0] + (b[0] - a[0]) * r, a[1] + (b[1] - a[1]) * r]);
+      t += stepKm;
+    }
+    carry = seg - (t - stepKm);
+  }
+  const last = coords[coords.length - 1];
+  if (distKm(out[out.length - 1], last) > 1e-6) out.push(last);
+  return out;
+}
+
+/**
+ * Closest point on a polyline to `pt`: segment index, km from the start and
+ * km off the line (local equirectangular projection per segment).
+ */
+export function nearestOnPolyline(coords, pt) {
+  let best = { idx: 0, alongKm: 0, offKm: Infinity };
+  let acc = 0;
+  const kx = 111.32 * Math.cos(toRad(pt[1])), ky = 110.574;
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    const ax = (a[0] - pt[0]) * kx, ay = (a[1] - pt[1]) * ky;
+    const bx = (b[0] - pt[0]) * kx, by = (b[1] - pt[1]) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const off = Math.hypot(ax + t * dx, ay + t * dy);
+    const seg = distKm(a, b);
+    if (off < best.offKm) best = { idx: i - 1, alongKm: acc + t * seg, offKm: off };
+    acc += seg;
+  }
+  if (coords.length === 1) best = { idx: 0, alongKm: 0, offKm: distKm(coords[0], pt) };
+  return best;
+}
+
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** [lon, lat] inside a GeoJSON Polygon / MultiPolygon (holes respected). */
+export function pointInPolygon(pt, geometry) {
+  const polys = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polys.some(([outer, ...holes]) => inRing(pt, outer) && !holes.some((h) => inRing(pt, h)));
+}
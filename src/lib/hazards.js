@@ -0,0 +1,117 @@
+// Hazards along a finished route: fords, barriers, dead ends and steep stretches, from Overpass
+// tags and from the route's own elevation profile.
+import { distKm } from './bbox.js';
+import { nearestOnPolyline } from './geometry.js';
+
+export const BARRIER_TYPES = ['gate', 'bollard', 'lift_gate'];
+
+/** `incline=*` as a signed percentage ("12%", "-8", "10°"); null for up / down / yes. */
+export function parseIncline(value) {
+  const m = String(value ?? '').trim().match(/^(-?\d+(?:\.\d+)?)\s*(%|°)?$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return m[2] === '°' ? Math.tan(n * Math.PI / 180) * 100 : n;
+}
+
+/** Overpass union of hazard tags around the sampled route `line` ("lat,lon,lat,lon,..."). */
+export function overpassHazardQuery(line, radiusM) {
+  const around = `(around:${radiusM},${line})`;
+  return `
+[out:json][timeout:60];
+(
+  nwr${around}["ford"="yes"];
+  nwr${around}["highway"="ford"];
+  node${around}["barrier"~"^(${BARRIER_TYPES.join('|')})$"];
+  nwr${around}["noexit"="yes"];
+  way${around}["incline"~"^-?[0-9]"];
+);
+out center tags;`;
+}
+
+/**
+ * One Overpass element as a hazard `{ type, subtype, name, coord, source,
+ * osm_id, grade_pct }`, or null. Inclines under `steepPct` are not hazards.
+ */
+export function hazardFromOsm(e, { steepPct = 15 } = {}) {
+  const coord = e.type === 'node' ? [e.lon, e.lat] : (e.center ? [e.center.lon, e.center.lat] : null);
+  const tags = e.tags || {};
+  if (!coord) return null;
+  const base = { name: tags.name || null, coord, source: 'osm', osm_id: `${e.type}/${e.id}` };
+  if (tags.ford === 'yes' || tags.highway === 'ford') return { type: 'ford', subtype: null, ...base };
+  if (BARRIER_TYPES.includes(tags.barrier)) return { type: 'barrier', subtype: tags.barrier, ...base };
+  if (tags.noexit === 'yes') return { type: 'dead_end', subtype: null, ...base };
+  const incline = parseIncline(tags.incline);
+  if (incline !== null && Math.abs(incline) >= steepPct) return { type: 'steep', subtype: null, ...base, grade_pct: Math.round(incline) };
+  return null;
+}
+
+/**
+ * Stretches of the polyline (with z) at least `minLenM` long whose grade over
+ * any `minLenM` window reaches `steepPct`, as hazards with `km_from_start`,
+ * `to_km` and the steepest window's signed `grade_pct` (negative downhill).
+ * Empty when the route has no heights.
+ */
+export function steepStretches(coords, { steepPct = 15, minLenM = 100 } = {}) {
+  const km = [0];
+  for (let i = 1; i < coords.length; i++) km.push(km[i - 1] + distKm(coords[i - 1], coords[i]));
+  const z = coords.map((c) => (Number.isFinite(c[2]) ? c[2] : null));
+  // per edge i (coords[i-1] → coords[i]): steepest signed window grade covering it
+  const edge = new Array(coords.length).fill(0);
+  let j = 0;
+  for (let i = 0; i < coords.length; i++) {
+    while (j < coords.length && (km[j] - km[i]) * 1000 < minLenM) j++;
+    if (j >= coords.length) break;
+    if (z[i] === null || z[j] === null) continue;
+    const grade = (z[j] - z[i]) / ((km[j] - km[i]) * 1000) * 100;
+    if (Math.abs(grade) < steepPct) continue;
+    for (let k = i + 1; k <= j; k++) if (Math.abs(grade) > Math.abs(edge[k])) edge[k] = grade;
+  }
+  const out = [];
+  let run = null;
+  for (let k = 1; k <= coords.length; k++) {
+    const g = edge[k] ?? 0;
+    if (run && (g === 0 || Math.sign(g) !== Math.sign(run.grade))) {
+      out.push({
+        type: 'steep',
+        subtype: run.grade > 0 ? 'up' : 'down',
+        name: null,
+        coord: coords[run.from].slice(0, 2),
+        source: 'elevation',
+        km_from_start: +km[run.from].toFixed(1),
+        to_km: +km[k - 1].toFixed(1),
+        length_m: Math.round((km[k - 1] - km[run.from]) * 1000),
+        grade_pct: Math.round(run.grade)
+      });
+      run = null;
+    }
+    if (g !== 0) {
+      if (!run) run = { from: k - 1, grade: g };
+      else if (Math.abs(g) > Math.abs(run.grade)) run.grade = g;
+    }
+  }
+  return out;
+}
+
+/**
+ * Keep Overpass hazards within `bufferKm` of the route, drop same-type
+ * repeats closer than `dupM` and add `km_from_start` / `off_route_m`.
+ * Sorted by km from the start.
+ */
+export function hazardsAlongRoute(hazards, coords, { bufferKm, dupM = 60 }) {
+  const kept = [];
+  for (const h of hazards) {
+    if (!h) continue;
+    if (kept.some((k) => k.type === h.type && k.subtype === h.subtype && distKm(k.coord, h.coord) * 1000 < dupM)) continue;
+    const { alongKm, offKm } = nearestOnPolyline(coords, h.coord);
+    if (offKm > bufferKm) continue;
+    kept.push({ ...h, km_from_start: +alongKm.toFixed(1), off_route_m: Math.round(offKm * 1000) });
+  }
+  return kept.sort((a, b) => a.km_from_start - b.km_from_start);
+}
+
+/** A hazard as a GPX / GeoJSON waypoint (category = barrier kind or hazard type). */
+export function hazardWaypoint(h) {
+  const category = h.type === 'barrier' ? h.subtype : h.type;
+  const label = h.type === 'steep' ? `steep ${Math.abs(h.grade_pct)}%` : category.replace('_', ' ');
+  return { category, name: h.name ? `${label}: ${h.name}` : label, coord: h.coord, source: h.source, osm_id: h.osm_id ?? null, km_from_start: h.km_from_start };
+}
@@ -0,0 +1,121 @@
+// Shared route files for POST /import: GPX (tracks, routes, waypoints), KML and GeoJSON parsed
+// into one line to analyze and / or the points to plan through.
+import { distKm } from './bbox.js';
+
+/** A file that cannot be read as a route (reported as HTTP 400). */
+export class ImportError extends Error {}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const text = (s) => (s ?? '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => ENTITIES[e])
+  .trim() || null;
+const tag = (xml, name) => text(xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`))?.[1]);
+const blocks = (xml, name) => [...xml.matchAll(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'g'))].map((m) => m[1]);
+const attr = (attrs, name) => Number(attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`))?.[1]);
+
+const validPt = (p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+const withEle = (lon, lat, ele) => (Number.isFinite(ele) ? [lon, lat, ele] : [lon, lat]);
+
+/** Which format `data` (a string, or an already parsed GeoJSON object) is in; null when unknown. */
+export function detectFormat(data) {
+  if (data && typeof data === 'object') return 'geojson';
+  const s = String(data ?? '').trimStart();
+  if (s.startsWith('{')) return 'geojson';
+  if (/<gpx\b/.test(s)) return 'gpx';
+  if (/<kml\b/.test(s)) return 'kml';
+  return null;
+}
+
+// <trkpt lat=".." lon=".."><ele>..</ele></trkpt>, also self-closing
+function gpxPoints(xml, name) {
+  const re = new RegExp(`<${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${name}>)`, 'g');
+  return [...xml.matchAll(re)].map((m) => ({
+    coord: withEle(attr(m[1], 'lon'), attr(m[1], 'lat'), Number(tag(m[2] || '', 'ele') ?? NaN)),
+    name: tag(m[2] || '', 'name')
+  })).filter((p) => validPt(p.coord));
+}
+
+export function parseGPX(xml) {
+  const trks = blocks(xml, 'trk');
+  const lines = trks.flatMap((trk) => blocks(trk, 'trkseg').map((seg) => gpxPoints(seg, 'trkpt').map((p) => p.coord)));
+  const rte = blocks(xml, 'rte').flatMap((r) => gpxPoints(r, 'rtept').map((p) => p.coord));
+  const waypoints = gpxPoints(xml.replace(/<(trk|rte)\b[\s\S]*?<\/\1>/g, ''), 'wpt');
+  const name = tag(xml.match(/<metadata\b[\s\S]*?<\/metadata>/)?.[0] || '', 'name') || (trks[0] && tag(trks[0].replace(/<trkseg\b[\s\S]*/, ''), 'name'));
+  return { name, lines, points: rte.length ? rte : waypoints.map((w) => w.coord), waypoints };
+}
+
+// "lon,lat[,alt] lon,lat[,alt] …"
+const kmlCoords = (s) => String(s || '').trim().split(/\s+/).map((t) => {
+  const [lon, lat, ele] = t.split(',').map(Number);
+  return withEle(lon, lat, ele);
+}).filter(validPt);
+
+export function parseKML(xml) {
+  const lines = [];
+  const waypoints = [];
+  for (const mark of blocks(xml, 'Placemark')) {
+    for (const ls of blocks(mark, 'LineString')) lines.push(kmlCoords(tag(ls, 'coordinates')));
+    // gx:Track: "lon lat alt" per <gx:coord>
+    for (const tr of blocks(mark, 'gx:Track')) {
+      lines.push(blocks(tr, 'gx:coord').map((c) => { const [lon, lat, ele] = c.trim().split(/\s+/).map(Number); return withEle(lon, lat, ele); }).filter(validPt));
+    }
+    for (const pt of blocks(mark, 'Point')) {
+      const [coord] = kmlCoords(tag(pt, 'coordinates'));
+      if (coord) waypoints.push({ coord, name: tag(mark.replace(/<(Point|LineString)\b[\s\S]*?<\/\1>/g, ''), 'name') });
+    }
+  }
+  return { name: tag(xml.match(/<Document\b[^>]*>([\s\S]*?)(<Placemark|<Folder|$)/)?.[1] || '', 'name'), lines, points: waypoints.map((w) => w.coord), waypoints };
+}
+
+export function parseGeoJSON(data) {
+  let doc = data;
+  if (typeof data === 'string') {
+    try { doc = JSON.parse(data); } catch (err) { throw new ImportError(`GeoJSON: ${err.message}`); }
+  }
+  const features = doc?.type === 'FeatureCollection' ? (Array.isArray(doc.features) ? doc.features : [])
+    : doc?.type === 'Feature' ? [doc]
+      : doc?.type ? [{ type: 'Feature', geometry: doc, properties: {} }] : [];
+  const lines = [];
+  const waypoints = [];
+  const pt = (c) => withEle(Number(c?.[0]), Number(c?.[1]), c?.[2] === undefined ? NaN : Number(c[2]));
+  // geometries without a coordinate array (null, missing, an object) are skipped
+  const linePts = (l) => (Array.isArray(l) ? l.map(pt).filter(validPt) : []);
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!Array.isArray(g?.coordinates)) continue;
+    if (g.type === 'LineString') lines.push(linePts(g.coordinates));
+    else if (g.type === 'MultiLineString') for (const l of g.coordinates) lines.push(linePts(l));
+    else if (g.type === 'Point' && validPt(pt(g.coordinates))) waypoints.push({ coord: pt(g.coordinates), name: f.properties?.name ?? null });
+  }
+  const name = doc?.properties?.name ?? features.find((f) => f?.geometry?.type?.endsWith('LineString'))?.properties?.name ?? null;
+  return { name, lines, points: waypoints.map((w) => w.coord), waypoints };
+}
+
+/**
+ * Parse a route file: `{ format, name, line, points, waypoints }`. `line`
+ * joins the file's tracks / line strings in order (null when it has none);
+ * `points` are its GPX route points or waypoints, to plan through instead.
+ */
+export function parseImport(data, format = detectFormat(data)) {
+  const parsers = { gpx: parseGPX, kml: parseKML, geojson: parseGeoJSON };
+  if (!parsers[format]) throw new ImportError('unknown file format; send GPX, KML or GeoJSON');
+  if (format !== 'geojson' && typeof data !== 'string') throw new ImportError(`${format}: data must be the file's text`);
+  const parsed = parsers[format](data);
+  const line = parsed.lines.filter((l) => l.length).flat();
+  if (line.length < 2 && parsed.points.length < 2) throw new ImportError(`${format}: no track, route or two waypoints found`);
+  return { format, name: parsed.name, line: line.length >= 2 ? line : null, points: parsed.points, waypoints: parsed.waypoints };
+}
+
+/** Anchors along an imported line: the first vertex past every `spacingKm`, not counting its ends. */
+export function importAnchors(line, { spacingKm = 10 } = {}) {
+  const out = [];
+  let km = 0, next = spacingKm;
+  for (let i = 1; i < line.length - 1; i++) {
+    km += distKm(line[i - 1], line[i]);
+    if (km < next) continue;
+    out.push(line[i].slice(0, 2));
+    next = km + spacingKm;
+  }
+  return out;
+}
@@ -0,0 +1,123 @@
+// Background jobs for requests that outlive a proxy timeout (POST /plan?async=1): status, result,
+// a replayable stage-event log for SSE subscribers and cooperative cancellation. Kept in memory;
+// finished jobs are dropped `ttlMs` later. Work finds its job through AsyncLocalStorage, so deep
+// code reports stages with `progress()` without a job being threaded through every call.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/** Thrown inside a job's work once the job has been cancelled. */
+export class JobCancelled extends Error {
+  constructor() {
+    super('job cancelled');
+  }
+}
+
+export const TERMINAL_STAGES = new Set(['done', 'failed', 'cancelled']);
+
+const current = new AsyncLocalStorage();
+
+/** Throw JobCancelled when the job running this code has been cancelled (no-op outside a job). */
+export function throwIfCancelled() {
+  if (current.getStore()?.cancelled) throw new JobCancelled();
+}
+
+/** Abort signal of the job running this code, for fetches; undefined outside a job. */
+export const jobSignal = () => current.getStore()?.controller.signal;
+
+/**
+ * Record a stage event (`{ seq, stage, at, ...data }`) for the job running
+ * this code; no-op outside a job. Throws JobCancelled once the job has been
+ * cancelled, so its work stops at the next stage.
+ */
+export function progress(stage, data = {}) {
+  const job = current.getStore();
+  if (!job) return;
+  throwIfCancelled();
+  job.emit(stage, data);
+}
+
+/**
+ * In-memory job table. `start(kind, work)` runs `work(job)` in the
+ * background and returns the job's view right away; `subscribe(id, fn)`
+ * replays the events after `after` and streams new ones until the job ends.
+ */
+export function createJobs({ newId, ttlMs = 60 * 60 * 1000, maxEvents = 500 }) {
+  const jobs = new Map();
+
+  const view = (job) => ({
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    stage: job.events[job.events.length - 1]?.stage ?? null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+    ...(job.status === 'done' ? { result: job.result } : {}),
+    ...(job.status === 'failed' ? { error: job.error } : {})
+  });
+
+  const end = (job, status, fields = {}) => {
+    Object.assign(job, { status, ...fields });
+    job.emit(status, fields.error ? { error: fields.error } : {});
+    job.listeners.clear();
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref?.();
+  };
+
+  return {
+    start(kind, work) {
+      const now = new Date().toISOString();
+      const job = {
+        id: newId(),
+        kind,
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+        events: [],
+        seq: 0,
+        listeners: new Set(),
+        cancelled: false,
+        controller: new AbortController(),
+        emit(stage, data) {
+          const event = { seq: ++job.seq, stage, at: new Date().toISOString(), ...data };
+          job.updatedAt = event.at;
+          job.events.push(event);
+          if (job.events.length > maxEvents) job.events.shift();
+          for (const fn of job.listeners) fn(event);
+        }
+      };
+      jobs.set(job.id, job);
+      setImmediate(() => {
+        current.run(job, () => work(job)).then(
+          (result) => { if (!job.cancelled) end(job, 'done', { result }); },
+          (err) => { if (!job.cancelled) end(job, 'failed', { error: String(err?.message ?? err) }); }
+        );
+      });
+      return view(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    },
+
+    /** Replay events after `after` (a seq) to `fn`, then stream live ones; returns an unsubscribe, or null for an unknown job. */
+    subscribe(id, fn, { after = 0 } = {}) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      for (const event of job.events) if (event.seq > after) fn(event);
+      if (TERMINAL_STAGES.has(job.status)) return () => {};
+      job.listeners.add(fn);
+      return () => job.listeners.delete(fn);
+    },
+
+    /** Cancel a running job: its next stage (or GH call) throws JobCancelled. Null when unknown. */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === 'running') {
+        job.cancelled = true;
+        job.controller.abort();
+        end(job, 'cancelled');
+      }
+      return view(job);
+    }
+  };
+}
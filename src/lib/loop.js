@@ -0,0 +1,89 @@
+// Round-trip helpers: a ring of anchors around the start, nudged onto OSM tracks.
+import { distKm } from './bbox.js';
+import { bearingDeg, destPoint, resampleKm } from './geometry.js';
+
+// Roads wander: a ring of circumference C usually rides as ~1.35·C.
+export const LOOP_ROAD_FACTOR = 1.35;
+
+/** Circle through `start` sized so the ridden loop lands near `kmTarget`. */
+export function loopRing(start, kmTarget, { anchors = 4, bearing = 0, roadFactor = LOOP_ROAD_FACTOR } = {}) {
+  const radiusKm = Math.max(1, kmTarget / (2 * Math.PI * roadFactor));
+  const center = destPoint(start, bearing, radiusKm);
+  const back = (bearing + 180) % 360; // where start sits, seen from the center
+  const ring = [];
+  for (let k = 1; k <= anchors; k++) {
+    ring.push(destPoint(center, (back + (k * 360) / (anchors + 1)) % 360, radiusKm));
+  }
+  return { center, radiusKm, ring };
+}
+
+/** SW / NE corners covering a loop of this radius in any direction. */
+export function loopExtent([lon, lat], radiusKm) {
+  const reach = 2 * radiusKm;
+  const sw = [destPoint([lon, lat], 270, reach)[0], destPoint([lon, lat], 180, reach)[1]];
+  const ne = [destPoint([lon, lat], 90, reach)[0], destPoint([lon, lat], 0, reach)[1]];
+  return { sw, ne };
+}
+
+/** Move each point to the nearest track vertex within `maxKm`; untouched when none is close. */
+export function snapToTracks(points, tracks, maxKm) {
+  let snapped = 0;
+  let distSum = 0;
+  const anchors = points.map((p) => {
+    let best = null, bestD = maxKm;
+    for (const t of tracks || []) {
+      for (const c of t?.coords || []) {
+        const d = distKm(p, c);
+        if (d < bestD) { bestD = d; best = c; }
+      }
+    }
+    if (!best) return p;
+    snapped++;
+    distSum += bestD;
+    return best;
+  });
+  return { anchors, snapped, distSum };
+}
+
+/**
+ * Candidate loops for every compass bearing, best first: most anchors on
+ * tracks, then shortest snapping distance.
+ */
+export function rankLoopBearings(start, kmTarget, tracks, { anchors = 4, bearings = 8, snapRatio = 0.35 } = {}) {
+  const out = [];
+  for (let i = 0; i < bearings; i++) {
+    const bearing = (i * 360) / bearings;
+    const { center, radiusKm, ring } = loopRing(start, kmTarget, { anchors, bearing });
+    const snap = snapToTracks(ring, tracks, radiusKm * snapRatio);
+    out.push({ bearing, center, radiusKm, anchors: snap.anchors, snapped: snap.snapped, distSum: snap.distSum });
+  }
+  return out.sort((x, y) => (y.snapped - x.snapped) || (x.distSum - y.distSum));
+}
+
+/** Sort points clockwise around `center`, starting just after `start`. */
+export function orderAroundCenter(center, start, points) {
+  const base = bearingDeg(center, start);
+  const rel = (p) => (bearingDeg(center, p) - base + 360) % 360;
+  return points.slice().sort((p, q) => rel(p) - rel(q));
+}
+
+/**
+ * Share of the route that rides over ground it already covered (0..1).
+ * Samples every `cellM` metres and counts samples landing in a grid cell last
+ * visited more than `minGap` samples earlier.
+ */
+export function retraceShare(coords, { cellM = 40, minGap = 6 } = {}) {
+  const samples = resampleKm(coords, cellM / 1000);
+  if (samples.length < 2) return 0;
+  const latStep = cellM / 110540;
+  const lastSeen = new Map();
+  let repeated = 0;
+  samples.forEach(([lon, lat], i) => {
+    const lonStep = cellM / (111320 * Math.max(0.1, Math.cos(lat * Math.PI / 180)));
+    const key = `${Math.round(lon / lonStep)}:${Math.round(lat / latStep)}`;
+    const prev = lastSeen.get(key);
+    if (prev !== undefined && i - prev > minGap) repeated++;
+    lastSeen.set(key, i);
+  });
+  return repeated / samples.length;
+}
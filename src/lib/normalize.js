@@ -7,6 +7,15 @@ const coord = z.union([
   z.object({ lon: z.number(), lat: z.number() })
 ]);
 
+// GeoJSON Polygon / MultiPolygon ([lon, lat] rings, closed)
+const ring = z.array(z.array(z.number()).min(2).max(3)).min(4);
+const areaGeometry = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('Polygon'), coordinates: z.array(ring).min(1) }),
+  z.object({ type: z.literal('MultiPolygon'), coordinates: z.array(z.array(ring).min(1)).min(1) })
+]);
+
+const poiCategoryEnum = z.enum(['viewpoint','campsite','drinking_water','ford','mountain_pass','cafe']);
+const formatEnum = z.enum(['gpx','geojson','kml','tcx','gpx_route','gpx_split']);
 const surfacePreferEnum = z.enum(['asphalt','compacted','gravel','dirt','ground','fine_gravel','sand']);
 const surfaceEnum = z.enum(['asphalt','compacted','gravel','dirt','ground','fine_gravel','sand','mud']);
 
@@ -16,13 +25,73 @@ export const planSchema = z.object({
   vias: z.array(coord).optional(),
   distance_km_target: z.number().positive().optional(),
   time_budget_h: z.number().positive().optional(),
+  distance_tolerance_km: z.number().positive().optional(),
+  rider_profile: z.enum(['heavy_road','adv_mid','light_enduro']).optional(),
+  ride_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'ride_date must be YYYY-MM-DD').optional(),
   region_hint_bbox: z.array(z.number()).length(4).optional(),
   strategy: z.enum(['ch','stitch']).optional(),
+  loop: z.boolean().optional(),
+  off_pavement_target: z.number().min(0).max(1).optional(),
+  alternatives: z.number().int().min(1).max(5).optional(),
+  days: z.number().int().min(1).max(30).optional(),
+  hours_per_day: z.number().positive().max(16).optional(),
+  fuel_range_km: z.number().min(30).max(2000).optional(),
+  pois: z.boolean().optional(),
+  poi_categories: z.array(poiCategoryEnum).optional(),
+  poi_buffer_m: z.number().min(50).max(5000).optional(),
+  hazards: z.boolean().optional(),
+  formats: z.array(formatEnum).min(1).optional(),
+  max_track_points: z.number().int().min(100).max(100000).optional(),
+  simplify: z.enum(['none','dp','vw']).optional(),
+  simplify_tolerance_m: z.number().min(0).max(500).optional(),
+  simplify_max_points: z.number().int().min(10).max(100000).optional(),
+  densify_m: z.number().min(0).max(5000).optional(),
   use_custom_model: z.boolean().optional(),
   avoid_motorways: z.boolean().optional(),
   avoid_tolls: z.boolean().optional(),
   prefer_surfaces: z.array(surfacePreferEnum).optional(),
-  avoid_surfaces: z.array(surfaceEnum).optional()
+  avoid_surfaces: z.array(surfaceEnum).optional(),
+  avoid_areas: z.array(areaGeometry).max(20).optional()
+});
+
+// GET /routes query string; bbox is "south,west,north,east" like region_hint_bbox
+export const routeListSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).default(0),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  bbox: z.string()
+    .transform((s) => s.split(',').map(Number))
+    .refine((b) => b.length === 4 && b.every(Number.isFinite), 'bbox must be south,west,north,east')
+    .optional()
+});
+
+export const routeRenameSchema = z.object({ name: z.string().trim().min(1).max(200) });
+
+// POST /refine: edits applied in order to the stored legs of `route_id`
+const refineEdit = z.discriminatedUnion('op', [
+  z.object({ op: z.literal('add_via'), at: coord }),
+  z.object({ op: z.literal('move_via'), from: coord, to: coord }),
+  z.object({ op: z.literal('remove_via'), at: coord }),
+  z.object({ op: z.literal('block_segment'), from_km: z.number().min(0), to_km: z.number().positive() }),
+  z.object({ op: z.literal('swap_track'), track_id: z.coerce.string(), with_track_id: z.coerce.number().int().positive().optional() }), // an OSM way id
+  z.object({ op: z.literal('distance'), km: z.number().positive(), tolerance_km: z.number().positive().optional() })
+]);
+
+export const refineSchema = z.object({
+  route_id: z.string().min(1),
+  edits: z.array(refineEdit).min(1).max(20),
+  name: z.string().trim().min(1).max(200).optional()
+});
+
+// POST /import: a shared route file (text, or a GeoJSON object) plus the plan preferences used
+// to analyze it or plan it again; start, end and vias come from the file
+export const importSchema = planSchema.omit({ start: true, end: true, vias: true, loop: true }).extend({
+  data: z.union([z.string().min(1), z.record(z.any())]),
+  format: z.enum(['gpx','geojson','kml']).optional(),
+  mode: z.enum(['analyze','replan']).default('analyze'),
+  name: z.string().trim().min(1).max(200).optional(),
+  anchor_spacing_km: z.number().min(1).max(100).optional()
 });
 
 export function validatePlan(body) {
@@ -0,0 +1,75 @@
+// Points of interest along a route: Overpass + OpenTripMap, classified, buffered and de-duplicated.
+import { distKm } from './bbox.js';
+import { nearestOnPolyline } from './geometry.js';
+
+// category -> Overpass tag filters / OpenTripMap kind
+export const POI_CATEGORIES = {
+  viewpoint: { osm: ['["tourism"="viewpoint"]'], otm: 'view_points' },
+  campsite: { osm: ['["tourism"="camp_site"]'], otm: 'campsites' },
+  drinking_water: { osm: ['["amenity"="drinking_water"]'] },
+  ford: { osm: ['["ford"="yes"]', '["highway"="ford"]'] },
+  mountain_pass: { osm: ['["mountain_pass"="yes"]'] },
+  cafe: { osm: ['["amenity"="cafe"]'], otm: 'cafes' }
+};
+
+export function classifyOsm(tags = {}) {
+  if (tags.mountain_pass === 'yes') return 'mountain_pass';
+  if (tags.ford === 'yes' || tags.highway === 'ford') return 'ford';
+  if (tags.tourism === 'viewpoint') return 'viewpoint';
+  if (tags.tourism === 'camp_site') return 'campsite';
+  if (tags.amenity === 'drinking_water') return 'drinking_water';
+  if (tags.amenity === 'cafe') return 'cafe';
+  return null;
+}
+
+export function classifyOtm(kinds = '') {
+  const k = String(kinds).split(',');
+  return Object.keys(POI_CATEGORIES).find((c) => POI_CATEGORIES[c].otm && k.includes(POI_CATEGORIES[c].otm)) || null;
+}
+
+/** Overpass union of every category's filters around the sampled route `line` ("lat,lon,lat,lon,..."). */
+export function overpassPoiQuery(categories, line, radiusM) {
+  const parts = categories.flatMap((c) => (POI_CATEGORIES[c]?.osm || []).map((f) => `  nwr(around:${radiusM},${line})${f};`));
+  return `
+[out:json][timeout:60];
+(
+${parts.join('\n')}
+);
+out center tags;`;
+}
+
+export function poiFromOsm(e) {
+  const coord = e.type === 'node' ? [e.lon, e.lat] : (e.center ? [e.center.lon, e.center.lat] : null);
+  const category = classifyOsm(e.tags);
+  if (!coord || !category) return null;
+  return { category, name: e.tags?.name || null, coord, source: 'osm', osm_id: `${e.type}/${e.id}` };
+}
+
+export function poiFromOtm(f) {
+  const category = classifyOtm(f.properties?.kinds);
+  const coord = f.geometry?.coordinates;
+  if (!category || !Array.isArray(coord)) return null;
+  return { category, name: f.properties?.name || null, coord: [coord[0], coord[1]], source: 'opentripmap', otm_xid: f.properties?.xid };
+}
+
+/**
+ * Keep POIs of the wanted categories within `bufferKm` of the route, drop
+ * same-category repeats closer than `dupM` (earlier sources win, but a named
+ * POI replaces an unnamed one) and sort by km from the start.
+ */
+export function poisAlongRoute(pois, coords, { categories, bufferKm, dupM = 60 }) {
+  const wanted = new Set(categories);
+  const kept = [];
+  for (const p of pois) {
+    if (!p || !wanted.has(p.category)) continue;
+    const dup = kept.find((q) => q.category === p.category && distKm(q.coord, p.coord) * 1000 < dupM);
+    if (dup) {
+      if (!dup.name && p.name) dup.name = p.name;
+      continue;
+    }
+    const { alongKm, offKm } = nearestOnPolyline(coords, p.coord);
+    if (offKm > bufferKm) continue;
+    kept.push({ ...p, km_from_start: +alongKm.toFixed(1), off_route_m: Math.round(offKm * 1000) });
+  }
+  return kept.sort((a, b) => a.km_from_start - b.km_from_start);
+}
@@ -0,0 +1,126 @@
+// Route records: what /plan was asked, what it built and where the files are.
+// A driver is { name, insert(rec), get(id), list(query) -> { items, total }, update(id, patch), remove(id) }.
+// Records are plain objects; `bbox` is [south, west, north, east] like the rest of the planner.
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+const JSON_FIELDS = ['input', 'edits', 'anchors', 'stats', 'evidence', 'files', 'paths', 'legs', 'result'];
+
+/** Route polyline extent as [south, west, north, east]. */
+export function routeBBox(coords) {
+  let s = Infinity, w = Infinity, n = -Infinity, e = -Infinity;
+  for (const [lon, lat] of coords) {
+    if (lat < s) s = lat; if (lat > n) n = lat;
+    if (lon < w) w = lon; if (lon > e) e = lon;
+  }
+  return [s, w, n, e];
+}
+
+const toRow = ({ bbox, ...rec }) => ({ ...rec, south: bbox[0], west: bbox[1], north: bbox[2], east: bbox[3] });
+const fromRow = ({ south, west, north, east, ...row }) => ({ ...row, bbox: [south, west, north, east] });
+
+/** Supabase Postgres table (see db/routes.sql); JSON columns are jsonb. */
+export async function supabaseRecords({ url, serviceRole, table = 'routes' }) {
+  const { createClient } = await import('@supabase/supabase-js');
+  const db = createClient(url, serviceRole, { auth: { persistSession: false } });
+  const check = ({ data, error, count }) => {
+    if (error) throw error;
+    return { data, count };
+  };
+  return {
+    name: 'supabase',
+    async insert(rec) {
+      check(await db.from(table).insert(toRow(rec)));
+    },
+    async get(id) {
+      const { data } = check(await db.from(table).select('*').eq('id', id).maybeSingle());
+      return data ? fromRow(data) : null;
+    },
+    async list({ limit, offset, from, to, bbox }) {
+      let q = db.from(table).select('id,name,created_at,updated_at,parent_id,version,stats,south,west,north,east', { count: 'exact' });
+      if (from) q = q.gte('created_at', from);
+      if (to) q = q.lte('created_at', to);
+      if (bbox) q = q.gte('north', bbox[0]).gte('east', bbox[1]).lte('south', bbox[2]).lte('west', bbox[3]);
+      const { data, count } = check(await q.order('created_at', { ascending: false }).range(offset, offset + limit - 1));
+      return { items: data.map(fromRow), total: count ?? data.length };
+    },
+    async update(id, patch) {
+      const { data } = check(await db.from(table).update(patch).eq('id', id).select('*').maybeSingle());
+      return data ? fromRow(data) : null;
+    },
+    async remove(id) {
+      const { data } = check(await db.from(table).delete().eq('id', id).select('id'));
+      return data.length > 0;
+    }
+  };
+}
+
+/** Local SQLite stand-in (one file, created on first use); JSON columns are text. */
+export async function sqliteRecords({ file }) {
+  const { default: Database } = await import('better-sqlite3');
+  if (file !== ':memory:') mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS routes (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    parent_id TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    input TEXT, edits TEXT, anchors TEXT, stats TEXT, evidence TEXT, files TEXT, paths TEXT, legs TEXT, result TEXT,
+    south REAL, west REAL, north REAL, east REAL
+  );
+  CREATE INDEX IF NOT EXISTS routes_created_at ON routes (created_at);`);
+  // files created before versions / legs existed
+  const have = new Set(db.prepare('PRAGMA table_info(routes)').all().map((c) => c.name));
+  for (const [col, type] of [['version', 'INTEGER NOT NULL DEFAULT 1'], ['edits', 'TEXT'], ['legs', 'TEXT']]) {
+    if (!have.has(col)) db.exec(`ALTER TABLE routes ADD COLUMN ${col} ${type}`);
+  }
+  const encode = (row) => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, JSON_FIELDS.includes(k) ? JSON.stringify(v ?? null) : v]));
+  const decode = (row) => {
+    if (!row) return null;
+    return fromRow(Object.fromEntries(Object.entries(row).map(([k, v]) => [k, JSON_FIELDS.includes(k) && v !== null ? JSON.parse(v) : v])));
+  };
+  const get = (id) => decode(db.prepare('SELECT * FROM routes WHERE id = ?').get(id));
+  return {
+    name: 'sqlite',
+    async insert(rec) {
+      const row = encode(toRow(rec));
+      const cols = Object.keys(row);
+      db.prepare(`INSERT INTO routes (${cols.join(',')}) VALUES (${cols.map((c) => `@${c}`).join(',')})`).run(row);
+    },
+    get: async (id) => get(id),
+    async list({ limit, offset, from, to, bbox }) {
+      const where = [], args = {};
+      if (from) { where.push('created_at >= @from'); args.from = from; }
+      if (to) { where.push('created_at <= @to'); args.to = to; }
+      if (bbox) {
+        where.push('north >= @s AND east >= @w AND south <= @n AND west <= @e');
+        Object.assign(args, { s: bbox[0], w: bbox[1], n: bbox[2], e: bbox[3] });
+      }
+      const cond = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM routes ${cond}`).get(args);
+      const rows = db.prepare(`SELECT id, name, created_at, updated_at, parent_id, version, stats, south, west, north, east FROM routes ${cond}
+        ORDER BY created_at DESC LIMIT @limit OFFSET @offset`).all({ ...args, limit, offset });
+      return { items: rows.map(decode), total };
+    },
+    async update(id, patch) {
+      const row = encode(patch);
+      const cols = Object.keys(row);
+      const { changes } = db.prepare(`UPDATE routes SET ${cols.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @id`).run({ ...row, id });
+      return changes ? get(id) : null;
+    },
+    async remove(id) {
+      return db.prepare('DELETE FROM routes WHERE id = ?').run(id).changes > 0;
+    }
+  };
+}
+
+export const RECORD_DRIVERS = { SUPABASE: supabaseRecords, SQLITE: sqliteRecords };
+
+export async function createRecords(kind, opts) {
+  const make = RECORD_DRIVERS[String(kind || '').toUpperCase()];
+  if (!make) throw new Error(`unknown RECORDS "${kind}" (expected ${Object.keys(RECORD_DRIVERS).join(' | ')})`);
+  return make(opts);
+}
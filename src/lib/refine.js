@@ -0,0 +1,225 @@
+// /refine: edit the stored legs of a route so only the connectors an edit touches are routed again.
+// A leg is { type: 'connector' | 'track', id?, from, to, coords, details }; `coords: null` marks a
+// connector that still has to be routed from `from` to `to`.
+import { distKm } from './bbox.js';
+import { bearingDeg, destPoint, nearestOnPolyline, polylineLenKm } from './geometry.js';
+import { LOOP_ROAD_FACTOR } from './loop.js';
+import { sliceDetails } from './details.js';
+
+/** An edit that cannot apply to this route (reported as HTTP 400). */
+export class RefineError extends Error {}
+
+export const pendingConnector = (from, to) => ({ type: 'connector', from, to, coords: null, details: {} });
+
+/** Stored legs ({ type, id, coords, details }) with their end points. */
+export const loadLegs = (stored) => stored.map((l) => ({ ...l, from: l.coords[0], to: l.coords[l.coords.length - 1] }));
+
+/**
+ * Cut one routed path into connector legs at its waypoints, in order: the
+ * first vertex within 2 m (GH snapped points), else the nearest one further on.
+ */
+export function splitAtWaypoints(coords, details, waypoints) {
+  const cuts = [0];
+  let from = 0;
+  for (const wp of waypoints.slice(1, -1)) {
+    let best = from, bestD = Infinity;
+    for (let i = from; i < coords.length; i++) {
+      const d = distKm(coords[i], wp);
+      if (d < bestD) { bestD = d; best = i; }
+      if (d < 0.002) break;
+    }
+    cuts.push(best);
+    from = best;
+  }
+  cuts.push(coords.length - 1);
+  const legs = [];
+  for (let k = 1; k < cuts.length; k++) {
+    if (cuts[k] <= cuts[k - 1]) continue;
+    legs.push({ type: 'connector', coords: coords.slice(cuts[k - 1], cuts[k] + 1), details: sliceDetails(details, cuts[k - 1], cuts[k]) });
+  }
+  return legs;
+}
+
+/** Routed km, or a road-factor guess for a pending connector. */
+export const legKm = (leg) => (leg.coords ? polylineLenKm(leg.coords) : LOOP_ROAD_FACTOR * distKm(leg.from, leg.to));
+
+export const legsKm = (legs) => legs.reduce((s, l) => s + legKm(l), 0);
+
+/** Km from the route start at which each leg begins. */
+export function legStarts(legs) {
+  const starts = [];
+  let acc = 0;
+  for (const leg of legs) { starts.push(acc); acc += legKm(leg); }
+  return starts;
+}
+
+/** Index i of the leg boundary (legs[i].from, start and finish excluded) nearest `pt`, within `maxKm`. */
+export function nearestBoundary(legs, pt, maxKm) {
+  let best = null;
+  for (let i = 1; i < legs.length; i++) {
+    const d = distKm(legs[i].from, pt);
+    if (!best || d < best.d) best = { i, d };
+  }
+  if (!best || best.d > maxKm) throw new RefineError(`no via within ${Math.round(maxKm * 1000)} m of ${pt.join(',')}`);
+  return best.i;
+}
+
+function requireConnectors(legs, i) {
+  if (legs[i - 1].type !== 'connector' || legs[i].type !== 'connector') {
+    throw new RefineError('that point is the end of a stitched track; swap or block the track instead');
+  }
+}
+
+/** Split the connector passing closest to `pt` into two that meet at `pt`. */
+export function addVia(legs, pt) {
+  let best = null;
+  legs.forEach((leg, i) => {
+    if (leg.type !== 'connector') return;
+    const off = leg.coords ? nearestOnPolyline(leg.coords, pt).offKm : Math.min(distKm(leg.from, pt), distKm(leg.to, pt));
+    if (!best || off < best.off) best = { i, off };
+  });
+  if (!best) throw new RefineError('route has no connector to add a via to');
+  const leg = legs[best.i];
+  return [...legs.slice(0, best.i), pendingConnector(leg.from, pt), pendingConnector(pt, leg.to), ...legs.slice(best.i + 1)];
+}
+
+export function moveVia(legs, at, to, maxKm) {
+  const i = nearestBoundary(legs, at, maxKm);
+  requireConnectors(legs, i);
+  const out = legs.slice();
+  out[i - 1] = pendingConnector(legs[i - 1].from, to);
+  out[i] = pendingConnector(to, legs[i].to);
+  return out;
+}
+
+export function removeVia(legs, at, maxKm) {
+  const i = nearestBoundary(legs, at, maxKm);
+  requireConnectors(legs, i);
+  return [...legs.slice(0, i - 1), pendingConnector(legs[i - 1].from, legs[i].to), ...legs.slice(i + 1)];
+}
+
+/** Part of a polyline between `k0` and `k1` km from its start (ends interpolated). */
+export function sliceByKm(coords, k0, k1) {
+  const out = [];
+  let acc = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    const seg = distKm(a, b);
+    const lerp = (k) => { const t = seg ? (k - acc) / seg : 0; return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]; };
+    if (acc + seg >= k0 && acc <= k1) {
+      if (!out.length) out.push(k0 > acc ? lerp(k0) : a);
+      out.push(k1 < acc + seg ? lerp(k1) : b);
+    }
+    acc += seg;
+  }
+  return out;
+}
+
+/** Buffered boxes (GeoJSON Polygons) covering a polyline in pieces of about `chunkKm`. */
+export function corridorBoxes(coords, { chunkKm = 0.5, bufferM = 30 } = {}) {
+  const boxes = [];
+  let piece = [], acc = 0;
+  const flush = () => {
+    if (!piece.length) return;
+    const lats = piece.map((c) => c[1]), lons = piece.map((c) => c[0]);
+    const dLat = bufferM / 110574, dLon = bufferM / (111320 * Math.cos(lats[0] * Math.PI / 180));
+    const s = Math.min(...lats) - dLat, n = Math.max(...lats) + dLat;
+    const w = Math.min(...lons) - dLon, e = Math.max(...lons) + dLon;
+    boxes.push({ type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] });
+  };
+  coords.forEach((c, i) => {
+    if (i) acc += distKm(coords[i - 1], c);
+    piece.push(c);
+    if (acc >= chunkKm) { flush(); piece = [c]; acc = 0; }
+  });
+  if (piece.length > 1) flush();
+  return boxes;
+}
+
+/**
+ * Take km `fromKm`–`toKm` out of the route: tracks there become plain
+ * connectors, connectors are rerouted around `areas` (the blocked stretch,
+ * kept `endKeepKm` clear of leg ends so GH can still snap them).
+ */
+export function blockSegment(legs, fromKm, toKm, { endKeepKm = 0.05, chunkKm, bufferM } = {}) {
+  const starts = legStarts(legs);
+  const out = legs.slice();
+  const areas = [];
+  legs.forEach((leg, i) => {
+    const len = legKm(leg);
+    const k0 = Math.max(fromKm - starts[i], endKeepKm), k1 = Math.min(toKm - starts[i], len - endKeepKm);
+    if (k1 <= k0 || !leg.coords) return;
+    out[i] = pendingConnector(leg.from, leg.to);
+    areas.push(...corridorBoxes(sliceByKm(leg.coords, k0, k1), { chunkKm, bufferM }));
+  });
+  if (!areas.length) throw new RefineError(`km ${fromKm}–${toKm} is not on the route`);
+  return { legs: out, areas };
+}
+
+/**
+ * Replace the stitched track `trackId` by `track` ({ id, coords, details }),
+ * flipped to run the same way, and reconnect its neighbours.
+ */
+export function swapTrack(legs, trackId, track) {
+  const i = legs.findIndex((l) => l.type === 'track' && String(l.id) === String(trackId));
+  if (i < 0) throw new RefineError(`track ${trackId} is not part of this route`);
+  const { from: prevPt, to: nextPt } = legs[i];
+  let coords = track.coords;
+  const straight = distKm(prevPt, coords[0]) + distKm(nextPt, coords[coords.length - 1]);
+  const flipped = distKm(prevPt, coords[coords.length - 1]) + distKm(nextPt, coords[0]);
+  let details = track.details;
+  if (flipped < straight) {
+    const n = coords.length - 1;
+    coords = coords.slice().reverse();
+    details = Object.fromEntries(Object.entries(details || {}).map(([k, rs]) => [k, rs.map(([a, b, v]) => [n - b, n - a, v]).reverse()]));
+  }
+  const leg = { type: 'track', id: track.id, from: coords[0], to: coords[coords.length - 1], coords, details };
+  const before = legs.slice(0, i);
+  if (before.length && before[before.length - 1].type === 'connector') before[before.length - 1] = pendingConnector(before[before.length - 1].from, leg.from);
+  else before.push(pendingConnector(prevPt, leg.from));
+  const after = legs.slice(i + 1);
+  if (after.length && after[0].type === 'connector') after[0] = pendingConnector(leg.to, after[0].to);
+  else after.unshift(pendingConnector(leg.to, nextPt));
+  return [...before, leg, ...after];
+}
+
+/**
+ * One step toward `targetKm`: a detour anchor off the chord of the longest
+ * connector when too short, or dropping the via / track whose estimated saving
+ * best matches the excess when too long. Null when within `toleranceKm` or
+ * nothing can be dropped.
+ */
+export function fitDistance(legs, targetKm, { toleranceKm = 2, roadFactor = LOOP_ROAD_FACTOR } = {}) {
+  const delta = targetKm - legsKm(legs);
+  if (Math.abs(delta) <= toleranceKm) return null;
+
+  if (delta > 0) {
+    let i = -1;
+    legs.forEach((l, j) => { if (l.type === 'connector' && (i < 0 || legKm(l) > legKm(legs[i]))) i = j; });
+    if (i < 0) return null;
+    const { from, to } = legs[i];
+    const chord = distKm(from, to);
+    const half = (legKm(legs[i]) + delta) / (2 * roadFactor);
+    const offKm = Math.sqrt(Math.max(0, half * half - (chord / 2) ** 2));
+    const bearing = bearingDeg(from, to);
+    const pt = destPoint(destPoint(from, bearing, chord / 2), (bearing + 90) % 360, offKm);
+    return [...legs.slice(0, i), pendingConnector(from, pt), pendingConnector(pt, to), ...legs.slice(i + 1)];
+  }
+
+  // spans [s, e] of legs that collapse into one connector
+  const spans = [];
+  for (let i = 1; i < legs.length; i++) {
+    if (legs[i - 1].type === 'connector' && legs[i].type === 'connector') spans.push([i - 1, i]);
+    if (legs[i].type === 'track' && legs[i - 1].type === 'connector' && legs[i + 1]?.type === 'connector') spans.push([i - 1, i + 1]);
+  }
+  let best = null;
+  for (const [s, e] of spans) {
+    let km = 0;
+    for (let j = s; j <= e; j++) km += legKm(legs[j]);
+    const saving = km - roadFactor * distKm(legs[s].from, legs[e].to);
+    const miss = Math.abs(saving + delta);
+    if (saving > 0 && (!best || miss < best.miss)) best = { s, e, miss };
+  }
+  if (!best) return null;
+  return [...legs.slice(0, best.s), pendingConnector(legs[best.s].from, legs[best.e].to), ...legs.slice(best.e + 1)];
+}
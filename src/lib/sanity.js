@@ -0,0 +1,190 @@
+// Route sanity pass: spurs, spikes, U-turns, stretches ridden twice and gaps between merged legs.
+// Spurs and spikes are cut here; gaps need GH and are rerouted by the server.
+import { distKm } from './bbox.js';
+import { bearingDeg, nearestOnPolyline, resampleKm } from './geometry.js';
+import { joinParts, remapDetails, sliceDetails } from './details.js';
+
+export const SANITY_DEFAULTS = {
+  gapM: 150,        // legs further apart than this at a join
+  joinM: 30,        // an out-and-back returns within this of where it left
+  spurMinKm: 0.05,  // shorter excursions are GH snapping noise
+  spurMaxKm: 5,     // one-way length of the longest spur cut automatically
+  keepKm: 0.1,      // spurs whose tip is this close to a kept point (user via) stay
+  spikeM: 150,      // single-vertex excursions longer than this
+  uturnDeg: 160,    // heading change that counts as turning back
+  headingM: 50,     // headings measured over this much path either side
+  repeatCellM: 40,  // grid for stretches ridden twice
+  repeatMinKm: 0.5
+};
+
+function cumulativeKm(coords) {
+  const km = [0];
+  for (let i = 1; i < coords.length; i++) km.push(km[i - 1] + distKm(coords[i - 1], coords[i]));
+  return km;
+}
+
+const turnDeg = (inDeg, outDeg) => {
+  const d = Math.abs(outDeg - inDeg) % 360;
+  return d > 180 ? 360 - d : d;
+};
+
+/** Joins where a leg starts more than `gapM` from where the previous one ended. */
+export function legGaps(legs, { gapM = SANITY_DEFAULTS.gapM } = {}) {
+  const gaps = [];
+  for (let k = 1; k < legs.length; k++) {
+    const from = legs[k - 1].coords[legs[k - 1].coords.length - 1], to = legs[k].coords[0];
+    const km = distKm(from, to);
+    if (km * 1000 > gapM) gaps.push({ leg: k, from, to, km });
+  }
+  return gaps;
+}
+
+/** Vertices where the path reverses over a single vertex, both sides longer than `spikeM`. */
+export function findSpikes(coords, { spikeM = SANITY_DEFAULTS.spikeM, uturnDeg = SANITY_DEFAULTS.uturnDeg } = {}) {
+  const out = [];
+  for (let i = 1; i < coords.length - 1; i++) {
+    const a = coords[i - 1], b = coords[i], c = coords[i + 1];
+    if (Math.min(distKm(a, b), distKm(b, c)) * 1000 < spikeM) continue;
+    if (turnDeg(bearingDeg(a, b), bearingDeg(b, c)) >= uturnDeg) out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Out-and-back excursions: the path leaves vertex `i`, turns at `tip` and
+ * comes back along itself to vertex `j` next to `i`. Spurs whose tip is near
+ * a point in `keep` (vias the rider asked for) are left alone.
+ */
+export function findSpurs(coords, opts = {}) {
+  const { joinM, spurMinKm, spurMaxKm, keepKm } = { ...SANITY_DEFAULTS, ...opts };
+  const keep = opts.keep || [];
+  const km = cumulativeKm(coords);
+  const spurs = [];
+  for (let i = 0; i < coords.length - 2; i++) {
+    let found = null;
+    for (let j = i + 2; j < coords.length && km[j] - km[i] <= 2 * spurMaxKm; j++) {
+      if (km[j] - km[i] < 2 * spurMinKm || distKm(coords[i], coords[j]) * 1000 > joinM) continue;
+      let tip = i;
+      for (let k = i + 1; k < j; k++) if (distKm(coords[i], coords[k]) > distKm(coords[i], coords[tip])) tip = k;
+      const outward = coords.slice(i, tip + 1);
+      const back = coords.slice(tip + 1, j);
+      const retraced = back.filter((p) => nearestOnPolyline(outward, p).offKm * 1000 <= joinM).length;
+      if (outward.length < 2 || retraced < 0.8 * back.length) continue;
+      if (keep.some((p) => distKm(p, coords[tip]) <= keepKm)) continue;
+      // the tip of a longer out-and-back: leave it whole
+      if (i > 0 && j < coords.length - 1 && nearestOnPolyline([coords[i - 1], coords[i]], coords[j + 1]).offKm * 1000 <= joinM) continue;
+      found = { i, j, tip, km: +(km[j] - km[i]).toFixed(2), atKm: +km[i].toFixed(1) };
+    }
+    if (found) {
+      spurs.push(found);
+      i = found.j - 1;
+    }
+  }
+  return spurs;
+}
+
+/** Sharp reversals, headings taken `headingM` either side: [{ i, atKm }]. */
+export function findUTurns(coords, { uturnDeg = SANITY_DEFAULTS.uturnDeg, headingM = SANITY_DEFAULTS.headingM } = {}) {
+  const km = cumulativeKm(coords);
+  const span = headingM / 1000;
+  const out = [];
+  let p = 0, q = 0;
+  for (let i = 1; i < coords.length - 1; i++) {
+    while (km[i] - km[p + 1] >= span) p++;
+    if (q <= i) q = i + 1;
+    while (q < coords.length - 1 && km[q] - km[i] < span) q++;
+    if (km[i] - km[p] < span || km[q] - km[i] < span) continue;
+    if (turnDeg(bearingDeg(coords[p], coords[i]), bearingDeg(coords[i], coords[q])) >= uturnDeg) {
+      out.push({ i, atKm: +km[i].toFixed(1), at: coords[i] });
+      while (i < coords.length - 1 && km[i + 1] - km[out[out.length - 1].i] < span) i++; // one report per turn
+    }
+  }
+  return out;
+}
+
+/** Stretches ridden a second time (grid cells revisited after leaving them): [{ fromKm, toKm, km }]. */
+export function findRepeats(coords, { repeatCellM = SANITY_DEFAULTS.repeatCellM, repeatMinKm = SANITY_DEFAULTS.repeatMinKm } = {}) {
+  const stepKm = repeatCellM / 1000;
+  const samples = resampleKm(coords, stepKm);
+  const latStep = repeatCellM / 110540;
+  const lastSeen = new Map();
+  const repeated = samples.map(([lon, lat], i) => {
+    const lonStep = repeatCellM / (111320 * Math.max(0.1, Math.cos(lat * Math.PI / 180)));
+    const key = `${Math.round(lon / lonStep)}:${Math.round(lat / latStep)}`;
+    const prev = lastSeen.get(key);
+    lastSeen.set(key, i);
+    return prev !== undefined && i - prev > 6;
+  });
+  const out = [];
+  let start = -1, holes = 0;
+  const close = (end) => {
+    const fromKm = start * stepKm, toKm = end * stepKm;
+    if (toKm - fromKm >= repeatMinKm) out.push({ fromKm: +fromKm.toFixed(1), toKm: +toKm.toFixed(1), km: +(toKm - fromKm).toFixed(1) });
+    start = -1;
+  };
+  repeated.forEach((r, i) => {
+    if (r) {
+      if (start < 0) start = i;
+      holes = 0;
+    } else if (start >= 0 && ++holes > 2) close(i - holes);
+  });
+  if (start >= 0) close(repeated.length - 1 - holes);
+  return out;
+}
+
+/**
+ * Drop joined-polyline vertices (`drop`, a Set of indices) and cut the legs
+ * to match: each leg keeps its type and id and runs between the first kept
+ * vertices at or after its old boundaries; legs left empty disappear.
+ */
+export function dropVertices(legs, drop) {
+  const { coords, details } = joinParts(legs);
+  const kept = coords.map((_, i) => i).filter((i) => !drop.has(i));
+  const newCoords = kept.map((i) => coords[i]);
+  const newDetails = remapDetails(details, kept);
+  const starts = [];
+  let s = 0;
+  for (const leg of legs) {
+    starts.push(s);
+    s += leg.coords.length - 1;
+  }
+  const at = (g) => { const j = kept.findIndex((x) => x >= g); return j < 0 ? kept.length - 1 : j; };
+  const bounds = starts.map(at).concat([newCoords.length - 1]);
+  const out = [];
+  legs.forEach((leg, k) => {
+    const b0 = bounds[k], b1 = bounds[k + 1];
+    if (b1 <= b0) return;
+    out.push({ ...leg, coords: newCoords.slice(b0, b1 + 1), details: sliceDetails(newDetails, b0, b1) });
+  });
+  return out;
+}
+
+/**
+ * Cut spikes and spurs from `legs`, then list what is left to flag: U-turns
+ * and repeated stretches. Returns the repaired legs and polyline.
+ */
+export function sanitizeLegs(legs, opts = {}) {
+  const o = { ...SANITY_DEFAULTS, ...opts };
+  let { coords } = joinParts(legs);
+  const spikes = findSpikes(coords, o);
+  if (spikes.length) {
+    legs = dropVertices(legs, new Set(spikes));
+    ({ coords } = joinParts(legs));
+  }
+  const spurs = findSpurs(coords, o);
+  if (spurs.length) {
+    const drop = new Set();
+    for (const { i, j } of spurs) for (let k = i + 1; k <= j; k++) drop.add(k);
+    legs = dropVertices(legs, drop);
+  }
+  const joined = joinParts(legs);
+  return {
+    legs,
+    coords: joined.coords,
+    details: joined.details,
+    spikes: spikes.length,
+    spurs,
+    uturns: findUTurns(joined.coords, o),
+    repeats: findRepeats(joined.coords, o)
+  };
+}
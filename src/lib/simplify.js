@@ -0,0 +1,156 @@
+// Geometry post-processing for exports: Douglas–Peucker / Visvalingam simplification and densification.
+import { distKm, toRad } from './bbox.js';
+import { remapDetails } from './details.js';
+
+/** Planar metres around the polyline's mean latitude (plenty for route-sized extents). */
+function projectM(coords) {
+  const lat0 = coords.reduce((s, c) => s + c[1], 0) / (coords.length || 1);
+  const kx = 111320 * Math.cos(toRad(lat0)), ky = 110574;
+  return coords.map((c) => [c[0] * kx, c[1] * ky]);
+}
+
+function segDistM([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+/** Indices kept by Douglas–Peucker at `toleranceM` (first and last always kept). */
+export function douglasPeucker(coords, toleranceM) {
+  const n = coords.length;
+  if (n < 3) return coords.map((_, i) => i);
+  const xy = projectM(coords);
+  const keep = new Uint8Array(n);
+  keep[0] = keep[n - 1] = 1;
+  const stack = [[0, n - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let maxD = -1, idx = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = segDistM(xy[i], xy[a], xy[b]);
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (idx > 0 && maxD > toleranceM) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+  const out = [];
+  for (let i = 0; i < n; i++) if (keep[i]) out.push(i);
+  return out;
+}
+
+/** Douglas–Peucker with the smallest tolerance (≥ `toleranceM`) that leaves at most `maxPoints`. */
+export function douglasPeuckerMax(coords, { toleranceM = 0, maxPoints = Infinity } = {}) {
+  const kept = douglasPeucker(coords, toleranceM);
+  if (kept.length <= maxPoints) return kept;
+  let lo = toleranceM, hi = Math.max(1, toleranceM * 2);
+  while (douglasPeucker(coords, hi).length > maxPoints) hi *= 2;
+  for (let k = 0; k < 30 && hi - lo > 0.1; k++) {
+    const mid = (lo + hi) / 2;
+    if (douglasPeucker(coords, mid).length > maxPoints) lo = mid; else hi = mid;
+  }
+  return douglasPeucker(coords, hi);
+}
+
+/**
+ * Indices kept by Visvalingam–Whyatt: repeatedly drop the vertex with the
+ * smallest effective triangle area while it is under `toleranceM`² or more
+ * than `maxPoints` remain.
+ */
+export function visvalingam(coords, { toleranceM = 0, maxPoints = Infinity } = {}) {
+  const n = coords.length;
+  if (n < 3) return coords.map((_, i) => i);
+  const xy = projectM(coords);
+  const prev = Array.from({ length: n }, (_, i) => i - 1);
+  const next = Array.from({ length: n }, (_, i) => i + 1);
+  const area = new Float64Array(n).fill(Infinity);
+  const tri = (i) => {
+    const [ax, ay] = xy[prev[i]], [bx, by] = xy[i], [cx, cy] = xy[next[i]];
+    return Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+  };
+  // binary min-heap of [area, index]; stale entries are skipped on pop
+  const heap = [];
+  const push = (e) => {
+    heap.push(e);
+    for (let i = heap.length - 1; i > 0;) {
+      const p = (i - 1) >> 1;
+      if (heap[p][0] <= heap[i][0]) break;
+      [heap[p], heap[i]] = [heap[i], heap[p]]; i = p;
+    }
+  };
+  const pop = () => {
+    const top = heap[0], last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+        if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+        if (m === i) break;
+        [heap[m], heap[i]] = [heap[i], heap[m]]; i = m;
+      }
+    }
+    return top;
+  };
+  for (let i = 1; i < n - 1; i++) { area[i] = tri(i); push([area[i], i]); }
+  const limit = toleranceM * toleranceM;
+  const removed = new Uint8Array(n);
+  let left = n, floor = 0;
+  while (heap.length) {
+    const [a, i] = pop();
+    if (removed[i] || a !== area[i]) continue;
+    // effective area never drops below the last removed one
+    const eff = Math.max(a, floor);
+    if (eff >= limit && left <= maxPoints) break;
+    floor = eff;
+    removed[i] = 1; left--;
+    const p = prev[i], q = next[i];
+    next[p] = q; prev[q] = p;
+    for (const j of [p, q]) {
+      if (j > 0 && j < n - 1) { area[j] = tri(j); push([area[j], j]); }
+    }
+  }
+  const out = [];
+  for (let i = 0; i < n; i++) if (!removed[i]) out.push(i);
+  return out;
+}
+
+/**
+ * Insert evenly spaced points so no segment is longer than `spacingM`
+ * (heights interpolated). `index[j]` is the (fractional) source position.
+ */
+export function densify(coords, spacingM) {
+  if (!(spacingM > 0) || coords.length < 2) return { coords: coords.slice(), index: coords.map((_, i) => i) };
+  const out = [coords[0]], index = [0];
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1], b = coords[i];
+    const parts = Math.ceil(distKm(a, b) * 1000 / spacingM);
+    for (let k = 1; k < parts; k++) {
+      const t = k / parts;
+      const p = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      if (Number.isFinite(a[2]) && Number.isFinite(b[2])) p.push(+(a[2] + (b[2] - a[2]) * t).toFixed(1));
+      out.push(p); index.push(i - 1 + t);
+    }
+    out.push(b); index.push(i);
+  }
+  return { coords: out, index };
+}
+
+/**
+ * Export geometry for a route: simplify (`dp` / `vw`, by `toleranceM` and/or
+ * `maxPoints`), then densify to `densifyM`. Details follow the new indices.
+ */
+export function processGeometry(coords, details, { simplify = 'none', toleranceM = 0, maxPoints = Infinity, densifyM = 0 } = {}) {
+  let kept = coords.map((_, i) => i);
+  if (simplify === 'dp') kept = douglasPeuckerMax(coords, { toleranceM, maxPoints });
+  else if (simplify === 'vw') kept = visvalingam(coords, { toleranceM, maxPoints });
+  const dense = densify(kept.map((i) => coords[i]), densifyM);
+  const index = dense.index.map((j) => {
+    const lo = Math.floor(j), t = j - lo;
+    return t ? kept[lo] + (kept[lo + 1] - kept[lo]) * t : kept[lo];
+  });
+  return { coords: dense.coords, details: remapDetails(details, index), index };
+}
@@ -0,0 +1,55 @@
+// Multi-day trips: split a finished route into daily stages ending near lodging.
+import { distKm } from './bbox.js';
+import { segmentHours } from './estimate.js';
+
+/** Running km and riding hours at every vertex. */
+export function cumulative(coords, details) {
+  const segH = segmentHours(coords, details);
+  const km = [0], h = [0];
+  for (let i = 1; i < coords.length; i++) {
+    km.push(km[i - 1] + distKm(coords[i - 1], coords[i]));
+    h.push(h[i - 1] + segH[i]);
+  }
+  return { km, h };
+}
+
+/**
+ * Vertex indices where each day but the last nominally ends, splitting riding
+ * time evenly over `days`.
+ */
+export function nominalStageEnds(cumH, days) {
+  const total = cumH[cumH.length - 1] || 0;
+  const ends = [];
+  if (days < 2 || total <= 0) return ends;
+  const perDay = total / days;
+  let i = 1;
+  for (let d = 1; d < days; d++) {
+    while (i < cumH.length - 1 && cumH[i] < d * perDay) i++;
+    if (i >= cumH.length - 1) break;
+    ends.push(i);
+    i++;
+  }
+  return ends;
+}
+
+/**
+ * Best overnight stop for a nominal stage end: the lodging (`{ coord }`) closest
+ * to a route vertex that lies after `minIdx` and within `windowKm` (along the
+ * route) of the nominal end, at most `maxOffKm` off the route. Falls back to
+ * the nominal vertex without lodging.
+ */
+export function pickStageEnd(coords, cumKm, nominalIdx, lodgings, { minIdx = 0, windowKm = 10, maxOffKm = 8 } = {}) {
+  const lastIdx = coords.length - 2; // never end a stage on the finish
+  let best = { idx: nominalIdx, lodging: null, offRouteKm: null, score: Infinity };
+  for (const lodging of lodgings || []) {
+    for (let i = minIdx + 1; i <= lastIdx; i++) {
+      const along = Math.abs(cumKm[i] - cumKm[nominalIdx]);
+      if (along > windowKm) continue;
+      const off = distKm(coords[i], lodging.coord);
+      if (off > maxOffKm) continue;
+      const score = off + 0.25 * along;
+      if (score < best.score) best = { idx: i, lodging, offRouteKm: off, score };
+    }
+  }
+  return { idx: best.idx, lodging: best.lodging, offRouteKm: best.offRouteKm };
+}
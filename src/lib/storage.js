@@ -0,0 +1,112 @@
+// Pluggable storage for route files (Supabase Storage, S3-compatible, local disk).
+// A driver is { name, put(path, data, contentType) -> url, url(path) -> url|null, remove(paths) }
+// plus read(path) -> { data, contentType } | null when the server has to serve files itself.
+import { mkdir, readFile, writeFile, rm, access } from 'node:fs/promises';
+import path from 'node:path';
+
+export const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml',
+  tcx: 'application/vnd.garmin.tcx+xml'
+};
+
+const SIGNED_UPLOAD_S = 60 * 60 * 24 * 30; // links returned by /plan
+const SIGNED_LOOKUP_S = 60 * 60;           // redirects from /download
+
+export async function supabaseStorage({ url, serviceRole, bucket, publicBucket = true }) {
+  const { createClient } = await import('@supabase/supabase-js');
+  const store = createClient(url, serviceRole, { auth: { persistSession: false } }).storage.from(bucket);
+  const linkFor = async (p, ttl) => {
+    if (!publicBucket) {
+      const { data } = await store.createSignedUrl(p, ttl);
+      return data?.signedUrl || null;
+    }
+    return store.getPublicUrl(p).data?.publicUrl || null;
+  };
+  return {
+    name: 'supabase',
+    async put(p, data, contentType) {
+      const { error } = await store.upload(p, data, { contentType, upsert: true });
+      if (error) throw error;
+      return linkFor(p, SIGNED_UPLOAD_S);
+    },
+    url: (p) => linkFor(p, SIGNED_LOOKUP_S),
+    async remove(paths) {
+      const { error } = await store.remove(paths);
+      if (error) throw error;
+    }
+  };
+}
+
+/**
+ * S3 API (AWS, Cloudflare R2, MinIO). With `publicBase` links are
+ * `${publicBase}/${path}`, otherwise presigned GETs.
+ */
+export async function s3Storage({ endpoint, region = 'auto', bucket, accessKeyId, secretAccessKey, publicBase = '', forcePathStyle = false }) {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectsCommand } = await import('@aws-sdk/client-s3');
+  const { getSignedUrl } = await import('@aws-sdk/s3-request-presigner');
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey }
+  });
+  const base = publicBase.replace(/\/$/, '');
+  const linkFor = (p, ttl) => (base
+    ? `${base}/${p}`
+    : getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: p }), { expiresIn: ttl }));
+  return {
+    name: 's3',
+    async put(p, data, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: p, Body: data, ContentType: contentType }));
+      return linkFor(p, SIGNED_UPLOAD_S);
+    },
+    url: async (p) => linkFor(p, SIGNED_LOOKUP_S),
+    async remove(paths) {
+      if (!paths.length) return;
+      await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: paths.map((Key) => ({ Key })) } }));
+    }
+  };
+}
+
+/**
+ * Files under `dir`, served by the app itself; `linkFor(path)` builds the
+ * public link (the server points it at /download).
+ */
+export function localStorage({ dir, linkFor }) {
+  const root = path.resolve(dir);
+  const fileFor = (p) => {
+    const file = path.resolve(root, p);
+    if (!file.startsWith(root + path.sep)) throw new Error(`path outside storage dir: ${p}`);
+    return file;
+  };
+  const exists = (file) => access(file).then(() => true, () => false);
+  return {
+    name: 'local',
+    async put(p, data) {
+      const file = fileFor(p);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, data);
+      return linkFor(p);
+    },
+    url: async (p) => (await exists(fileFor(p)) ? linkFor(p) : null),
+    async read(p) {
+      const file = fileFor(p);
+      if (!(await exists(file))) return null;
+      const ext = path.extname(file).slice(1);
+      return { data: await readFile(file), contentType: CONTENT_TYPES[ext] || 'application/octet-stream' };
+    },
+    async remove(paths) {
+      for (const p of paths) await rm(fileFor(p), { force: true });
+    }
+  };
+}
+
+export const STORAGE_DRIVERS = { SUPABASE: supabaseStorage, S3: s3Storage, R2: s3Storage, LOCAL: localStorage };
+
+export async function createStorage(kind, opts) {
+  const make = STORAGE_DRIVERS[String(kind || '').toUpperCase()];
+  if (!make) throw new Error(`unknown STORAGE "${kind}" (expected ${Object.keys(STORAGE_DRIVERS).join(' | ')})`);
+  return make(opts);
+}
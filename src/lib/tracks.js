@@ -0,0 +1,105 @@
+// Overpass track candidates for stitching: scored against the start–via–end axis, then an ordered pick.
+import { distKm } from './bbox.js';
+import { nearestOnPolyline, polylineLenKm } from './geometry.js';
+
+const GRADE_QUALITY = { grade1: 1, grade2: 0.85, grade3: 0.6 };
+const SURFACE_QUALITY = {
+  compacted: 1, fine_gravel: 1, gravel: 0.9, pebblestone: 0.7, unpaved: 0.8,
+  ground: 0.7, earth: 0.7, dirt: 0.7, sand: 0.4, mud: 0.3
+};
+
+// score = Σ weight · part, every part in [0, 1]
+export const TRACK_WEIGHTS = { offset: 0.3, progress: 0.25, length: 0.2, quality: 0.15, connectivity: 0.1 };
+
+export const trackQuality = (tags = {}) =>
+  0.6 * (GRADE_QUALITY[tags.tracktype] ?? 0.5) + 0.4 * (SURFACE_QUALITY[tags.surface] ?? 0.6);
+
+// tracks with an end within `joinKm` of either end of each track
+function neighbourCounts(tracks, joinKm) {
+  const ends = tracks.map((t) => [t.coords[0], t.coords[t.coords.length - 1]]);
+  return ends.map((mine, i) => ends.reduce((n, theirs, j) => (
+    i !== j && mine.some((p) => theirs.some((q) => distKm(p, q) < joinKm)) ? n + 1 : n
+  ), 0));
+}
+
+/**
+ * Tag each track with `end_barrier`: the kind of the first `barriers` node
+ * (`{ coord, kind }`) within `radiusKm` of either of its ends, else null.
+ */
+export function markEndBarriers(tracks, barriers, { radiusKm = 0.03 } = {}) {
+  return tracks.map((t) => {
+    const ends = [t.coords[0], t.coords[t.coords.length - 1]];
+    const hit = barriers.find((b) => ends.some((p) => p && distKm(p, b.coord) <= radiusKm));
+    return { ...t, end_barrier: hit ? hit.kind : null };
+  });
+}
+
+/**
+ * Score tracks against `axis` (start, vias, end). Each one is flipped to run
+ * toward the destination and kept with the km range of the axis it covers.
+ * Tracks further than `2·axisKm` off the axis, backwards or shorter than
+ * `minKm` are dropped; one ending at a barrier has its score scaled by
+ * `barrierFactor` so alternatives win. Best first.
+ */
+export function scoreTracks(tracks, axis, { axisKm, joinKm = 0.3, minKm = 0.2, weights = TRACK_WEIGHTS, barrierFactor = 0.5 } = {}) {
+  const usable = (tracks || []).filter((t) => t?.coords?.length >= 2);
+  const neighbours = neighbourCounts(usable, joinKm);
+  const out = [];
+  usable.forEach((t, i) => {
+    const km = polylineLenKm(t.coords);
+    if (km < minKm) return;
+    let p0 = nearestOnPolyline(axis, t.coords[0]);
+    let p1 = nearestOnPolyline(axis, t.coords[t.coords.length - 1]);
+    let coords = t.coords;
+    if (p1.alongKm < p0.alongKm) {
+      coords = coords.slice().reverse();
+      [p0, p1] = [p1, p0];
+    }
+    const mid = nearestOnPolyline(axis, coords[Math.floor(coords.length / 2)]);
+    const offKm = Math.max(p0.offKm, p1.offKm, mid.offKm);
+    const advanceKm = p1.alongKm - p0.alongKm;
+    if (offKm > 2 * axisKm || advanceKm <= 0) return;
+
+    const parts = {
+      offset: 1 - offKm / (2 * axisKm),
+      progress: Math.min(1, advanceKm / km),
+      length: Math.min(1, km / axisKm),
+      quality: trackQuality(t.tags),
+      connectivity: Math.min(1, neighbours[i] / 2)
+    };
+    const score = Object.entries(weights).reduce((s, [k, w]) => s + w * parts[k], 0) * (t.end_barrier ? barrierFactor : 1);
+    out.push({ track: { ...t, coords }, km, fromKm: p0.alongKm, toKm: p1.alongKm, offKm, score, parts });
+  });
+  return out.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Up to `max` scored tracks, best first, whose axis ranges neither overlap
+ * (kept `gapKm` apart) nor span a point of `keepClear` (axis km of the vias),
+ * skipping the `skip` best. Returned in order from start to end.
+ */
+export function selectTracks(scored, { max, skip = 0, gapKm = 0.5, keepClear = [] } = {}) {
+  const picked = [];
+  for (const s of scored.slice(skip)) {
+    if (picked.length >= max) break;
+    if (keepClear.some((k) => k > s.fromKm && k < s.toKm)) continue;
+    if (picked.some((p) => s.fromKm < p.toKm + gapKm && s.toKm > p.fromKm - gapKm)) continue;
+    picked.push(s);
+  }
+  return picked.sort((a, b) => a.fromKm - b.fromKm);
+}
+
+const nearestVertex = (coords, pt) => coords.reduce((best, c, i) => (distKm(c, pt) < distKm(coords[best], pt) ? i : best), 0);
+
+/**
+ * The part of a track worth riding between `from` (where the route arrives)
+ * and `to` (where it heads next): from the vertex nearest `from` to the one
+ * nearest `to`, in whichever direction that runs. Null when under `minKm`.
+ */
+export function clipTrack(coords, from, to, { minKm = 0.2 } = {}) {
+  const i = nearestVertex(coords, from), j = nearestVertex(coords, to);
+  const reversed = j < i;
+  const clipped = reversed ? coords.slice(j, i + 1).reverse() : coords.slice(i, j + 1);
+  if (clipped.length < 2 || polylineLenKm(clipped) < minKm) return null;
+  return { coords: clipped, entry: clipped[0], exit: clipped[clipped.length - 1], reversed };
+}
@@ -3,15 +3,64 @@
 // Patch B: auto-anchors from Overpass tracks (evenly spaced along axis)
 // Patch C: JOIN_RADIUS_M, de-dup & loop jitter, CH fallback when stitching fails
 // Patch D: minor-road anchors, extended dirt surfaces, STITCH_MAX_TRACKS env, motorway rescue logging
+// Patch E: true round-trip loops (ring anchors around the start, biased to tracks)
+// Patch F: several ranked alternatives per request (CH / stitch subsets / motorway rescue)
+// Patch G: surface/toll preferences -> GH custom model (flex path) with CH + post-filter fallback
+// Patch H: surface/road_class/track_type/toll details merged per route -> stats breakdown
+// Patch I: elevation (GH + pluggable DEM for stitched tracks), per-surface duration, ascent
+// Patch J: multi-day trips (days / hours_per_day) split into stages ending near lodging
+// Patch K: fuel_range_km -> fuel stations along the corridor inserted as vias
+// Patch L: POI enrichment (Overpass + OpenTripMap) -> GPX <wpt>, GeoJSON points, preview markers
+// Patch M: export formats (KML, TCX course, GPX <rte> with shaping points, device-sized GPX splits)
+// Patch N: export geometry post-processing (Douglas–Peucker / Visvalingam, densify)
+// Patch O: pluggable storage (Supabase / S3-compatible incl. R2 & MinIO / local disk served by /download)
+// Patch P: route records (Supabase Postgres / SQLite) + /routes list, get, rename, delete
+// Patch Q: /refine edits stored legs (vias, blocks, track swaps, distance) and saves a new version
+// Patch R: avoid_areas (no-go polygons) for tracks, rescue anchors, GH areas and a connector post-check
+// Patch S: tracks scored against the start–via–end axis; ordered, non-overlapping picks become anchors
+// Patch T: tracks ridden either way, clipped between nearest vertices; connectors leave from the exit
+// Patch U: sanity pass (gaps rerouted, spurs and spikes cut, U-turns and repeats flagged)
+// Patch V: distance fit (detour anchors on tracks / minor roads, optional vias trimmed) to the target km
+// Patch W: corridor as buffered tiles along start → vias → end, one Overpass query per tile, ways de-duplicated
+// Patch X: track access (access / motor_vehicle / motorcycle, :conditional vs ride_date, seasonal) screened before stitching
+// Patch Y: rider_profile (allowed track grades / surfaces / smoothness, GH profile) + difficulty grades in stats and preview
+// Patch Z: hazards along the final polyline (fords, barriers, noexit, steep inclines / elevation) + waypoints; tracks ending at a barrier down-weighted
+// Patch AA: POST /import (GPX / KML / GeoJSON) analyzed as drawn or re-planned through anchors along it
+// Patch AB: POST /plan?async=1 jobs: GET /jobs/:id, SSE stage events, DELETE to cancel
+// Patch AC: shared cache (memory / SQLite / Redis, LRU + per-kind TTL) for geocodes, GH routes and Overpass tiles; stats in /health
 // Also: pretty download redirects + Leaflet preview page.
 
 import 'dotenv/config';
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import { customAlphabet } from 'nanoid';
 import pino from 'pino';
-import { corridorBBox, bboxAreaKm2, distKm } from './lib/bbox.js';
-import { validatePlan } from './lib/normalize.js';
+import { CorridorError, corridorBBox, corridorTiles, gridTiles, mergeById, bboxAreaKm2, distKm } from './lib/bbox.js';
+import { polylineLenKm, resampleKm, nearestOnPolyline, pointInPolygon } from './lib/geometry.js';
+import { indexAreas, inAnyArea, crossedArea, detourVias } from './lib/areas.js';
+import { scoreTracks, selectTracks, clipTrack, markEndBarriers } from './lib/tracks.js';
+import { legGaps, sanitizeLegs } from './lib/sanity.js';
+import { screenTracks } from './lib/access.js';
+import { riderProfile, tooHardFor, routeDifficulty, DIFFICULTY_GRADES } from './lib/difficulty.js';
+import { fitToleranceKm, roadFactor, offsetDetours, pickDetour, pickTrim } from './lib/fit.js';
+import { loopRing, loopExtent, rankLoopBearings, orderAroundCenter, retraceShare } from './lib/loop.js';
+import { GH_DETAILS, motorwayShareFromDetails, joinParts, trackDetails, surfaceStats, sliceDetails, transferDetails } from './lib/details.js';
+import { rankAlternatives } from './lib/alternatives.js';
+import { buildCustomModel, trackSurfaceRegex, ghSurfaces, withBlockedAreas } from './lib/customModel.js';
+import { createDem, fillElevation } from './lib/dem.js';
+import { avgSpeedKmh, rideStats } from './lib/estimate.js';
+import { cumulative, nominalStageEnds, pickStageEnd } from './lib/stages.js';
+import { projectOnRoute, planFuelStops, fuelGaps } from './lib/fuel.js';
+import { toGPX, toGPXTracks, toGeoJSON, toKML, toTCX, toGPXRoute, shapingPoints, splitTrack } from './lib/formats.js';
+import { processGeometry } from './lib/simplify.js';
+import { RefineError, loadLegs, splitAtWaypoints, legsKm, legStarts, addVia, moveVia, removeVia, blockSegment, swapTrack, fitDistance } from './lib/refine.js';
+import { createStorage } from './lib/storage.js';
+import { createRecords, routeBBox } from './lib/records.js';
+import { POI_CATEGORIES, overpassPoiQuery, poiFromOsm, poiFromOtm, poisAlongRoute } from './lib/pois.js';
+import { BARRIER_TYPES, overpassHazardQuery, hazardFromOsm, steepStretches, hazardsAlongRoute, hazardWaypoint } from './lib/hazards.js';
+import { ImportError, parseImport, importAnchors } from './lib/imports.js';
+import { createCache, snapTile, overpassKey } from './lib/cache.js';
+import { createJobs, progress, throwIfCancelled, jobSignal, JobCancelled, TERMINAL_STAGES } from './lib/jobs.js';
+import { validatePlan, routeListSchema, routeRenameSchema, refineSchema, importSchema } from './lib/normalize.js';
 import { ZodError } from 'zod';
 
 const app = express();
@@ -28,28 +77,40 @@ const need = (k, hard = true) => {
 need('GH_KEY');
 need('OVERPASS_URL');
 need('STORAGE');
-need('SUPABASE_URL');
-need('SUPABASE_SERVICE_ROLE');
-need('SUPABASE_BUCKET');
 need('PUBLIC_BASE_URL', false); // optional, for pretty links
 
-if (process.env.STORAGE !== 'SUPABASE') {
-  console.error('[ENV] STORAGE must be SUPABASE for this build.');
+// Storage driver and the env each one needs
+const STORAGE = String(process.env.STORAGE || '').toUpperCase();
+const STORAGE_NEEDS = {
+  SUPABASE: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE', 'SUPABASE_BUCKET'],
+  R2: ['R2_ACCESS_KEY_ID', 'R2_SECRET_ACCESS_KEY', 'R2_BUCKET'],
+  S3: ['S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY', 'S3_BUCKET'],
+  LOCAL: []
+};
+if (!STORAGE_NEEDS[STORAGE]) {
+  console.error(`[ENV] STORAGE must be one of ${Object.keys(STORAGE_NEEDS).join(' | ')}.`);
   process.exit(1);
 }
+STORAGE_NEEDS[STORAGE].forEach((k) => need(k));
+if (STORAGE === 'R2' && !process.env.R2_ENDPOINT) need('R2_ACCOUNT_ID');
+
+// Route records: Supabase Postgres (db/routes.sql) or a local SQLite file; follows STORAGE by default
+const RECORDS = String(process.env.RECORDS || (STORAGE === 'SUPABASE' ? 'SUPABASE' : 'SQLITE')).toUpperCase();
+if (!['SUPABASE', 'SQLITE'].includes(RECORDS)) {
+  console.error('[ENV] RECORDS must be SUPABASE | SQLITE.');
+  process.exit(1);
+}
+if (RECORDS === 'SUPABASE') STORAGE_NEEDS.SUPABASE.slice(0, 2).forEach((k) => need(k));
 
 const GH_KEY = process.env.GH_KEY;
 const OVERPASS_URL = process.env.OVERPASS_URL;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
-const SUPABASE_BUCKET = process.env.SUPABASE_BUCKET;
-const SUPABASE_PUBLIC_BUCKET =
-  String(process.env.SUPABASE_PUBLIC_BUCKET || 'true').toLowerCase() === 'true';
+const PORT = process.env.PORT || 8080;
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
 
 const PAD_KM_MIN = Number(process.env.PAD_KM_MIN || 8);
 const PAD_KM_MAX = Number(process.env.PAD_KM_MAX || 25);
-const BBOX_AREA_MAX_KM2 = Number(process.env.BBOX_AREA_MAX_KM2 || 2500);
+const BBOX_AREA_MAX_KM2 = Number(process.env.BBOX_AREA_MAX_KM2 || 2500); // per Overpass query (one corridor tile)
+const CORRIDOR_MAX_AREA_KM2 = Math.max(BBOX_AREA_MAX_KM2, Number(process.env.CORRIDOR_MAX_AREA_KM2 || 60000)); // all tiles of one plan
 
 // GH rate limiting (safe for free plan)
 const GH_MAX_RPS = Math.max(0.5, Number(process.env.GH_MAX_RPS || 2));   // ≈120/min
@@ -61,25 +122,154 @@ const JOIN_RADIUS_M = parseInt(process.env.JOIN_RADIUS_M || '300', 10); // defau
 const JOIN_RADIUS_KM = Math.max(0.05, JOIN_RADIUS_M / 1000);            // never below 50 m
 const STITCH_MAX_TRACKS = parseInt(process.env.STITCH_MAX_TRACKS || '0', 10); // 0 = no hard cap
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE, { auth: { persistSession: false } });
+const STORAGE_OPTS = {
+  SUPABASE: () => ({
+    url: process.env.SUPABASE_URL,
+    serviceRole: process.env.SUPABASE_SERVICE_ROLE,
+    bucket: process.env.SUPABASE_BUCKET,
+    publicBucket: String(process.env.SUPABASE_PUBLIC_BUCKET || 'true').toLowerCase() === 'true'
+  }),
+  R2: () => ({
+    endpoint: process.env.R2_ENDPOINT || `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+    region: 'auto',
+    bucket: process.env.R2_BUCKET,
+    accessKeyId: process.env.R2_ACCESS_KEY_ID,
+    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+    publicBase: process.env.R2_PUBLIC_BASE || ''
+  }),
+  S3: () => ({
+    endpoint: process.env.S3_ENDPOINT || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicBase: process.env.S3_PUBLIC_BASE || '',
+    forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || 'false').toLowerCase() === 'true' // MinIO
+  }),
+  // files are served by /download/route/:id.:ext
+  LOCAL: () => ({
+    dir: process.env.STORAGE_DIR || './data/storage',
+    linkFor: (p) => `${PUBLIC_BASE_URL || `http://localhost:${PORT}`}/download/route/${p.split('/').pop()}`
+  })
+};
+const storage = await createStorage(STORAGE, STORAGE_OPTS[STORAGE]());
+const records = await createRecords(RECORDS, RECORDS === 'SUPABASE'
+  ? { url: process.env.SUPABASE_URL, serviceRole: process.env.SUPABASE_SERVICE_ROLE, table: process.env.SUPABASE_ROUTES_TABLE || 'routes' }
+  : { file: process.env.RECORDS_SQLITE_PATH || './data/routes.db' });
 const nanoid = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
 const logger = pino();
 
+// Async plan jobs: how long a finished job (and its result) stays readable, events kept per job
+const JOB_TTL_MS = Math.max(1, parseInt(process.env.JOB_TTL_MIN ?? '60', 10)) * 60 * 1000;
+const JOB_MAX_EVENTS = Math.max(50, parseInt(process.env.JOB_MAX_EVENTS ?? '500', 10));
+const jobs = createJobs({ newId: nanoid, ttlMs: JOB_TTL_MS, maxEvents: JOB_MAX_EVENTS });
+
+// Cache for geocodes, 2-point GH routes and Overpass responses: backend (MEMORY | SQLITE | REDIS),
+// entries kept per kind (least recently used dropped first) and how long each kind stays fresh
+const CACHE = String(process.env.CACHE || 'MEMORY').toUpperCase();
+if (!['MEMORY', 'SQLITE', 'REDIS'].includes(CACHE)) {
+  console.error('[ENV] CACHE must be MEMORY | SQLITE | REDIS.');
+  process.exit(1);
+}
+const CACHE_MAX_ENTRIES = Math.max(10, parseInt(process.env.CACHE_MAX_ENTRIES ?? '2000', 10));
+const CACHE_MAX_OVERPASS = Math.max(1, parseInt(process.env.CACHE_MAX_OVERPASS ?? '200', 10)); // responses can be MBs
+const hours = (k, dflt) => Math.max(0, Number(process.env[k] ?? dflt)) * 60 * 60 * 1000;
+const cache = await createCache(CACHE, {
+  file: process.env.CACHE_SQLITE_PATH || './data/cache.db',
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  prefix: process.env.REDIS_PREFIX || 'adv:',
+  maxEntries: { geocode: CACHE_MAX_ENTRIES, route: CACHE_MAX_ENTRIES, overpass: CACHE_MAX_OVERPASS },
+  ttlMs: {
+    geocode: hours('CACHE_TTL_GEOCODE_H', 720), // 30 days
+    route: hours('CACHE_TTL_ROUTE_H', 24),
+    overpass: hours('CACHE_TTL_OVERPASS_H', 6)
+  },
+  log: logger
+});
+
 // Anti-motorway tuning for CH mode (rescue)
 const MAX_MOTORWAY_SHARE = Math.max(0, Math.min(1, Number(process.env.MAX_MOTORWAY_SHARE ?? 0.12))); // 12%
 const RESCUE_SPLITS_PER_CONNECTOR = Math.max(0, parseInt(process.env.RESCUE_SPLITS_PER_CONNECTOR ?? '2', 10)); // max extra anchors per connector
 const RESCUE_SEARCH_RADIUS_M = Math.max(100, parseInt(process.env.RESCUE_SEARCH_RADIUS_M ?? '1200', 10)); // Overpass around: radius
 
+// Round-trip loops
+const LOOP_ANCHORS = Math.max(2, Math.min(8, parseInt(process.env.LOOP_ANCHORS ?? '4', 10)));            // ring anchors besides start
+const LOOP_ATTEMPTS = Math.max(1, Math.min(8, parseInt(process.env.LOOP_ATTEMPTS ?? '3', 10)));          // bearings tried before giving up
+const LOOP_MAX_RETRACE = Math.max(0, Math.min(1, Number(process.env.LOOP_MAX_RETRACE ?? 0.15)));         // 15% ridden twice is acceptable
+
+// Ranked alternatives returned by /plan unless the request sets `alternatives`
+const ROUTE_ALTERNATIVES = Math.max(1, Math.min(5, parseInt(process.env.ROUTE_ALTERNATIVES ?? '3', 10)));
+
+// Elevation for coordinates GH did not supply (stitched Overpass tracks)
+const DEM_PROVIDER = process.env.DEM_PROVIDER || 'none'; // none | hgt | geotiff
+const DEM_DIR = process.env.DEM_DIR || '';               // local tile directory for hgt/geotiff
+const dem = createDem(DEM_PROVIDER, DEM_DIR);
+
+// Multi-day stages: default riding hours per day and how far around a stage end to look for lodging
+const STAGE_HOURS_PER_DAY = Math.max(1, Number(process.env.STAGE_HOURS_PER_DAY ?? 6));
+const STAGE_LODGING_RADIUS_M = Math.max(500, parseInt(process.env.STAGE_LODGING_RADIUS_M ?? '8000', 10));
+
+// Fuel range: reserve kept in the tank and how far off the route a station may be
+const FUEL_RESERVE_KM = Math.max(0, Number(process.env.FUEL_RESERVE_KM ?? 30));
+const FUEL_CORRIDOR_M = Math.max(200, parseInt(process.env.FUEL_CORRIDOR_M ?? '3000', 10));
+
+// POI enrichment along the final polyline
+const POI_BUFFER_M = Math.max(50, parseInt(process.env.POI_BUFFER_M ?? '500', 10));
+const POI_MAX = Math.max(0, parseInt(process.env.POI_MAX ?? '200', 10));
+const OPENTRIPMAP_KEY = process.env.OPENTRIPMAP_KEY || '';
+
+// Hazards: how far off the polyline a tagged ford / barrier / dead end may sit, and what counts
+// as steep (incline tags, or the elevation profile over at least STEEP_MIN_LEN_M)
+const HAZARD_BUFFER_M = Math.max(5, parseInt(process.env.HAZARD_BUFFER_M ?? '30', 10));
+const STEEP_GRADE_PCT = Math.max(5, Math.min(50, Number(process.env.STEEP_GRADE_PCT ?? 15)));
+const STEEP_MIN_LEN_M = Math.max(20, parseInt(process.env.STEEP_MIN_LEN_M ?? '100', 10));
+
+// Exports: formats uploaded when /plan doesn't ask, per-<trk> point cap for split GPX, <rte> point cap
+const EXPORT_FORMATS = (process.env.EXPORT_FORMATS || 'gpx,geojson').split(',').map((f) => f.trim()).filter(Boolean);
+const DEVICE_MAX_TRACK_POINTS = Math.max(100, parseInt(process.env.DEVICE_MAX_TRACK_POINTS ?? '500', 10));
+const GPX_ROUTE_MAX_POINTS = Math.max(2, parseInt(process.env.GPX_ROUTE_MAX_POINTS ?? '50', 10));
+
+// Export geometry: simplification (none | dp | vw) and tolerance, densify spacing (0 = off); stats use the raw polyline
+const SIMPLIFY = ['dp', 'vw'].includes(process.env.SIMPLIFY) ? process.env.SIMPLIFY : 'none';
+const SIMPLIFY_TOLERANCE_M = Math.max(0, Number(process.env.SIMPLIFY_TOLERANCE_M ?? 5));
+const DENSIFY_M = Math.max(0, Number(process.env.DENSIFY_M ?? 0));
+
+// /refine: how close a move/remove point must be to an existing via, distance-fit rounds
+const REFINE_SNAP_KM = Math.max(50, parseInt(process.env.REFINE_SNAP_M ?? '500', 10)) / 1000;
+const REFINE_FIT_ROUNDS = Math.max(1, Math.min(6, parseInt(process.env.REFINE_FIT_ROUNDS ?? '3', 10)));
+
+// Distance fit: reroute rounds toward distance_km_target / time_budget_h, the default band
+// (% of the target, never under 2 km) and how far an off-axis detour point may snap to a road
+const FIT_ROUNDS = Math.max(0, Math.min(6, parseInt(process.env.FIT_ROUNDS ?? '3', 10)));
+const FIT_TOLERANCE_PCT = Math.max(1, Math.min(50, Number(process.env.FIT_TOLERANCE_PCT ?? 5)));
+const FIT_SNAP_M = Math.max(200, parseInt(process.env.FIT_SNAP_M ?? '3000', 10));
+
+// Sanity pass: joins between legs further apart than this are rerouted; dead-end spurs up to
+// this long (one way) are cut unless they lead to a via the rider asked for
+const SANITY_GAP_M = Math.max(20, parseInt(process.env.SANITY_GAP_M ?? '150', 10));
+const SANITY_SPUR_MAX_KM = Math.max(0, Number(process.env.SANITY_SPUR_MAX_KM ?? 5));
+
+// Import: anchor spacing along an imported line, its point cap (simplified beyond it) and how far
+// a GH reference route may stray from it and still lend the line its surface / road class details
+const IMPORT_ANCHOR_KM = Math.max(1, Math.min(100, Number(process.env.IMPORT_ANCHOR_KM ?? 10)));
+const IMPORT_MAX_POINTS = Math.max(500, parseInt(process.env.IMPORT_MAX_POINTS ?? '20000', 10));
+const IMPORT_MATCH_M = Math.max(10, parseInt(process.env.IMPORT_MATCH_M ?? '100', 10));
+
+// Custom models: after GH rejects one, stay on CH for this long before trying again
+const CUSTOM_MODEL_RETRY_MS = Math.max(0, parseInt(process.env.CUSTOM_MODEL_RETRY_MIN ?? '10', 10)) * 60 * 1000;
+
 /* ========= RATE-LIMITED FETCH ========= */
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 let lastTs = 0;
+// Inside an async job, a cancel stops the next GH call and aborts the one in flight.
 async function rlFetch(url, opts) {
   const now = Date.now();
   const wait = Math.max(0, (lastTs + GH_MIN_GAP_MS) - now) + Math.floor(Math.random() * GH_JITTER_MS);
   if (wait) await sleep(wait);
+  throwIfCancelled();
   lastTs = Date.now();
 
-  const res = await fetch(url, opts);
+  const res = await fetch(url, { ...opts, signal: jobSignal() });
   if (res.status === 429) {
     const ra = res.headers.get('retry-after');
     const waitMs = ra ? Math.max(0, Number(ra) * 1000) : 1200;
@@ -90,8 +280,6 @@ async function rlFetch(url, opts) {
 }
 
 /* ========= UTIL ========= */
-const polylineLenKm = (coords)=> coords.reduce((s,c,i)=> i ? s + distKm(coords[i-1], c) : 0, 0);
-
 const tryParseCommaPair = (s) => {
   const m = String(s).trim().match(/^\s*(-?\d+(\.\d+)?)\s*,\s*(-?\d+(\.\d+)?)\s*$/);
   if (!m) return null;
@@ -142,10 +330,6 @@ function cleanAnchors(rawAnchors, { minSegKm = 0.05 } = {}) {
   return { cleaned, summary };
 }
 
-// small caches to reduce calls
-const geocodeCache = new Map();   // text -> [lon,lat]
-const routeCache   = new Map();   // cache for 2‑point CH routes
-
 /* ========= Geocoding ========= */
 async function geocodeGH(text) {
   const u = `https://graphhopper.com/api/1/geocode?q=${encodeURIComponent(text)}&limit=1&locale=en&key=${GH_KEY}`;
@@ -174,49 +358,70 @@ async function parsePointOrGeocode(input) {
   const s = String(input).trim();
   const pair = tryParseCommaPair(s);
   if (pair) return pair;
-  if (geocodeCache.has(s)) return geocodeCache.get(s);
-  try {
-    const g = await geocodeGH(s); const out = [g.lon, g.lat];
-    geocodeCache.set(s, out); return out;
-  } catch {
-    const g2 = await geocodeNominatim(s); const out = [g2.lon, g2.lat];
-    geocodeCache.set(s, out); return out;
-  }
+  return cache.wrap('geocode', s.toLowerCase(), async () => {
+    try {
+      const g = await geocodeGH(s); return [g.lon, g.lat];
+    } catch {
+      const g2 = await geocodeNominatim(s); return [g2.lon, g2.lat];
+    }
+  });
 }
 
 /* ========= Overpass, GH CH, Supabase ========= */
-async function overpassTracks(bbox) {
-  if (!bbox) return [];
-  const [south, west, north, east] = bbox;
-  const q = `
+// Overpass JSON through the cache; a tiled query is keyed by its template (`box` left as a
+// placeholder) and the tile, anything else by the query itself. Inside an async job, a cancel
+// aborts the query in flight.
+async function overpassJSON(query, { template = query, tile = null } = {}) {
+  return cache.wrap('overpass', overpassKey(template, tile), async () => {
+    const r = await fetch(OVERPASS_URL, { method: 'POST', body: query, signal: jobSignal() });
+    if (!r.ok) throw new Error(`Overpass error: ${await r.text()}`);
+    return r.json();
+  });
+}
+
+// One Overpass query per corridor tile, one after another; ways found by two tiles are kept once.
+// Tiles are snapped outward to a 0.01° grid so repeated plans in a region hit the cache.
+async function overpassWaysTiled(tiles, query) {
+  const lists = [];
+  for (const tile of tiles) {
+    throwIfCancelled();
+    const [south, west, north, east] = snapTile(tile);
+    const j = await overpassJSON(query(`(${south},${west},${north},${east})`), { template: query('{{bbox}}'), tile: [south, west, north, east] });
+    lists.push(j.elements || []);
+  }
+  return mergeById(lists);
+}
+
+// Tracks plus the gate / bollard / lift_gate nodes on them; `end_barrier` marks a track that ends at one.
+async function overpassTracks(tiles, { surfaceRegex = trackSurfaceRegex(), trackTypes = ['grade1', 'grade2', 'grade3'] } = {}) {
+  if (!tiles?.length || !surfaceRegex) return [];
+  const elements = await overpassWaysTiled(tiles, (box) => `
 [out:json][timeout:60];
 way["highway"="track"]
-  (${south},${west},${north},${east})
-  ["surface"~"gravel|compacted|fine_gravel|ground|earth|mud|pebblestone|unpaved"]
-  ["tracktype"~"grade1|grade2|grade3"];
-out geom;`;
-  const r = await fetch(OVERPASS_URL, { method: 'POST', body: q });
-  if (!r.ok) throw new Error(`Overpass error: ${await r.text()}`);
-  const j = await r.json();
-  return (j.elements || []).map((w) => ({
+  ${box}
+  ["surface"~"${surfaceRegex}"]
+  ["tracktype"~"^(${trackTypes.join('|')})$"]->.t;
+.t out geom;
+node(w.t)["barrier"~"^(${BARRIER_TYPES.join('|')})$"];
+out;`);
+  const tracks = elements.filter((e) => e.type !== 'node').map((w) => ({
     id: String(w.id),
+    tags: w.tags || {},
     coords: (w.geometry || []).map((g) => [g.lon, g.lat])
   }));
+  const barriers = elements.filter((e) => e.type === 'node').map((n) => ({ coord: [n.lon, n.lat], kind: n.tags?.barrier }));
+  return markEndBarriers(tracks, barriers);
 }
 
-async function minorRoadAnchors(bbox, axisLine, n = 4) {
-  if (!bbox || !Array.isArray(axisLine) || axisLine.length < 2) return [];
-  const [south, west, north, east] = bbox;
-  const q = `
+async function minorRoadAnchors(tiles, axisLine, n = 4) {
+  if (!tiles?.length || !Array.isArray(axisLine) || axisLine.length < 2) return [];
+  const ways = await overpassWaysTiled(tiles, (box) => `
 [out:json][timeout:60];
 way["highway"~"tertiary|unclassified|residential|service|track"][!"motorway"][!"trunk"][!"primary"]
-  (${south},${west},${north},${east});
-out geom;`;
-  const r = await fetch(OVERPASS_URL, { method: 'POST', body: q });
-  if (!r.ok) throw new Error(`Overpass error: ${await r.text()}`);
-  const j = await r.json();
+  ${box};
+out geom;`);
   const pts = [];
-  for (const w of j.elements || []) {
+  for (const w of ways) {
     for (const g of w.geometry || []) pts.push([g.lon, g.lat]);
   }
   if (!pts.length) return [];
@@ -251,8 +456,85 @@ out geom;`;
   return anchors;
 }
 
-/* ========= GraphHopper CH routing with road_class details ========= */
+// Campsites / hotels / guest houses around a point, for overnight stops.
+async function overpassLodging(lon, lat, radiusM = STAGE_LODGING_RADIUS_M) {
+  const q = `
+[out:json][timeout:25];
+nwr(around:${radiusM},${lat},${lon})["tourism"~"^(camp_site|hotel|guest_house)$"];
+out center tags;`;
+  const j = await overpassJSON(q);
+  return (j.elements || [])
+    .map((e) => ({
+      id: `${e.type}/${e.id}`,
+      kind: e.tags?.tourism,
+      name: e.tags?.name || null,
+      coord: e.type === 'node' ? [e.lon, e.lat] : (e.center ? [e.center.lon, e.center.lat] : null)
+    }))
+    .filter((l) => isPt(l.coord));
+}
+
+// Fuel stations within radiusM of a polyline (sampled for the Overpass around: line filter).
+async function overpassFuelAlong(coords, radiusM = FUEL_CORRIDOR_M) {
+  const stepKm = Math.max(2, polylineLenKm(coords) / 500);
+  const line = resampleKm(coords, stepKm).map(p => `${p[1].toFixed(5)},${p[0].toFixed(5)}`).join(',');
+  const q = `
+[out:json][timeout:60];
+nwr(around:${radiusM},${line})["amenity"="fuel"];
+out center tags;`;
+  const j = await overpassJSON(q);
+  return (j.elements || [])
+    .map((e) => ({
+      id: `${e.type}/${e.id}`,
+      name: e.tags?.name || null,
+      brand: e.tags?.brand || null,
+      coord: e.type === 'node' ? [e.lon, e.lat] : (e.center ? [e.center.lon, e.center.lat] : null)
+    }))
+    .filter((f) => isPt(f.coord));
+}
+
+// POIs of the given categories within radiusM of a polyline.
+async function overpassPoisAlong(coords, categories, radiusM) {
+  const stepKm = Math.max(1, polylineLenKm(coords) / 300);
+  const line = resampleKm(coords, stepKm).map(p => `${p[1].toFixed(5)},${p[0].toFixed(5)}`).join(',');
+  const j = await overpassJSON(overpassPoiQuery(categories, line, radiusM));
+  return (j.elements || []).map(poiFromOsm).filter(Boolean);
+}
+
+// Fords, barriers, dead ends and steep inclines within radiusM of a polyline.
+async function overpassHazardsAlong(coords, radiusM) {
+  const stepKm = Math.max(0.5, polylineLenKm(coords) / 300);
+  const line = resampleKm(coords, stepKm).map(p => `${p[1].toFixed(5)},${p[0].toFixed(5)}`).join(',');
+  const j = await overpassJSON(overpassHazardQuery(line, radiusM));
+  return (j.elements || []).map((e) => hazardFromOsm(e, { steepPct: STEEP_GRADE_PCT })).filter(Boolean);
+}
+
+// OpenTripMap places in the route's bbox (only categories it knows); needs OPENTRIPMAP_KEY.
+async function openTripMapPois(coords, categories) {
+  const kinds = categories.map((c) => POI_CATEGORIES[c]?.otm).filter(Boolean);
+  if (!OPENTRIPMAP_KEY || !kinds.length) return [];
+  const lons = coords.map(c => c[0]), lats = coords.map(c => c[1]);
+  const qs = new URLSearchParams({
+    lon_min: Math.min(...lons), lat_min: Math.min(...lats),
+    lon_max: Math.max(...lons), lat_max: Math.max(...lats),
+    kinds: kinds.join(','), format: 'geojson', limit: '500', apikey: OPENTRIPMAP_KEY
+  });
+  const r = await fetch(`https://api.opentripmap.com/0.1/en/places/bbox?${qs}`, { headers: { 'User-Agent': 'adv-route/1.0' }});
+  if (!r.ok) throw new Error(`OpenTripMap HTTP ${r.status}`);
+  const j = await r.json();
+  return (j.features || []).map(poiFromOtm).filter(Boolean);
+}
+
+/* ========= GraphHopper routing (CH, or flexible with a custom model) ========= */
 async function ghRouteCH(points, profile = 'car') {
+  return ghRoute(points, profile, null);
+}
+
+// Flexible (non-CH) request; GH only accepts custom models on plans that allow them.
+async function ghRouteFlex(points, customModel, profile = 'car') {
+  return ghRoute(points, profile, customModel);
+}
+
+async function ghRoute(points, profile, customModel) {
   let pts = collapseNearDuplicates(points, 30);
   if (pts.length >= 2 && sameCoordinate(pts[0], pts[pts.length - 1], 10)) {
     pts[pts.length - 1] = jitterPoint(pts[pts.length - 1], 11);
@@ -262,17 +544,25 @@ async function ghRouteCH(points, profile = 'car') {
     const a = pts[0], b = pts[1];
     const keyA = `${a[0].toFixed(5)},${a[1].toFixed(5)}`;
     const keyB = `${b[0].toFixed(5)},${b[1].toFixed(5)}`;
-    cacheKey = `ch|${keyA}|${keyB}`;
-    if (routeCache.has(cacheKey)) return routeCache.get(cacheKey);
+    cacheKey = customModel ? `cm|${profile}|${JSON.stringify(customModel)}|${keyA}|${keyB}` : `ch|${profile}|${keyA}|${keyB}`;
   }
+  return cacheKey ? cache.wrap('route', cacheKey, () => ghFetchRoute(pts, profile, customModel)) : ghFetchRoute(pts, profile, customModel);
+}
+
+async function ghFetchRoute(pts, profile, customModel) {
   const body = {
     profile,
     points: pts.map(p => [p[0], p[1]]),
     points_encoded: false,
     locale: 'en',
     instructions: false,
-    details: ['road_class'] // ask GH for road_class ranges in speed mode
+    elevation: true,
+    details: GH_DETAILS // ranges used for motorway rescue, preference post-filtering and stats
   };
+  if (customModel) {
+    body['ch.disable'] = true;
+    body.custom_model = customModel;
+  }
   const url = `https://graphhopper.com/api/1/route?key=${GH_KEY}`;
   const r = await rlFetch(url, {
     method: 'POST',
@@ -287,39 +577,115 @@ async function ghRouteCH(points, profile = 'car') {
   }
 
   const j = await r.json();
-  const coords = j.paths[0].points.coordinates.map(c => [c[0], c[1]]);
+  const coords = j.paths[0].points.coordinates.map(c => (c.length > 2 ? [c[0], c[1], c[2]] : [c[0], c[1]]));
   const details = j.paths[0].details || {};
-  const out = { raw: j, coords, details };
-  if (cacheKey) routeCache.set(cacheKey, out);
-  return out;
+  return { raw: j, coords, details };
 }
 
-function toGPX(name, coords) {
-  const trkpts = coords.map(c => `<trkpt lon="${c[0]}" lat="${c[1]}"></trkpt>`).join('');
-  return `<?xml version="1.0" encoding="UTF-8"?><gpx version="1.1" creator="adv-route"><trk><name>${name}</name><trkseg>${trkpts}</trkseg></trk></gpx>`;
-}
-
-async function uploadToSupabase(path, data, contentType) {
-  const { data: res, error } = await supabase.storage.from(SUPABASE_BUCKET).upload(path, data, {
-    contentType,
-    upsert: true
-  });
-  if (error) throw error;
-  if (!SUPABASE_PUBLIC_BUCKET) {
-    const { data: signed } = await supabase.storage.from(SUPABASE_BUCKET).createSignedUrl(path, 60 * 60 * 24 * 30);
-    return signed?.signedUrl || null;
+// GH's answer when the account can't use custom models at all (free plan, flexible mode off), as
+// opposed to a 4xx caused by this request's own points or areas
+const customModelUnsupported = (err) => /HTTP 40[13]\b/.test(String(err))
+  || (/HTTP 4\d\d/.test(String(err)) && /custom.?model|ch\.disable|flexible|package|not (?:allowed|available|supported)/i.test(String(err)));
+
+/**
+ * Route through the custom model in `cm` ({ model, profile, used, fallback })
+ * when there is one, else CH; `profile` is the rider profile's GH profile. Any
+ * 4xx on the flexible path falls back to CH for this call; only one saying
+ * custom models are unavailable skips them for CUSTOM_MODEL_RETRY_MS.
+ */
+let customModelBlockedUntil = 0;
+async function ghRouteFor(points, cm) {
+  const profile = cm?.profile || 'car';
+  if (!cm?.model) return ghRouteCH(points, profile);
+  if (Date.now() >= customModelBlockedUntil) {
+    try {
+      const out = await ghRouteFlex(points, cm.model, profile);
+      cm.used++;
+      return out;
+    } catch (err) {
+      if (!/HTTP 4\d\d/.test(String(err))) throw err;
+      const out = await ghRouteCH(points, profile);
+      if (customModelUnsupported(err)) {
+        customModelBlockedUntil = Date.now() + CUSTOM_MODEL_RETRY_MS;
+        logger.warn({ err: String(err), retry_min: CUSTOM_MODEL_RETRY_MS / 60000 }, 'custom model rejected; using CH');
+      } else {
+        logger.warn({ err: String(err) }, 'custom model route failed; using CH for this leg');
+      }
+      cm.fallback++;
+      return out;
+    }
   }
-  const { data: pub } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(path);
-  return pub.publicUrl || null;
+  cm.fallback++;
+  return ghRouteCH(points, profile);
 }
 
-async function storageUrlFor(path) {
-  if (!SUPABASE_PUBLIC_BUCKET) {
-    const { data } = await supabase.storage.from(SUPABASE_BUCKET).createSignedUrl(path, 60 * 60);
-    return data?.signedUrl || null;
+// Export formats: key -> file suffix + content type ({id}{suffix}); all served via /download/route
+const EXPORTS = {
+  gpx: { suffix: '.gpx', type: 'application/gpx+xml' },
+  geojson: { suffix: '.geojson', type: 'application/geo+json' },
+  kml: { suffix: '.kml', type: 'application/vnd.google-earth.kml+xml' },
+  tcx: { suffix: '.tcx', type: 'application/vnd.garmin.tcx+xml' },
+  gpx_route: { suffix: '-route.gpx', type: 'application/gpx+xml' },
+  gpx_split: { suffix: '-split.gpx', type: 'application/gpx+xml' }
+};
+
+/**
+ * Upload the requested `formats` for one route and build their links. With
+ * `stages` the main GPX holds one <trk> per day and each day also gets
+ * `{id}-day{n}.gpx`; `pois` become waypoints / points / course points; `vias`
+ * are the via points of the GPX <rte>; `difficulty` segments go on the GeoJSON line.
+ */
+async function publishRoute(coords, { name = 'ADV Route', details = {}, stages = [], pois = [], vias = [], difficulty = [], formats = EXPORT_FORMATS, maxTrackPoints = DEVICE_MAX_TRACK_POINTS } = {}) {
+  const routeId = nanoid();
+  const prettyUrl = (file, fallback) => PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/download/route/${file}` : fallback;
+  const { km, h } = cumulative(coords, details);
+  const render = {
+    gpx: () => (stages.length > 1
+      ? toGPXTracks(stages.map((st) => ({ name: `${name} – Day ${st.day}`, coords: st.coords })), { name, waypoints: pois })
+      : toGPX(name, coords, { waypoints: pois })),
+    // difficulty runs by km, so the preview can colour the line whatever the export geometry
+    geojson: () => JSON.stringify(toGeoJSON(name, coords, { waypoints: pois, properties: { difficulty } })),
+    kml: () => toKML(name, coords, { waypoints: pois }),
+    tcx: () => toTCX(name, coords, { km, hours: h, waypoints: pois }),
+    gpx_route: () => {
+      const viaKms = vias.map((v) => nearestOnPolyline(coords, v).alongKm);
+      return toGPXRoute(name, shapingPoints(coords, km, viaKms, GPX_ROUTE_MAX_POINTS), { waypoints: pois });
+    },
+    gpx_split: () => {
+      const parts = splitTrack(coords, maxTrackPoints);
+      return toGPXTracks(parts.map((part, i) => ({ name: `${name} – Part ${i + 1}/${parts.length}`, coords: part })), { name, waypoints: pois });
+    }
+  };
+  const files = {};
+  const paths = [];
+  for (const fmt of formats.filter((f) => EXPORTS[f])) {
+    const file = `${routeId}${EXPORTS[fmt].suffix}`;
+    paths.push(`routes/${file}`);
+    progress('upload', { file });
+    const url = await storage.put(`routes/${file}`, Buffer.from(render[fmt]()), EXPORTS[fmt].type);
+    files[fmt] = { url, pretty_url: prettyUrl(file, url) };
   }
-  const { data } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(path);
-  return data?.publicUrl || null;
+  const stageFiles = [];
+  for (const st of stages.length > 1 && files.gpx ? stages : []) {
+    const file = `${routeId}-day${st.day}.gpx`;
+    paths.push(`routes/${file}`);
+    const dayPois = pois.filter((p) => p.km_from_start >= st.from_km && p.km_from_start <= st.to_km);
+    progress('upload', { file });
+    const url = await storage.put(`routes/${file}`, Buffer.from(toGPX(`${name} – Day ${st.day}`, st.coords, { waypoints: dayPois })), 'application/gpx+xml');
+    stageFiles.push({ gpx_url: url, pretty_gpx_url: prettyUrl(file, url) });
+  }
+  return {
+    id: routeId,
+    gpx_url: files.gpx?.url ?? null,
+    geojson_url: files.geojson?.url ?? null,
+    // the preview page draws the GeoJSON
+    preview_url: PUBLIC_BASE_URL && files.geojson ? `${PUBLIC_BASE_URL}/v/${routeId}` : null,
+    pretty_gpx_url: files.gpx?.pretty_url ?? null,
+    pretty_geojson_url: files.geojson?.pretty_url ?? null,
+    files,
+    stages: stageFiles,
+    paths
+  };
 }
 
 /* ========= Helpers (CH-only) ========= */
@@ -338,68 +704,46 @@ function chunkPointsForGH(points, max = 5) {
 }
 
 /** Build a single GH route using CH only, chunked for the free plan. */
-async function buildCHOnlyRoute(a, b, viaPts, log) {
+async function buildCHOnlyRoute(a, b, viaPts, log, opts = {}) {
   let points = collapseNearDuplicates([a, ...viaPts, b], 30);
   if (points.length >= 2 && sameCoordinate(points[0], points[points.length - 1], 10)) {
     points[points.length - 1] = jitterPoint(points[points.length - 1], 11);
   }
 
   const legs = chunkPointsForGH(points, 5);
-  let coords = [];
-
-  for (let li = 0; li < legs.length; li++) {
-    const leg = legs[li];
-    const gh = await ghRouteCH(leg, 'car');          // CH only
-    const seg = gh.coords;
-    coords = li === 0 ? seg : coords.concat(seg.slice(1));
+  const parts = [];
+  for (const [i, leg] of legs.entries()) {
+    progress('connector', { leg: i + 1, of: legs.length, points: leg.length });
+    const gh = await ghRouteFor(leg, opts.cm);       // CH unless a custom model is accepted
+    // one connector per waypoint pair so /refine can reroute them separately
+    const waypoints = gh.raw?.paths?.[0]?.snapped_waypoints?.coordinates || leg;
+    parts.push(...splitAtWaypoints(gh.coords, gh.details, waypoints));
   }
+  const { coords, details } = joinParts(parts);
 
   const totalKm = +polylineLenKm(coords).toFixed(1);
-  log?.info({ pts: points.length, legs: legs.length, km: totalKm, mode: 'CH' }, 'CH-only route built (chunked)');
-  return { coords, evidence: [{ type: 'GH_mode', ref: 'CH' }], autoAnchors: [] };
-}
-
-function lengthKmBetween(points, i0, i1) {
-  let km = 0;
-  for (let i = Math.max(1, i0 + 1); i <= Math.min(points.length - 1, i1); i++) {
-    km += distKm(points[i - 1], points[i]);
-  }
-  return km;
-}
-
-function motorwayShareFromDetails(points, details) {
-  const rc = details?.road_class || [];
-  if (!rc.length) return { share: 0, longestBad: null, totalKm: polylineLenKm(points) };
-
-  const BAD = new Set(['MOTORWAY', 'TRUNK']);
-  let badKm = 0;
-  let totalKm = polylineLenKm(points);
-  let longestBad = null; // { i0, i1, km }
-
-  for (const [i0, i1, cls] of rc) {
-    if (!BAD.has(String(cls).toUpperCase())) continue;
-    const km = lengthKmBetween(points, i0, i1);
-    badKm += km;
-    if (!longestBad || km > longestBad.km) longestBad = { i0, i1, km };
-  }
-  const share = totalKm > 0 ? badKm / totalKm : 0;
-  return { share, longestBad, totalKm };
+  const mode = opts.cm?.used ? 'FLEX' : 'CH';
+  log?.info({ pts: points.length, legs: legs.length, km: totalKm, mode }, 'CH-only route built (chunked)');
+  return { coords, details, legs: parts, evidence: [{ type: 'GH_mode', ref: mode }], autoAnchors: [] };
 }
 
 // Find a minor-road point near (lon,lat) using Overpass "around:" search.
-async function findNearestMinorRoadPointAround(lon, lat, radiusM = RESCUE_SEARCH_RADIUS_M) {
+// With avoid areas ({ areas, rejected }), points inside them are skipped and counted.
+async function findNearestMinorRoadPointAround(lon, lat, radiusM = RESCUE_SEARCH_RADIUS_M, avoid = null) {
+  const areas = avoid?.areas || [];
   const q = `
 [out:json][timeout:25];
 way(around:${radiusM},${lat},${lon})["highway"~"tertiary|unclassified|residential|service|track"];
-out geom 1;`;
-  const r = await fetch(OVERPASS_URL, { method: 'POST', body: q });
-  if (!r.ok) return null;
-  const j = await r.json();
-  const cand = (j.elements || [])[0];
-  if (!cand) return null;
-  const g = (cand.geometry || [])[0];
-  if (!g) return null;
-  return [g.lon, g.lat];
+out geom ${areas.length ? 10 : 1};`;
+  const j = await overpassJSON(q).catch(() => null);
+  if (!j) return null;
+  for (const cand of j.elements || []) {
+    const g = (cand.geometry || [])[0];
+    if (!g) continue;
+    if (inAnyArea([g.lon, g.lat], areas)) { avoid.rejected++; continue; }
+    return [g.lon, g.lat];
+  }
+  return null;
 }
 
 /* ========= Stitch builder (CH connectors + optional rescue) ========= */
@@ -407,264 +751,1007 @@ async function buildStitchedRoute(start, end, vias, tracks, dynMaxTracks, axisKm
   const requestId = nanoid();
   const log = (parentLog || logger).child({ requestId });
   const useMotorwayRescue = !!opts.avoid_motorways;
-
-  // choose a small set of candidate tracks
-  const selected = [];
-  for (const t of tracks) {
-    if (!t?.coords?.length) continue;
-    selected.push(t);
-    if (selected.length >= dynMaxTracks) break;
-  }
-  log.info({ selected_track_ids: selected.map(t => t.id), dynMaxTracks }, 'stitch: selected tracks');
-
-  // clean anchors
+  const trackOffset = Math.max(0, opts.trackOffset || 0); // skip this many top-scored tracks (alternative subsets)
+
+  // score tracks against the start–via–end axis; pick an ordered, non-overlapping set between the vias
+  const axis = [start, ...vias, end];
+  const viaKm = vias.map((v) => nearestOnPolyline(axis, v).alongKm);
+  const scored = scoreTracks(tracks, axis, { axisKm, joinKm: JOIN_RADIUS_KM });
+  const picks = selectTracks(scored, { max: dynMaxTracks, skip: trackOffset, keepClear: viaKm });
+  const selected = picks.map((p) => p.track);
+  log.info({
+    candidates: tracks.length,
+    scored: scored.length,
+    selected: picks.map((p) => ({ id: p.track.id, score: +p.score.toFixed(3), from_km: +p.fromKm.toFixed(1), to_km: +p.toKm.toFixed(1) })),
+    dynMaxTracks,
+    trackOffset,
+    axisKm
+  }, 'stitch: selected tracks');
+
+  // clean anchors, then slot the picked tracks between them in axis order
   const rawAnchors = [start, ...vias, end];
   const { cleaned: anchors, summary } = cleanAnchors(rawAnchors, { minSegKm: 0.05 });
   log.info({ cleaning: summary, anchors: anchors.map(fmtPt) }, 'stitch: cleaned anchors');
 
   if (anchors.length < 2) {
     log.warn({ count: anchors.length }, 'anchors insufficient; falling back to CH-only');
-    const ch = await buildCHOnlyRoute(start, end, vias, log);
+    const ch = await buildCHOnlyRoute(start, end, vias, log, { cm: opts.cm });
     ch.evidence = ch.evidence.concat([{ type:'auto_anchors', ref:'0' }]);
     return ch;
   }
+  const stops = [
+    ...anchors.slice(1, -1).map((pt) => ({ pt, km: nearestOnPolyline(axis, pt).alongKm })),
+    ...picks.map((p) => ({ pt: p.track.coords[0], km: p.fromKm, track: p.track }))
+  ].sort((x, y) => x.km - y.km);
+  stops.unshift({ pt: anchors[0] });
+  stops.push({ pt: anchors[anchors.length - 1] });
+
+  // one connector, split at minor-road rescue points while it rides too much motorway
+  const connect = async (from, to, attempts = 0) => {
+    const pair = collapseNearDuplicates([from, to], 30);
+    if (pair.length < 2) return [];
+    const ghSeg = await ghRouteFor(pair, opts.cm); // CH (or custom model) with details
+    const segCoords = ghSeg.coords;
+    if (useMotorwayRescue && attempts < RESCUE_SPLITS_PER_CONNECTOR) {
+      const { share, longestBad } = motorwayShareFromDetails(segCoords, ghSeg.details);
+      if (share > MAX_MOTORWAY_SHARE && longestBad) {
+        const midIdx = Math.floor((longestBad.i0 + longestBad.i1) / 2);
+        const mid = segCoords[Math.max(0, Math.min(segCoords.length - 1, midIdx))];
+        const rescue = await findNearestMinorRoadPointAround(mid[0], mid[1], RESCUE_SEARCH_RADIUS_M, opts.avoid);
+        log.warn({ share: +share.toFixed(3), attempts, mid: fmtPt(mid), rescue: rescue ? fmtPt(rescue) : null }, 'stitch: motorway rescue');
+        progress('rescue', { motorway_share: +share.toFixed(3), rescue });
+        if (rescue) return [...await connect(from, rescue, attempts + 1), ...await connect(rescue, to, attempts + 1)];
+      }
+    }
+    log.info({ from: fmtPt(from), to: fmtPt(to), segKm: polylineLenKm(segCoords) }, 'stitch: connector');
+    progress('connector', { from, to, km: +polylineLenKm(segCoords).toFixed(1) });
+    return [{ type: 'connector', coords: segCoords, details: ghSeg.details }];
+  };
 
-  // build connectors with rescue
-  const segments = [];
-  let last = anchors[0];
-
-  for (let i = 1; i < anchors.length; i++) {
-    let next = anchors[i];
-    const hopKm = distKm(last, next);
-    if (hopKm < 0.05) {
-      log.warn({ i, from: fmtPt(last), to: fmtPt(next), hopKm }, 'stitch: skip tiny connector');
+  // walk the stops; every connector leaves from where the previous piece really ended
+  const merged = [];
+  const autoAnchors = [];
+  const skippedVias = []; // vias the rider asked for (opts.userVias) that no connector reached
+  let cur = stops[0].pt;
+  for (let s = 1; s < stops.length; s++) {
+    const stop = stops[s];
+    if (stop.track) {
+      const clip = clipTrack(stop.track.coords, cur, stops[s + 1].pt, { minKm: 0.2 });
+      if (!clip) {
+        log.info({ id: stop.track.id }, 'stitch: track too short between its neighbours; skipped');
+        continue;
+      }
+      let lead;
+      try {
+        lead = await connect(cur, clip.entry);
+      } catch (err) {
+        log.warn({ id: stop.track.id, err: String(err) }, 'stitch: no connector onto track; skipped');
+        continue;
+      }
+      const arrived = lead.length ? lead[lead.length - 1].coords[lead[lead.length - 1].coords.length - 1] : cur;
+      if (distKm(arrived, clip.entry) >= JOIN_RADIUS_KM) {
+        log.info({ id: stop.track.id, gap_km: +distKm(arrived, clip.entry).toFixed(3), attach_radius_km: JOIN_RADIUS_KM }, 'stitch: track entry unreachable; skipped');
+        continue;
+      }
+      const trackKm = polylineLenKm(clip.coords);
+      log.info({ id: stop.track.id, km: trackKm, reversed: clip.reversed, entry: fmtPt(clip.entry), exit: fmtPt(clip.exit) }, 'stitch: attach track');
+      progress('track_attach', { id: stop.track.id, km: +trackKm.toFixed(1) });
+      merged.push(...lead, { type: 'track', id: stop.track.id, coords: clip.coords, details: trackDetails(clip.coords, stop.track.tags) });
+      autoAnchors.push(clip.entry, clip.exit);
+      cur = clip.exit;
       continue;
     }
+    try {
+      merged.push(...await connect(cur, stop.pt));
+      cur = stop.pt;
+    } catch (err) {
+      log.error({ s, from: fmtPt(cur), to: fmtPt(stop.pt), err: String(err) }, 'stitch: connector failed');
+      if (s + 1 < stops.length) {
+        log.warn({ s, skipped: fmtPt(stop.pt) }, 'stitch: skipping one anchor');
+        if ((opts.userVias || []).some((v) => sameCoordinate(v, stop.pt))) skippedVias.push(stop.pt);
+        continue;
+      }
+      log.error({ s }, 'stitch: last connector failed; falling back to CH-only');
+      const ch = await buildCHOnlyRoute(start, end, vias, log, { cm: opts.cm });
+      ch.evidence = ch.evidence.concat([{ type: 'auto_anchors', ref: '0' }]);
+      return ch;
+    }
+  }
+
+  const evidence = [
+    { type:'GH_mode', ref:'STITCH' },
+    { type: 'tracks', ref: `candidates=${tracks.length} scored=${scored.length} selected=${selected.length} attached=${autoAnchors.length / 2}` },
+    ...skippedVias.map((p) => ({ type: 'warning', ref: `via ${fmtPt(p)} skipped: no connector` }))
+  ];
+  if (autoAnchors.length) {
+    // merge to one polyline; track entries and exits are the auto anchors
+    const { coords, details } = joinParts(merged);
+    evidence.push({ type:'auto_anchors', ref:String(autoAnchors.length) });
+    return { coords, details, legs: merged, evidence, autoAnchors };
+  }
+  log.warn('stitch: no tracks attached; falling back to CH-only');
+  const ch = await buildCHOnlyRoute(start, end, vias, log, { cm: opts.cm });
+  ch.evidence = ch.evidence.concat([{ type:'auto_anchors', ref:'0' }]);
+  return ch;
+}
 
-    let attempts = 0;
-    let built = false;
+/* ========= Loop builder (round trip back to start) ========= */
+const closeLoop = (coords, start) =>
+  distKm(coords[coords.length - 1], start) < 0.001 ? coords : coords.concat([start]);
+
+// closeLoop for a built route: the closing point also ends its last leg
+function closeBuiltLoop(built, start) {
+  const coords = closeLoop(built.coords, start);
+  if (coords === built.coords || !built.legs?.length) return { ...built, coords };
+  const legs = built.legs.slice();
+  const last = legs[legs.length - 1];
+  legs[legs.length - 1] = { ...last, coords: last.coords.concat([start]) };
+  return { ...built, coords, legs };
+}
 
-    while (!built) {
-      const pair = collapseNearDuplicates([last, next], 30);
-      if (pair.length < 2) break;
+// Tries the best-ranked ring bearings until one comes back without riding the same roads twice.
+async function buildLoopRoute(start, vias, tracks, kmTarget, route, log, { avoidAreas = [] } = {}) {
+  const cands = rankLoopBearings(start, kmTarget, tracks, { anchors: LOOP_ANCHORS });
+  let best = null;
+  for (const cand of cands.slice(0, LOOP_ATTEMPTS)) {
+    const anchors = cand.anchors.filter((p) => !inAnyArea(p, avoidAreas));
+    const ordered = orderAroundCenter(cand.center, start, [...vias, ...anchors]);
+    const built = closeBuiltLoop(await route(ordered), start);
+    const { coords } = built;
+    const retrace = retraceShare(coords);
+    log.info({ bearing: cand.bearing, snapped: cand.snapped, km: +polylineLenKm(coords).toFixed(1), retrace: +retrace.toFixed(3) }, 'loop: candidate');
+    if (!best || retrace < best.retrace) best = { ...built, retrace, cand };
+    if (retrace <= LOOP_MAX_RETRACE) break;
+  }
+  if (best.retrace > LOOP_MAX_RETRACE) {
+    log.warn({ retrace: +best.retrace.toFixed(3), max: LOOP_MAX_RETRACE }, 'loop: no candidate under retrace limit; using best');
+  }
+  best.evidence = best.evidence.concat([{
+    type: 'loop',
+    ref: `bearing=${best.cand.bearing} anchors_on_tracks=${best.cand.snapped}/${best.cand.anchors.length} retrace=${best.retrace.toFixed(2)}`
+  }]);
+  return best;
+}
 
+/* ========= Track access ========= */
+// Warn for each stitched track whose access could not be settled (no ride_date, time-of-day rules).
+function withAccessNotes(built, screened) {
+  const warnings = [];
+  let km = 0;
+  for (const leg of built.legs || []) {
+    const reason = leg.type === 'track' ? screened.uncertain.get(String(leg.id)) : null;
+    if (reason) warnings.push({ type: 'warning', ref: `access: way ${leg.id} at km ${km.toFixed(1)} uncertain (${reason})` });
+    km += polylineLenKm(leg.coords);
+  }
+  return {
+    ...built,
+    evidence: built.evidence.concat([{ type: 'access', ref: `excluded=${screened.excluded.length} uncertain_used=${warnings.length}` }], warnings)
+  };
+}
+
+/* ========= Avoid areas ========= */
+// Connectors that still enter an avoid area (CH fallback ignores GH areas): one detour
+// around the area's bbox, else a warning. `avoid` is { areas, tracksDropped, rejected }.
+async function keepOutOfAreas(built, avoid, log) {
+  if (!avoid.areas.length) return built;
+  const legs = [];
+  const warnings = [];
+  let rerouted = 0, km = 0;
+  for (const leg of built.legs || []) {
+    const hit = leg.type === 'connector' ? crossedArea(leg.coords, avoid.areas) : -1;
+    const fromKm = km;
+    km += polylineLenKm(leg.coords);
+    if (hit < 0) { legs.push(leg); continue; }
+    const from = leg.coords[0].slice(0, 2), to = leg.coords[leg.coords.length - 1].slice(0, 2);
+    const vias = detourVias(from, to, avoid.areas[hit], avoid.areas);
+    if (vias) {
       try {
-        const ghSeg = await ghRouteCH(pair, 'car'); // CH with details
-        const segCoords = ghSeg.coords;
-        const segKm = polylineLenKm(segCoords);
-
-        if (useMotorwayRescue && RESCUE_SPLITS_PER_CONNECTOR > 0) {
-          const { share, longestBad } = motorwayShareFromDetails(segCoords, ghSeg.details);
-          if (share > MAX_MOTORWAY_SHARE && attempts < RESCUE_SPLITS_PER_CONNECTOR && longestBad) {
-            const midIdx = Math.floor((longestBad.i0 + longestBad.i1) / 2);
-            const mid = segCoords[Math.max(0, Math.min(segCoords.length - 1, midIdx))];
-            const rescue = await findNearestMinorRoadPointAround(mid[0], mid[1], RESCUE_SEARCH_RADIUS_M);
-            log.warn({ i, share: +share.toFixed(3), attempts, mid: fmtPt(mid), rescue: rescue ? fmtPt(rescue) : null }, 'stitch: motorway rescue');
-
-            if (rescue) {
-              anchors.splice(i, 0, rescue);
-              next = rescue;
-              attempts++;
-              continue;
-            }
-          }
+        const gh = await ghRouteFor([from, ...vias, to], built.cm);
+        if (crossedArea(gh.coords, avoid.areas) < 0) {
+          legs.push(...splitAtWaypoints(gh.coords, gh.details, [from, ...vias, to]));
+          rerouted++;
+          continue;
         }
-
-        log.info({ i, from: fmtPt(last), to: fmtPt(next), segKm }, 'stitch: connector');
-        segments.push({ type: 'connector', coords: segCoords });
-        last = next;
-        built = true;
       } catch (err) {
-        log.error({ i, from: fmtPt(last), to: fmtPt(next), err: String(err) }, 'stitch: connector failed');
-        if (i + 1 < anchors.length) {
-          const skipTo = anchors[i + 1];
-          try {
-            const ghSeg2 = await ghRouteCH(collapseNearDuplicates([last, skipTo], 30), 'car');
-            const segCoords2 = ghSeg2.coords;
-            const segKm2 = polylineLenKm(segCoords2);
-            log.warn({ i, skippedTo: fmtPt(skipTo), segKm2 }, 'stitch: recovered by skipping one anchor');
-            segments.push({ type: 'connector', coords: segCoords2 });
-            last = skipTo;
-            i++; // skip one anchor
-            built = true;
-          } catch (err2) {
-            log.error({ i, err2: String(err2) }, 'stitch: recovery failed; falling back to CH-only');
-            const ch = await buildCHOnlyRoute(start, end, vias, log);
-            ch.evidence = ch.evidence.concat([{ type: 'auto_anchors', ref: '0' }]);
-            return ch;
-          }
-        } else {
-          log.error({ i }, 'stitch: last connector failed; falling back to CH-only');
-          const ch = await buildCHOnlyRoute(start, end, vias, log);
-          ch.evidence = ch.evidence.concat([{ type: 'auto_anchors', ref: '0' }]);
-          return ch;
-        }
+        log.warn({ err: String(err), vias: vias.map(fmtPt) }, 'avoid areas: detour failed');
       }
     }
+    legs.push(leg);
+    warnings.push({ type: 'warning', ref: `avoid_areas: connector from km ${fromKm.toFixed(1)} still enters area ${hit}` });
   }
+  log.info({ areas: avoid.areas.length, tracks_dropped: avoid.tracksDropped, rescue_rejected: avoid.rejected, rerouted, crossing: warnings.length }, 'avoid areas: post-check');
+  const evidence = built.evidence.concat([
+    { type: 'avoid_areas', ref: `areas=${avoid.areas.length} tracks_dropped=${avoid.tracksDropped} rescue_rejected=${avoid.rejected} rerouted=${rerouted}` },
+    ...warnings
+  ]);
+  if (!rerouted) return { ...built, evidence };
+  const { coords, details } = joinParts(legs);
+  return { ...built, coords, details, legs, evidence };
+}
 
-  if (!segments.length) {
-    log.warn('stitch: no connectors built; falling back to CH-only');
-    const ch = await buildCHOnlyRoute(start, end, vias, log);
-    ch.evidence = ch.evidence.concat([{ type:'auto_anchors', ref:'0' }]);
-    return ch;
+/* ========= Sanity pass ========= */
+// Reroute gaps between legs, cut spikes and spurs, then flag U-turns and stretches ridden twice.
+async function sanityPass(built, keep, log) {
+  if (!built.legs?.length) return built;
+  let legs = built.legs.slice();
+  const warnings = [];
+  let gapsRerouted = 0;
+  const gaps = legGaps(legs, { gapM: SANITY_GAP_M });
+  const starts = legStarts(legs);
+  for (const gap of gaps.reverse()) { // from the back so leg indices stay valid
+    const where = `km ${starts[gap.leg].toFixed(1)} (${fmtPt(gap.from)})`;
+    try {
+      const gh = await ghRouteFor([gap.from.slice(0, 2), gap.to.slice(0, 2)], built.cm);
+      const left = Math.max(distKm(gap.from, gh.coords[0]), distKm(gh.coords[gh.coords.length - 1], gap.to));
+      if (left * 1000 <= SANITY_GAP_M) {
+        legs.splice(gap.leg, 0, { type: 'connector', coords: gh.coords, details: gh.details });
+        gapsRerouted++;
+        continue;
+      }
+    } catch (err) {
+      log.warn({ err: String(err), from: fmtPt(gap.from), to: fmtPt(gap.to) }, 'sanity: gap reroute failed');
+    }
+    warnings.push({ type: 'warning', ref: `sanity: ${gap.km.toFixed(2)} km gap at ${where}` });
   }
 
-  // append track segments when endpoints are close
-  const merged=[]; let selIdx=0;
-  for (const seg of segments){
-    merged.push(seg);
-    const track = selected[selIdx];
-    const endPt = seg.coords[seg.coords.length-1];
-    if (track && distKm(endPt, track.coords[0]) < JOIN_RADIUS_KM) {
-      const trackKm = polylineLenKm(track.coords);
-      log.info({ id: track.id, km: trackKm, attach_radius_km: JOIN_RADIUS_KM }, 'stitch: attach track');
-      merged.push({type:'track', id:track.id, coords:track.coords});
-      selIdx++;
+  const checked = sanitizeLegs(legs, { gapM: SANITY_GAP_M, spurMaxKm: SANITY_SPUR_MAX_KM, keep });
+  for (const u of checked.uturns) warnings.push({ type: 'warning', ref: `sanity: U-turn at km ${u.atKm} (${fmtPt(u.at)})` });
+  for (const r of checked.repeats) warnings.push({ type: 'warning', ref: `sanity: km ${r.fromKm}–${r.toKm} rides a stretch twice` });
+  log.info({
+    gaps: gaps.length,
+    gaps_rerouted: gapsRerouted,
+    spikes: checked.spikes,
+    spurs: checked.spurs.map((sp) => ({ at_km: sp.atKm, km: sp.km })),
+    uturns: checked.uturns.length,
+    repeats: checked.repeats.length
+  }, 'sanity: checked');
+  const spurKm = checked.spurs.reduce((sum, sp) => sum + sp.km, 0);
+  return {
+    ...built,
+    coords: checked.coords,
+    details: checked.details,
+    legs: checked.legs,
+    evidence: built.evidence.concat([
+      { type: 'sanity', ref: `gaps_rerouted=${gapsRerouted}/${gaps.length} spurs_cut=${checked.spurs.length} (${spurKm.toFixed(1)} km) spikes=${checked.spikes}` },
+      ...warnings
+    ])
+  };
+}
+
+/* ========= Distance fit ========= */
+// Requested vs achieved km, with a warning when the route is outside the band.
+function withFitReport(built, targetKm, toleranceKm, { rounds = 0, added = 0, trimmed = 0 } = {}) {
+  const km = polylineLenKm(built.coords);
+  const within = Math.abs(km - targetKm) <= toleranceKm;
+  const evidence = [{ type: 'distance_fit', ref: `requested=${targetKm.toFixed(1)} achieved=${km.toFixed(1)} rounds=${rounds} added=${added} trimmed=${trimmed}` }];
+  if (!within) evidence.push({ type: 'warning', ref: `distance: ${km.toFixed(1)} km vs ${targetKm.toFixed(1)} km requested (±${toleranceKm.toFixed(1)})` });
+  return {
+    ...built,
+    fit: { requested_km: +targetKm.toFixed(1), achieved_km: +km.toFixed(1), tolerance_km: +toleranceKm.toFixed(1), within },
+    evidence: built.evidence.concat(evidence)
+  };
+}
+
+// Reroute until the route lands within `toleranceKm` of the target: short routes get a detour
+// anchor (a corridor track or minor road when one fits, else an off-axis point snapped to a
+// road); long ones lose an optional via (not in `fixed`) or, when stitched, one track.
+// A round is kept only when it gets closer. Reported by withFitReport once fuel stops are in.
+async function fitToTarget(vias, variant, { route, ends, targetKm, toleranceKm, fixed, candidates, avoidAreas, log }) {
+  let built = await route(vias, variant);
+  const tried = [];
+  let added = 0, trimmed = 0, rounds = 0;
+  let fewerTracksTried = false; // a cap of one less track that didn't help won't help next round either
+  while (rounds < FIT_ROUNDS) {
+    const km = polylineLenKm(built.coords);
+    const delta = targetKm - km;
+    if (Math.abs(delta) <= toleranceKm) break;
+    rounds++;
+    const cur = built.vias;
+    const stops = [ends[0], ...cur, ends[1]];
+    const factor = roadFactor(stops, km);
+    let next = null, nextVariant = variant;
+    if (delta > 0) {
+      let pick = pickDetour(stops, delta, candidates, { factor, exclude: tried });
+      if (!pick) {
+        const offset = offsetDetours(stops, delta, factor).filter((p) => !inAnyArea(p, avoidAreas));
+        const snapped = [];
+        for (const p of offset) {
+          const pt = await findNearestMinorRoadPointAround(p[0], p[1], FIT_SNAP_M, { areas: avoidAreas, rejected: 0 }).catch(() => null);
+          if (pt) snapped.push({ pt, source: 'minor_road' });
+        }
+        // the bare offset point only when no snapped one fits; GH snaps it to whatever road is nearest
+        pick = pickDetour(stops, delta, snapped, { factor, exclude: tried })
+          ?? pickDetour(stops, delta, offset.map((pt) => ({ pt, source: 'offset' })), { factor, exclude: tried });
+      }
+      if (!pick) break;
+      tried.push(pick.pt);
+      next = cur.slice();
+      next.splice(pick.at, 0, pick.pt);
+      log.info({ round: rounds, km: +km.toFixed(1), target: targetKm, source: pick.source, at: fmtPt(pick.pt), adds_km: +pick.addedKm.toFixed(1) }, 'fit: detour anchor');
+    } else {
+      const optional = cur.map((_, i) => i).filter((i) => !fixed.includes(cur[i]) && !tried.includes(cur[i]));
+      const trim = pickTrim(stops, -delta, optional, factor);
+      const attached = (built.legs || []).filter((l) => l.type === 'track').length;
+      if (trim) {
+        tried.push(cur[trim.at]);
+        next = cur.filter((_, i) => i !== trim.at);
+        log.info({ round: rounds, km: +km.toFixed(1), target: targetKm, dropped: fmtPt(cur[trim.at]), saves_km: +trim.savedKm.toFixed(1) }, 'fit: drop via');
+      } else if (variant.strategy === 'stitch' && attached > 0 && !fewerTracksTried) {
+        next = cur;
+        nextVariant = { ...variant, maxTracks: attached - 1 };
+        log.info({ round: rounds, km: +km.toFixed(1), target: targetKm, max_tracks: attached - 1 }, 'fit: fewer tracks');
+      } else break;
     }
+    const rebuilt = await route(next, nextVariant);
+    if (Math.abs(targetKm - polylineLenKm(rebuilt.coords)) >= Math.abs(delta)) { // no closer: keep what we had
+      if (nextVariant !== variant) fewerTracksTried = true;
+      continue;
+    }
+    built = rebuilt;
+    variant = nextVariant;
+    if (delta > 0) added++;
+    else trimmed++;
   }
+  return { ...built, fitVariant: variant, fitStats: { rounds, added, trimmed } };
+}
 
-  // merge to one polyline + collect autoAnchors for evidence
-  const coords = [];
-  const autoAnchors = [];
-  if (merged.length) coords.push(merged[0].coords[0]);
-  for (const seg of merged) {
-    const c = seg.coords.slice(1);
-    coords.push(...c);
-    if (seg.type === 'track' && seg.coords?.length) autoAnchors.push(seg.coords[0]);
+/* ========= Fuel range ========= */
+// Insert fuel stations as vias wherever the tank (range minus reserve) would run dry, then re-measure.
+async function applyFuelRange(built, rangeKm, reroute, log) {
+  const reserveKm = Math.min(FUEL_RESERVE_KM, rangeKm / 2);
+  const usableKm = rangeKm - reserveKm;
+  const { km } = cumulative(built.coords, built.details);
+  const totalKm = km[km.length - 1];
+  const fuel = { range_km: rangeKm, reserve_km: reserveKm, stops: [], gaps: [] };
+  if (totalKm <= usableKm) return { ...built, fuel };
+
+  const stations = (await overpassFuelAlong(built.coords).catch((err) => {
+    log.warn({ err: String(err) }, 'fuel: station lookup failed');
+    return [];
+  })).map((st) => ({ ...st, ...projectOnRoute(built.coords, km, st.coord) }));
+  const { stops } = planFuelStops(totalKm, stations, { rangeKm, reserveKm });
+  log.info({ total_km: +totalKm.toFixed(1), usable_km: usableKm, stations: stations.length, stops: stops.map(st => st.id) }, 'fuel: plan');
+
+  let out = built;
+  if (stops.length) {
+    // keep user / auto vias in route order and slot the stations in between
+    const vias = [
+      ...built.vias.map((v) => ({ coord: v, alongKm: projectOnRoute(built.coords, km, v).alongKm })),
+      ...stops.map((st) => ({ coord: st.coord, alongKm: st.alongKm }))
+    ].sort((x, y) => x.alongKm - y.alongKm).map((v) => v.coord);
+    try {
+      out = await reroute(vias);
+    } catch (err) {
+      log.warn({ err: String(err) }, 'fuel: reroute via stations failed; keeping original route');
+    }
   }
 
-  const evidence = [{ type:'GH_mode', ref:'STITCH' }];
-  if (autoAnchors.length) {
-    evidence.push({ type:'auto_anchors', ref:String(autoAnchors.length) });
-    return { coords, evidence, autoAnchors };
+  // measure again on the final geometry
+  const { km: km2 } = cumulative(out.coords, out.details);
+  const total2 = km2[km2.length - 1];
+  const placed = stops.map((st) => ({ ...st, ...projectOnRoute(out.coords, km2, st.coord) }));
+  fuel.stops = placed.map((st) => ({
+    name: st.name,
+    brand: st.brand,
+    osm_id: st.id,
+    coord: st.coord,
+    km_from_start: +st.alongKm.toFixed(1),
+    off_route_km: +st.offKm.toFixed(2)
+  }));
+  fuel.gaps = fuelGaps(total2, placed.map((st) => st.alongKm), usableKm)
+    .map((g) => ({ from_km: +g.fromKm.toFixed(1), to_km: +g.toKm.toFixed(1), km: +(g.toKm - g.fromKm).toFixed(1) }));
+  return { ...out, fuel };
+}
+
+/* ========= POI enrichment ========= */
+// Overpass first (OSM ids, better tags), OpenTripMap fills in; a failing source is skipped.
+async function enrichPois(coords, { categories, bufferM }, log) {
+  const [osm, otm] = await Promise.all([
+    overpassPoisAlong(coords, categories, bufferM).catch((err) => {
+      log.warn({ err: String(err) }, 'pois: overpass failed');
+      return [];
+    }),
+    openTripMapPois(coords, categories).catch((err) => {
+      log.warn({ err: String(err) }, 'pois: opentripmap failed');
+      return [];
+    })
+  ]);
+  const pois = poisAlongRoute([...osm, ...otm], coords, { categories, bufferKm: bufferM / 1000 }).slice(0, POI_MAX);
+  log.info({ osm: osm.length, otm: otm.length, kept: pois.length, buffer_m: bufferM }, 'pois: enriched');
+  return pois;
+}
+
+/* ========= Hazards ========= */
+// Tagged hazards on the final polyline plus steep stretches of its own elevation profile;
+// a failing Overpass lookup leaves just the latter.
+async function findHazards(coords, log) {
+  const tagged = await overpassHazardsAlong(coords, HAZARD_BUFFER_M).catch((err) => {
+    log.warn({ err: String(err) }, 'hazards: overpass failed');
+    return [];
+  });
+  const along = hazardsAlongRoute(tagged, coords, { bufferKm: HAZARD_BUFFER_M / 1000 });
+  const steep = steepStretches(coords, { steepPct: STEEP_GRADE_PCT, minLenM: STEEP_MIN_LEN_M });
+  const hazards = [...along, ...steep].sort((a, b) => a.km_from_start - b.km_from_start);
+  log.info({ tagged: tagged.length, kept: along.length, steep: steep.length, buffer_m: HAZARD_BUFFER_M }, 'hazards: checked');
+  return hazards;
+}
+
+const hazardCounts = (hazards) => {
+  const n = (type) => hazards.filter((h) => h.type === type).length;
+  return `fords=${n('ford')} barriers=${n('barrier')} dead_ends=${n('dead_end')} steep=${n('steep')}`;
+};
+
+/* ========= Multi-day stages ========= */
+// Split the route evenly by riding time, then slide each cut to the best-placed lodging nearby.
+async function buildStages(coords, details, days, log) {
+  const { km, h } = cumulative(coords, details);
+  const windowKm = Math.max(STAGE_LODGING_RADIUS_M / 1000, 0.15 * km[km.length - 1] / days);
+  const cuts = [];
+  let prev = 0;
+  for (const nominal of nominalStageEnds(h, days)) {
+    const at = Math.min(coords.length - 2, Math.max(nominal, prev + 1));
+    if (at <= prev) break;
+    const lodgings = await overpassLodging(coords[at][0], coords[at][1]).catch((err) => {
+      log.warn({ err: String(err), day: cuts.length + 1 }, 'stages: lodging lookup failed');
+      return [];
+    });
+    const end = pickStageEnd(coords, km, at, lodgings, { minIdx: prev, windowKm, maxOffKm: STAGE_LODGING_RADIUS_M / 1000 });
+    log.info({ day: cuts.length + 1, nominal_km: +km[at].toFixed(1), end_km: +km[end.idx].toFixed(1), lodging: end.lodging?.id || null, candidates: lodgings.length }, 'stages: overnight');
+    cuts.push(end);
+    prev = end.idx;
   }
-  log.warn('stitch: no tracks attached; falling back to CH-only');
-  const ch = await buildCHOnlyRoute(start, end, vias, log);
-  ch.evidence = ch.evidence.concat([{ type:'auto_anchors', ref:'0' }]);
-  return ch;
+  const bounds = [0, ...cuts.map((c) => c.idx), coords.length - 1];
+  return bounds.slice(1).map((i1, k) => {
+    const i0 = bounds[k];
+    const cut = cuts[k];
+    return {
+      day: k + 1,
+      from_km: +km[i0].toFixed(1),
+      to_km: +km[i1].toFixed(1),
+      coords: coords.slice(i0, i1 + 1),
+      details: sliceDetails(details, i0, i1),
+      overnight: cut ? {
+        kind: cut.lodging?.kind || null,
+        name: cut.lodging?.name || null,
+        osm_id: cut.lodging?.id || null,
+        coord: cut.lodging?.coord || coords[cut.idx],
+        off_route_km: cut.offRouteKm === null ? null : +cut.offRouteKm.toFixed(2)
+      } : null
+    };
+  });
 }
 
-/* ========= API ========= */
-app.post('/plan', async (req, res) => {
-  const requestId = nanoid();
-  const log = logger.child({ requestId });
+/* ========= Route records ========= */
+
+/** Store one returned route; a records outage is logged but doesn't fail the plan. */
+async function saveRouteRecord(route, { input, coords, paths, legs = [], edits = null }, log) {
+  const now = new Date().toISOString();
   try {
-    const {
-      start,
-      end,
-      vias = [],
-      distance_km_target,
-      time_budget_h,
-      region_hint_bbox,
-      strategy = 'ch',
-      off_pavement_target,
-      loop,
-      avoid_motorways,
-      avoid_tolls,       // kept for future
-      prefer_surfaces,   // kept for future
-      avoid_surfaces     // kept for future
-    } = validatePlan(req.body);
-
-    let a = await parsePointOrGeocode(start);
-    let b = await parsePointOrGeocode(end);
-    const viaPts = [];
-    for (const v of vias) viaPts.push(await parsePointOrGeocode(v));
-
-    // loop-friendly: avoid identical start/end for CH
-    if (loop && sameCoordinate(a, b, 10)) {
-      b = jitterPoint(b, 11);
-    }
+    await records.insert({
+      id: route.id,
+      name: route.name,
+      created_at: now,
+      updated_at: now,
+      parent_id: route.parent_id,
+      version: route.version,
+      input,
+      edits,
+      anchors: route.via_points_used,
+      stats: route.stats,
+      evidence: route.evidence,
+      files: { gpx_url: route.gpx_url, geojson_url: route.geojson_url, preview_url: route.preview_url, ...route.files },
+      paths,
+      // connector / track pieces /refine edits; tracks keep their OSM way id
+      legs: legs.map(({ type, id, coords: c, details }) => ({ type, id: id ?? null, coords: c, details })),
+      result: route,
+      bbox: routeBBox(coords)
+    });
+  } catch (err) {
+    log.error({ id: route.id, err: String(err) }, 'route record not saved');
+  }
+}
 
-    const off = Math.max(0, Math.min(0.9, Number(off_pavement_target ?? 0.3)));
-    const avgSpeedKmh = (1 - off) * 50 + off * 30;
-    const kmTarget = Number(distance_km_target) > 0
-      ? Number(distance_km_target)
-      : (Number(time_budget_h) > 0 ? Math.max(15, Math.min(400, Number(time_budget_h) * avgSpeedKmh)) : 80);
-
-    const { bbox: autoBbox, padKm, areaKm2, shrunk } = corridorBBox(a, b, { PAD_KM_MIN, PAD_KM_MAX, BBOX_AREA_MAX_KM2 });
-    let bbox = autoBbox;
-    if (Array.isArray(region_hint_bbox) && region_hint_bbox.length === 4) {
-      const userBbox = region_hint_bbox.map(Number);
-      const userArea = bboxAreaKm2(userBbox);
-      if (userArea <= areaKm2 && userArea <= BBOX_AREA_MAX_KM2) {
-        bbox = userBbox;
-      } else {
-        log.info({ clamped: true, userArea }, 'supplied bbox too large');
-      }
+/* ========= Finishing (elevation, stages, POIs, files, record) ========= */
+
+/** Per-request output settings from a validated plan body. */
+function outputSettings(p) {
+  // explicit tolerance / point cap without an algorithm means Douglas–Peucker
+  const geometry = {
+    simplify: p.simplify ?? (p.simplify_tolerance_m !== undefined || p.simplify_max_points ? 'dp' : SIMPLIFY),
+    tolerance_m: p.simplify_tolerance_m ?? SIMPLIFY_TOLERANCE_M,
+    max_points: p.simplify_max_points ?? null,
+    densify_m: p.densify_m ?? DENSIFY_M
+  };
+  return {
+    off: Math.max(0, Math.min(0.9, Number(p.off_pavement_target ?? 0.3))),
+    dayCount: p.days ?? 1,
+    hoursPerDay: p.hours_per_day ?? (Number(p.time_budget_h) > 0 && p.days ? Number(p.time_budget_h) / p.days : STAGE_HOURS_PER_DAY),
+    withPois: p.pois ?? true,
+    withHazards: p.hazards ?? true,
+    poiCategories: p.poi_categories ?? Object.keys(POI_CATEGORIES),
+    poiBufferM: p.poi_buffer_m ?? POI_BUFFER_M,
+    formats: p.formats ?? EXPORT_FORMATS,
+    maxTrackPoints: p.max_track_points ?? DEVICE_MAX_TRACK_POINTS,
+    rider: riderProfile(p.rider_profile),
+    geometry,
+    geomOpts: { simplify: geometry.simplify, toleranceM: geometry.tolerance_m, maxPoints: geometry.max_points ?? Infinity, densifyM: geometry.densify_m }
+  };
+}
+
+/**
+ * Turn a built candidate into a returned route: heights, stages, POIs, files,
+ * stats and evidence; then store its record. `meta.score` is null for refines.
+ */
+async function finishRoute(cand, out, meta, log) {
+  const { off, dayCount, hoursPerDay, withPois, withHazards, poiCategories, poiBufferM, formats, maxTrackPoints, rider, geometry, geomOpts } = out;
+  const coords = await fillElevation(cand.coords, dem).catch((err) => {
+    log.warn({ err: String(err), dem: dem.name }, 'elevation fill failed');
+    return cand.coords;
+  });
+  const stages = dayCount > 1 ? await buildStages(coords, cand.details, dayCount, log) : [];
+  const pois = withPois && POI_MAX > 0
+    ? await enrichPois(coords, { categories: poiCategories, bufferM: poiBufferM }, log)
+    : [];
+  const hazards = withHazards ? await findHazards(coords, log) : [];
+  // hazards become waypoints too, unless a POI already marks the same OSM object (fords)
+  const poiIds = new Set(pois.map((p) => p.osm_id).filter(Boolean));
+  const waypoints = [...pois, ...hazards.filter((h) => !poiIds.has(h.osm_id)).map(hazardWaypoint)]
+    .sort((x, y) => x.km_from_start - y.km_from_start);
+  const shaped = processGeometry(coords, cand.details, geomOpts);
+  const difficulty = routeDifficulty(coords, cand.details);
+  const files = await publishRoute(shaped.coords, {
+    details: shaped.details,
+    difficulty: difficulty.segments,
+    stages: stages.map((st) => ({ ...st, coords: processGeometry(st.coords, st.details, geomOpts).coords })),
+    pois: waypoints,
+    vias: cand.vias,
+    formats,
+    maxTrackPoints
+  });
+  const extraEvidence = [{ type: 'difficulty', ref: `grade=${difficulty.grade} max=${difficulty.max_grade} profile=${rider.name} (max ${rider.max_grade})` }];
+  for (const seg of difficulty.segments.filter((sg) => sg.grade > rider.max_grade).slice(0, 5)) {
+    const { label } = DIFFICULTY_GRADES[seg.grade];
+    extraEvidence.push({ type: 'warning', ref: `difficulty: km ${seg.from_km.toFixed(1)}–${seg.to_km.toFixed(1)} is ${label} (grade ${seg.grade}), above ${rider.name} (max ${rider.max_grade})` });
+  }
+  if (withHazards) extraEvidence.push({ type: 'hazards', ref: hazardCounts(hazards) });
+  if (shaped.coords.length !== coords.length) {
+    extraEvidence.push({ type: 'geometry', ref: `simplify=${geometry.simplify} tolerance_m=${geometry.tolerance_m} densify_m=${geometry.densify_m} points ${coords.length}->${shaped.coords.length}` });
+  }
+  if (cand.fuel) {
+    extraEvidence.push({ type: 'fuel', ref: `stops=${cand.fuel.stops.length} range=${cand.fuel.range_km} reserve=${cand.fuel.reserve_km}` });
+    for (const g of cand.fuel.gaps) {
+      extraEvidence.push({ type: 'warning', ref: `fuel: ${g.km} km without fuel from km ${g.from_km} to km ${g.to_km} (usable range ${cand.fuel.range_km - cand.fuel.reserve_km} km)` });
+    }
+  }
+  if (stages.length) {
+    const overnights = stages.filter((st) => st.overnight?.osm_id).length;
+    extraEvidence.push({ type: 'stages', ref: `days=${stages.length} lodging=${overnights}/${stages.length - 1}` });
+    for (const st of stages) {
+      const hRide = rideStats(st.coords, st.details).duration_h;
+      if (hRide > hoursPerDay * 1.15) extraEvidence.push({ type: 'warning', ref: `day ${st.day} ≈ ${hRide.toFixed(1)}h > hours_per_day ${hoursPerDay}` });
     }
-    log.info({ pad_km: padKm, bbox_area_km2: bboxAreaKm2(bbox), shrunk, avoid_motorways: !!avoid_motorways }, 'corridor');
+  }
+  const { score } = meta;
+  const route = {
+    id: files.id,
+    name: meta.name,
+    rank: meta.rank,
+    version: meta.version ?? 1,
+    parent_id: meta.parentId ?? null,
+    summary: cand.note,
+    stats: {
+      ...rideStats(coords, cand.details),
+      off_pavement_target: off,
+      ...surfaceStats(coords, cand.details),
+      difficulty
+    },
+    score: score ? {
+      total: +score.total.toFixed(3),
+      off_pavement_share: +score.off_pavement_share.toFixed(3),
+      motorway_share: +score.motorway_share.toFixed(3),
+      distance_deviation: +score.distance_deviation.toFixed(3),
+      overlap: +score.overlap.toFixed(3),
+      avoided_share: +score.avoided_share.toFixed(3)
+    } : null,
+    gpx_url: files.gpx_url,
+    geojson_url: files.geojson_url,
+    preview_url: files.preview_url,
+    pretty_gpx_url: files.pretty_gpx_url,
+    pretty_geojson_url: files.pretty_geojson_url,
+    files: files.files,
+    geometry: { ...geometry, points_in: coords.length, points_out: shaped.coords.length },
+    custom_model_used: cand.cm.used ? cand.cm.model : null,
+    via_points_used: [meta.a, ...cand.vias, meta.b],
+    // where stitched tracks are joined and left
+    track_anchors: (cand.legs || []).filter((l) => l.type === 'track').map((l) => ({ id: l.id, entry: l.coords[0], exit: l.coords[l.coords.length - 1] })),
+    km_target_used: +meta.kmTarget.toFixed(1),
+    corridor_pad_km: +meta.padKm.toFixed(1),
+    distance_fit: cand.fit || null,
+    fuel: cand.fuel || null,
+    pois,
+    hazards,
+    stages: stages.map((st, i) => ({
+      day: st.day,
+      stats: { ...rideStats(st.coords, st.details), off_pavement_share: surfaceStats(st.coords, st.details).off_pavement_share },
+      start: st.coords[0],
+      end: st.coords[st.coords.length - 1],
+      overnight: st.overnight,
+      ...files.stages[i]
+    })),
+    evidence: (cand.cm.model
+      ? cand.evidence.concat([{ type: 'custom_model', ref: `flex=${cand.cm.used} ch_fallback=${cand.cm.fallback}` }])
+      : cand.evidence).concat(extraEvidence)
+  };
+  throwIfCancelled(); // a job cancelled during the uploads leaves no record behind
+  await saveRouteRecord(route, { input: meta.input, coords, paths: files.paths, legs: cand.legs, edits: meta.edits }, log);
+  return route;
+}
 
-    const tracksPromise = overpassTracks(bbox).catch((e) => {
-      log.warn({ err: String(e) }, 'overpass failed; proceeding without tracks');
+/* ========= Planning ========= */
+/**
+ * Build, rank and finish routes for a validated plan body (/plan, /import
+ * re-plans). `input` is stored with each record for /refine to re-read;
+ * `name` replaces the variant names.
+ */
+async function planRoutes(params, input, log, { name } = {}) {
+  const {
+    start,
+    end,
+    vias = [],
+    distance_km_target,
+    time_budget_h,
+    distance_tolerance_km,
+    ride_date,
+    region_hint_bbox,
+    strategy = 'ch',
+    loop = false,
+    alternatives = ROUTE_ALTERNATIVES,
+    fuel_range_km,
+    avoid_motorways,
+    avoid_tolls = false,
+    prefer_surfaces = [],
+    avoid_surfaces = [],
+    avoid_areas = [],
+    rider_profile,
+    use_custom_model = true
+  } = params;
+  // elevation, stages, POIs and file settings, shared with /refine
+  const out = outputSettings(params);
+  const { off, dayCount, hoursPerDay, rider } = out;
+
+  progress('geocoding', { points: 2 + vias.length });
+  let a = await parsePointOrGeocode(start);
+  let b = await parsePointOrGeocode(end);
+  const viaPts = [];
+  for (const v of vias) viaPts.push(await parsePointOrGeocode(v));
+  const userVias = viaPts.slice(); // the sanity pass never cuts a spur leading to one of these
+
+  // round trip: always close back on the start; the builders jitter identical endpoints for GH
+  if (loop) b = a;
+
+  const avgSpeed = avgSpeedKmh(off);
+  // multi-day: each day is clamped like a single-day budget, then summed
+  const kmTarget = Number(distance_km_target) > 0
+    ? Number(distance_km_target)
+    : dayCount > 1
+      ? dayCount * Math.max(15, Math.min(400, hoursPerDay * avgSpeed))
+      : (Number(time_budget_h) > 0 ? Math.max(15, Math.min(400, Number(time_budget_h) * avgSpeed)) : 80);
+  // only a target the rider set is fitted; the 80 km default just sizes the corridor
+  const fitTarget = Number(distance_km_target) > 0 || Number(time_budget_h) > 0 || dayCount > 1;
+  const toleranceKm = distance_tolerance_km ?? fitToleranceKm(kmTarget, { pct: FIT_TOLERANCE_PCT });
+
+  // loops search the whole disc the ring could swing through, as a grid of tiles; A→B trips a
+  // chain of tiles buffered along start → vias → end
+  const clamps = { PAD_KM_MIN, PAD_KM_MAX, BBOX_AREA_MAX_KM2, MAX_AREA_KM2: CORRIDOR_MAX_AREA_KM2 };
+  let corridor;
+  if (loop) {
+    const { sw, ne } = loopExtent(a, loopRing(a, kmTarget).radiusKm);
+    corridor = gridTiles(sw, ne, clamps);
+  } else {
+    corridor = corridorTiles([a, ...viaPts, b], clamps);
+  }
+  const { padKm, areaKm2, shrunk } = corridor;
+  let { tiles } = corridor;
+  if (Array.isArray(region_hint_bbox) && region_hint_bbox.length === 4) {
+    const userBbox = region_hint_bbox.map(Number);
+    const userArea = bboxAreaKm2(userBbox);
+    if (userArea <= areaKm2 && userArea <= BBOX_AREA_MAX_KM2) {
+      tiles = [userBbox];
+    } else {
+      log.info({ clamped: true, userArea }, 'supplied bbox too large');
+    }
+  }
+  log.info({ pad_km: padKm, tiles: tiles.length, area_km2: tiles.reduce((s, t) => s + bboxAreaKm2(t), 0), shrunk, avoid_motorways: !!avoid_motorways, loop: !!loop }, 'corridor');
+  progress('corridor', { pad_km: +padKm.toFixed(1), tiles: tiles.length });
+
+  // preferences: GH custom model for the flexible path, surface filter for Overpass tracks
+  // avoid areas also go to GH as custom-model areas; keepOutOfAreas covers CH routes
+  // an explicit rider_profile also steers GH away from track grades it can't ride
+  const allowed_track_types = rider_profile ? rider.tracktypes : undefined;
+  const customModel = use_custom_model
+    ? withBlockedAreas(buildCustomModel({ prefer_surfaces, avoid_surfaces, avoid_tolls, avoid_motorways, allowed_track_types }), avoid_areas, 'avoid')
+    : null;
+  const avoidAreas = indexAreas(avoid_areas);
+  const surfaceRegex = trackSurfaceRegex({ prefer_surfaces, avoid_surfaces }, rider.surfaces);
+  log.info({ custom_model: !!customModel, surface_regex: surfaceRegex, rider: rider.name, gh_profile: rider.gh_profile }, 'preferences');
+
+  const tracksPromise = overpassTracks(tiles, { surfaceRegex, trackTypes: rider.tracktypes }).catch((e) => {
+    log.warn({ err: String(e) }, 'overpass failed; proceeding without tracks');
+    return [];
+  });
+  let minorPromise = Promise.resolve([]);
+  if (avoid_motorways) {
+    minorPromise = minorRoadAnchors(tiles, [a, ...viaPts, b]).catch((e) => {
+      log.warn({ err: String(e) }, 'minor-road anchors failed');
       return [];
     });
-    let minorPromise = Promise.resolve([]);
-    if (avoid_motorways) {
-      minorPromise = minorRoadAnchors(bbox, [a, ...viaPts, b]).catch((e) => {
-        log.warn({ err: String(e) }, 'minor-road anchors failed');
-        return [];
-      });
-    }
-    const [tracks, minorAnchors] = await Promise.all([tracksPromise, minorPromise]);
-    if (minorAnchors.length) viaPts.push(...minorAnchors);
-    log.info({ count: minorAnchors.length }, 'stitch: minor-road anchors');
-
-    const dynCap = STITCH_MAX_TRACKS > 0 ? STITCH_MAX_TRACKS : Infinity;
-    const dynMaxTracks = Math.max(1, Math.min(dynCap, Math.ceil(kmTarget / 60)));
-    const axisKm = Math.max(4, Math.min(8, kmTarget / 25));
+  }
+  progress('overpass', { tiles: tiles.length });
+  const [fetchedTracks, fetchedAnchors] = await Promise.all([tracksPromise, minorPromise]);
+  progress('overpass', { tracks: fetchedTracks.length, anchors: fetchedAnchors.length });
+  // access=no, motor_vehicle=private, out-of-season … go; uncertain ones stay and get a warning if used
+  const screened = screenTracks(fetchedTracks, { date: ride_date });
+  if (screened.excluded.length || screened.uncertain.size) {
+    log.info({ ride_date: ride_date ?? null, excluded: screened.excluded, uncertain: Object.fromEntries(screened.uncertain) }, 'access: tracks screened');
+  }
+  const tooHard = [];
+  const rideable = screened.tracks.filter((t) => {
+    const why = tooHardFor(t.tags, rider);
+    if (why) tooHard.push({ id: t.id, reason: why });
+    return !why;
+  });
+  if (tooHard.length) log.info({ rider: rider.name, excluded: tooHard }, 'rider profile: tracks too hard');
+  const gated = rideable.filter((t) => t.end_barrier);
+  if (gated.length) log.info({ tracks: gated.map((t) => ({ id: t.id, barrier: t.end_barrier })) }, 'stitch: tracks ending at a barrier (down-weighted)');
+  const tracks = rideable.filter((t) => crossedArea(t.coords, avoidAreas) < 0);
+  const minorAnchors = fetchedAnchors.filter((p) => !inAnyArea(p, avoidAreas));
+  if (minorAnchors.length) viaPts.push(...minorAnchors);
+  log.info({ count: minorAnchors.length }, 'stitch: minor-road anchors');
+  if (avoidAreas.length) {
+    log.info({ areas: avoidAreas.length, tracks_dropped: rideable.length - tracks.length, anchors_dropped: fetchedAnchors.length - minorAnchors.length }, 'avoid areas');
+  }
 
-    let coords, note;
-    let evidence = [];
+  const dynCap = STITCH_MAX_TRACKS > 0 ? STITCH_MAX_TRACKS : Infinity;
+  const dynMaxTracks = Math.max(1, Math.min(dynCap, Math.ceil(kmTarget / 60)));
+  const axisKm = Math.max(4, Math.min(8, kmTarget / 25));
 
-    if (strategy === 'stitch') {
+  const buildVariant = async (vias, variant, avoid) => {
+    const cm = { model: customModel, profile: rider.gh_profile, used: 0, fallback: 0 };
+    if (variant.strategy === 'stitch') {
       try {
-        const built = await buildStitchedRoute(a, b, viaPts, tracks, dynMaxTracks, axisKm, log, { avoid_motorways });
-        coords = built.coords;
-        evidence = built.evidence;
-        note = `STITCH mode: CH connectors + OSM tracks. Corridor ~${padKm.toFixed(0)}km pad, kmTarget≈${kmTarget.toFixed(0)}.`;
+        const built = await buildStitchedRoute(a, b, vias, tracks, variant.maxTracks ?? dynMaxTracks, axisKm, log, {
+          avoid_motorways: variant.avoid_motorways,
+          trackOffset: variant.trackOffset,
+          cm,
+          avoid,
+          userVias
+        });
+        return { ...built, vias, cm, note: `STITCH mode: CH connectors + OSM tracks. Corridor ~${padKm.toFixed(0)}km pad, kmTarget≈${kmTarget.toFixed(0)}.` };
       } catch (err) {
         log.error({ err: String(err) }, 'stitch failed; falling back to CH-only');
-        const built = await buildCHOnlyRoute(a, b, viaPts, log);
-        coords = built.coords;
-        evidence = built.evidence.concat([{ type:'auto_anchors', ref:'0' }]);
-        note = `CH fallback: connectors only. Corridor ~${padKm.toFixed(0)}km pad, kmTarget≈${kmTarget.toFixed(0)}.`;
+        const built = await buildCHOnlyRoute(a, b, vias, log, { cm });
+        return {
+          ...built,
+          vias,
+          cm,
+          evidence: built.evidence.concat([{ type:'auto_anchors', ref:'0' }]),
+          note: `CH fallback: connectors only. Corridor ~${padKm.toFixed(0)}km pad, kmTarget≈${kmTarget.toFixed(0)}.`
+        };
       }
-    } else {
-      const built = await buildCHOnlyRoute(a, b, viaPts, log);
-      coords = built.coords;
-      evidence = built.evidence;
-      note = 'CH mode: standard routing (free plan).';
     }
+    const built = await buildCHOnlyRoute(a, b, vias, log, { cm });
+    const note = cm.used ? 'FLEX mode: custom model routing.' : 'CH mode: standard routing (free plan).';
+    return { ...built, vias, cm, note };
+  };
+  const route = async (vias, variant, keep = []) => {
+    const avoid = { areas: avoidAreas, tracksDropped: rideable.length - tracks.length, rejected: 0 };
+    const built = await keepOutOfAreas(await buildVariant(vias, variant, avoid), avoid, log);
+    return withAccessNotes(await sanityPass(built, [a, b, ...userVias, ...keep], log), screened);
+  };
+
+  // detour candidates for the distance fit: corridor tracks (midpoints) and minor-road anchors
+  const fitCandidates = [
+    ...tracks.map((t) => ({ pt: t.coords[Math.floor(t.coords.length / 2)], source: 'track' })),
+    ...minorAnchors.map((pt) => ({ pt, source: 'minor_road' }))
+  ];
+  const fitted = (vias, variant) => fitToTarget(vias, variant, {
+    route,
+    ends: [a, b],
+    targetKm: kmTarget,
+    toleranceKm,
+    fixed: userVias,
+    candidates: fitCandidates,
+    avoidAreas,
+    log
+  });
+
+  // candidate variants; the requested strategy is always built first
+  const primary = strategy === 'stitch'
+    ? { key: 'stitch', strategy: 'stitch', avoid_motorways, name: 'ADV Option (Stitched)' }
+    : { key: 'ch', strategy: 'ch', name: 'ADV Option (CH)' };
+  const variants = [primary];
+  if (alternatives > 1) {
+    if (primary.key !== 'stitch') variants.push({ key: 'stitch', strategy: 'stitch', avoid_motorways, name: 'ADV Option (Stitched)' });
+    if (tracks.length > dynMaxTracks) {
+      variants.push({ key: 'stitch_alt', strategy: 'stitch', avoid_motorways, trackOffset: dynMaxTracks, name: 'ADV Option (Stitched, alt tracks)' });
+    }
+    if (!avoid_motorways) variants.push({ key: 'rescue', strategy: 'stitch', avoid_motorways: true, name: 'ADV Option (Motorway rescue)' });
+    if (primary.key !== 'ch') variants.push({ key: 'ch', strategy: 'ch', name: 'ADV Option (CH)' });
+  }
 
-    const routeId = nanoid();
-    const gpx = toGPX('ADV Route', coords);
-    const gpxUrl = await uploadToSupabase(`routes/${routeId}.gpx`, Buffer.from(gpx), 'application/gpx+xml');
-    const geojsonBlob = Buffer.from(JSON.stringify({ type:'Feature', properties:{ name:'ADV Route' }, geometry:{ type:'LineString', coordinates: coords }}));
-    const geojsonUrl = await uploadToSupabase(`routes/${routeId}.geojson`, geojsonBlob, 'application/geo+json');
+  const candidates = [];
+  for (const variant of variants) {
+    progress('variant', { key: variant.key, strategy: variant.strategy });
+    try {
+      // loops are sized by their ring, so they are only measured against the target
+      let built = loop
+        ? await buildLoopRoute(a, viaPts, tracks, kmTarget, (vias) => route(vias, variant), log, { avoidAreas })
+        : fitTarget ? await fitted(viaPts, variant) : await route(viaPts, variant);
+      const { fitStats, fitVariant = variant } = built; // the fit may have stitched fewer tracks
+      if (fuel_range_km) {
+        const reroute = async (vias) => {
+          const r = await route(vias, fitVariant, vias.filter((v) => !built.vias.includes(v))); // fuel stops stay
+          return loop ? { ...closeBuiltLoop(r, a), evidence: r.evidence.concat(built.evidence.filter(e => e.type === 'loop')) } : r;
+        };
+        built = await applyFuelRange(built, fuel_range_km, reroute, log);
+      }
+      if (fitTarget) built = withFitReport(built, kmTarget, toleranceKm, fitStats);
+      candidates.push({ ...built, variant, note: loop ? `${built.note} Loop back to start.` : built.note });
+    } catch (err) {
+      if (variant === primary || err instanceof JobCancelled) throw err;
+      log.warn({ variant: variant.key, err: String(err) }, 'alternative failed; skipping');
+    }
+  }
+
+  // CH-built candidates ignored the preferences; the avoided-share penalty post-filters them
+  const ranked = rankAlternatives(candidates, {
+    kmTarget,
+    offTarget: off,
+    avoidMotorways: !!avoid_motorways,
+    avoidSurfaces: ghSurfaces(avoid_surfaces),
+    avoidTolls: avoid_tolls
+  }, alternatives);
+  log.info({ built: candidates.length, returned: ranked.length, order: ranked.map(r => r.cand.variant.key) }, 'alternatives ranked');
+
+  const routes = [];
+  for (const [rank, { cand, score }] of ranked.entries()) {
+    routes.push(await finishRoute(cand, out, {
+      name: name && ranked.length > 1 ? `${name} – ${cand.variant.name}` : name ?? cand.variant.name,
+      rank: rank + 1,
+      score,
+      a,
+      b,
+      kmTarget,
+      padKm,
+      input
+    }, log));
+  }
+
+  log.info({ cache: cache.counts() }, 'cache: hits/misses so far');
+  return {
+    routes,
+    evidence: routes[0].evidence.concat([{ type: 'alternatives', ref: `built=${candidates.length} returned=${routes.length}` }])
+  };
+}
+
+/* ========= Import ========= */
+/**
+ * An imported line as a finished route, kept as drawn. GH is routed through
+ * its anchors (with the plan's custom model) only to read surface / road
+ * class details, carried onto the line wherever the two run together.
+ */
+async function analyzeImport(line, anchors, params, { format, name, input }, log) {
+  const out = outputSettings(params);
+  const allowed_track_types = params.rider_profile ? out.rider.tracktypes : undefined;
+  const model = params.use_custom_model === false ? null : withBlockedAreas(buildCustomModel({ ...params, allowed_track_types }), params.avoid_areas, 'avoid');
+  const cm = { model, profile: out.rider.gh_profile, used: 0, fallback: 0 };
+  const a = line[0].slice(0, 2), b = line[line.length - 1].slice(0, 2);
+  const ref = await buildCHOnlyRoute(a, b, anchors, log, { cm });
+  const { details, matchedShare } = transferDetails(ref.coords, ref.details, line, { maxOffKm: IMPORT_MATCH_M / 1000 });
+  const { share } = motorwayShareFromDetails(line, details);
+  const km = polylineLenKm(line);
+  log.info({ points: line.length, anchors: anchors.length, km: +km.toFixed(1), matched: +matchedShare.toFixed(3) }, 'import: analyzed');
+  const evidence = [
+    { type: 'import', ref: `format=${format} mode=analyze points=${line.length} anchors=${anchors.length} matched=${(100 * matchedShare).toFixed(0)}%` },
+    { type: 'motorway_share', ref: share.toFixed(3) }
+  ];
+  if (matchedShare < 0.9) {
+    evidence.push({ type: 'warning', ref: `import: ${(100 * (1 - matchedShare)).toFixed(0)}% of the line is over ${IMPORT_MATCH_M} m from GH's road network; its surface / road class is missing` });
+  }
+  const cand = {
+    coords: line,
+    details,
+    vias: anchors,
+    // connectors between the anchors, so /refine can edit the import like a planned route
+    legs: splitAtWaypoints(line, details, [a, ...anchors, b]),
+    cm,
+    evidence,
+    note: 'Imported route, analyzed as drawn.'
+  };
+  const route = await finishRoute(cand, out, { name, rank: 1, score: null, a, b, kmTarget: km, padKm: 0, input }, log);
+  log.info({ cache: cache.counts() }, 'cache: hits/misses so far');
+  return { routes: [route], evidence: route.evidence };
+}
+
+/* ========= Jobs ========= */
+const jobLinks = (job) => ({
+  ...job,
+  status_url: `${PUBLIC_BASE_URL}/jobs/${job.id}`,
+  events_url: `${PUBLIC_BASE_URL}/jobs/${job.id}/events`
+});
+
+// Run `work` as a background job that outlives the request; its log says how it ended.
+function startJob(kind, log, work) {
+  return jobs.start(kind, async (job) => {
+    const jobLog = log.child({ jobId: job.id });
+    try {
+      const result = await work(jobLog);
+      jobLog.info('job: done');
+      return result;
+    } catch (err) {
+      if (job.cancelled) jobLog.info('job: cancelled');
+      else jobLog.error({ err: String(err) }, 'job: failed');
+      throw err;
+    }
+  });
+}
+
+/* ========= API ========= */
+// ?async=1 answers 202 with a job; the plan then runs whether or not the client stays
+app.post('/plan', async (req, res) => {
+  const requestId = nanoid();
+  const log = logger.child({ requestId });
+  try {
+    const params = validatePlan(req.body);
+    if (['1', 'true'].includes(String(req.query.async))) {
+      const job = startJob('plan', log, (jobLog) => planRoutes(params, req.body, jobLog));
+      log.info({ jobId: job.id }, 'job: started');
+      return res.status(202).json(jobLinks(job));
+    }
+    res.json(await planRoutes(params, req.body, log));
+  } catch (e) {
+    if (e instanceof ZodError || e instanceof CorridorError) return res.status(400).json({ error: e.message });
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
+});
 
-    const previewUrl  = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/v/${routeId}` : null;
-    const prettyGpx   = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/download/route/${routeId}.gpx` : gpxUrl;
-    const prettyGeo   = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/download/route/${routeId}.geojson` : geojsonUrl;
+/* ========= ROUTES ========= */
+app.get('/routes', async (req, res) => {
+  try {
+    const q = routeListSchema.parse(req.query);
+    const { items, total } = await records.list(q);
+    res.json({ routes: items, total, limit: q.limit, offset: q.offset });
+  } catch (e) {
+    if (e instanceof ZodError) return res.status(400).json({ error: e.message });
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
+});
 
+app.get('/routes/:id', async (req, res) => {
+  try {
+    const rec = await records.get(req.params.id);
+    if (!rec) return res.status(404).json({ error: 'route not found' });
+    // legs carry full geometry; list what /refine edits can refer to instead
+    const { legs = [], ...rest } = rec;
     res.json({
-      routes: [{
-        id: routeId,
-        name: strategy === 'stitch' ? 'ADV Option (Stitched)' : 'ADV Option (CH)',
-        summary: note,
-        stats: { distance_km: +polylineLenKm(coords).toFixed(1), duration_h: null, ascent_m: null },
-        gpx_url: gpxUrl,
-        geojson_url: geojsonUrl,
-        preview_url: previewUrl,
-        pretty_gpx_url: prettyGpx,
-        pretty_geojson_url: prettyGeo,
-        custom_model_used: null,
-        via_points_used: [a, ...viaPts, b],
-        km_target_used: +kmTarget.toFixed(1),
-        corridor_pad_km: +padKm.toFixed(1)
-      }],
-      evidence
+      ...rest,
+      legs: (legs || []).map((l) => ({ type: l.type, id: l.id, from: l.coords[0], to: l.coords[l.coords.length - 1], km: +polylineLenKm(l.coords).toFixed(2) }))
     });
+  } catch (e) {
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.patch('/routes/:id', async (req, res) => {
+  try {
+    const { name } = routeRenameSchema.parse(req.body);
+    const rec = await records.update(req.params.id, { name, updated_at: new Date().toISOString() });
+    if (!rec) return res.status(404).json({ error: 'route not found' });
+    logger.info({ id: rec.id, name }, 'route renamed');
+    res.json(rec);
   } catch (e) {
     if (e instanceof ZodError) return res.status(400).json({ error: e.message });
     logger.error(e);
@@ -672,13 +1759,33 @@ app.post('/plan', async (req, res) => {
   }
 });
 
+// Removes the record and every file published for it
+app.delete('/routes/:id', async (req, res) => {
+  try {
+    const rec = await records.get(req.params.id);
+    if (!rec) return res.status(404).json({ error: 'route not found' });
+    await storage.remove(rec.paths || []);
+    await records.remove(rec.id);
+    logger.info({ id: rec.id, files: (rec.paths || []).length }, 'route deleted');
+    res.status(204).end();
+  } catch (e) {
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
 /* ========= DOWNLOAD & PREVIEW ========= */
 app.get('/download/route/:id.:ext', async (req, res) => {
   try {
     const { id, ext } = req.params;
-    if (!['gpx', 'geojson'].includes(ext)) return res.status(400).send('bad extension');
+    if (!['gpx', 'geojson', 'kml', 'tcx'].includes(ext)) return res.status(400).send('bad extension');
     const path = `routes/${id}.${ext}`;
-    const url = await storageUrlFor(path);
+    if (storage.read) {
+      const file = await storage.read(path);
+      if (!file) return res.status(404).send('not found');
+      return res.set('content-type', file.contentType).send(file.data);
+    }
+    const url = await storage.url(path);
     if (!url) return res.status(404).send('not found');
     return res.redirect(302, url);
   } catch (e) {
@@ -690,7 +1797,7 @@ app.get('/download/route/:id.:ext', async (req, res) => {
 app.get('/v/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const geoUrl = await storageUrlFor(`routes/${id}.geojson`);
+    const geoUrl = await storage.url(`routes/${id}.geojson`);
     if (!geoUrl) return res.status(404).send('route not found');
 
     const prettyGpx  = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/download/route/${id}.gpx` : geoUrl;
@@ -717,6 +1824,8 @@ app.get('/v/:id', async (req, res) => {
       text-decoration:none; padding:.55rem .8rem; border-radius:10px;
       border:1px solid #ccc; background:#fff; color:#111;
     }
+    .legend { display:flex; gap:.6rem; align-items:center; }
+    .legend i { display:inline-block; width:14px; height:4px; margin-right:.25rem; vertical-align:middle; }
   </style>
 </head>
 <body>
@@ -724,11 +1833,42 @@ app.get('/v/:id', async (req, res) => {
   <div class="panel">
     <a class="btn" href="${prettyGpx}" target="_blank">Download GPX</a>
     <a class="btn" href="${prettyGeo}" target="_blank">Download GeoJSON</a>
+    <span class="legend">${Object.values(DIFFICULTY_GRADES).map((g) => `<span><i style="background:${g.color}"></i>${g.label}</span>`).join('')}</span>
   </div>
 
   <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>
   <script>
     const map = L.map('map', { zoomControl: true });
+    const POI_COLORS = {
+      viewpoint: '#8e44ad', campsite: '#27ae60', drinking_water: '#2980b9', ford: '#16a085', mountain_pass: '#c0392b', cafe: '#d35400',
+      gate: '#000', bollard: '#000', lift_gate: '#000', dead_end: '#7f8c8d', steep: '#e74c3c'
+    };
+    const GRADES = ${JSON.stringify(DIFFICULTY_GRADES)};
+    const kmBetween = (a, b) => {
+      const r = Math.PI / 180, dLat = (b[1] - a[1]) * r, dLon = (b[0] - a[0]) * r;
+      const h = Math.sin(dLat / 2) ** 2 + Math.cos(a[1] * r) * Math.cos(b[1] * r) * Math.sin(dLon / 2) ** 2;
+      return 12742 * Math.asin(Math.sqrt(h));
+    };
+    // colour the line by difficulty: each edge takes the grade of the run its midpoint falls in
+    function difficultyOverlay(line) {
+      const runs = line.properties.difficulty || [];
+      if (!runs.length) return null;
+      const pts = line.geometry.coordinates;
+      const group = L.layerGroup();
+      let km = 0, cur = null;
+      for (let i = 1; i < pts.length; i++) {
+        const step = kmBetween(pts[i - 1], pts[i]);
+        const mid = km + step / 2;
+        const run = runs.find((s) => mid >= s.from_km && mid <= s.to_km) || runs[runs.length - 1];
+        if (!cur || cur.grade !== run.grade) {
+          cur = { grade: run.grade, latlngs: [[pts[i - 1][1], pts[i - 1][0]]] };
+          L.polyline(cur.latlngs, { color: GRADES[run.grade].color, weight: 5, opacity: .95 }).addTo(group);
+        }
+        cur.latlngs.push([pts[i][1], pts[i][0]]);
+        km += step;
+      }
+      return group;
+    }
     L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
       maxZoom: 19, attribution: '&copy; OpenStreetMap'
     }).addTo(map);
@@ -736,7 +1876,19 @@ app.get('/v/:id', async (req, res) => {
     fetch(${JSON.stringify(geoUrl)})
       .then(r => r.json())
       .then(geo => {
-        const layer = L.geoJSON(geo, { style: { weight: 4, opacity: .9 } }).addTo(map);
+        const line = geo.features.find((f) => f.geometry.type === 'LineString');
+        const overlay = line && difficultyOverlay(line);
+        const layer = L.geoJSON(geo, {
+          style: overlay ? { weight: 8, color: '#fff', opacity: .9 } : { weight: 4, opacity: .9 },
+          pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 6, weight: 2, color: '#fff', fillColor: POI_COLORS[f.properties.category] || '#555', fillOpacity: .95 }),
+          onEachFeature: (f, l) => {
+            if (f.geometry.type !== 'Point') return;
+            const el = document.createElement('div'); // textContent: OSM names are untrusted
+            el.textContent = (f.properties.name || f.properties.category) + ' · ' + f.properties.category.replace('_', ' ') + ' · km ' + f.properties.km_from_start;
+            l.bindPopup(el);
+          }
+        }).addTo(map);
+        if (overlay) { overlay.addTo(map); layer.eachLayer((l) => { if (l.feature.geometry.type === 'Point') l.bringToFront(); }); }
         try { map.fitBounds(layer.getBounds(), { padding: [24,24] }); }
         catch { map.setView([38.72,-9.14], 12); }
       })
@@ -750,14 +1902,241 @@ app.get('/v/:id', async (req, res) => {
   }
 });
 
+/* ========= REFINE ========= */
+// One OSM way as a stitchable track (swap_track with an explicit id).
+async function overpassWay(id) {
+  const q = `[out:json][timeout:25];way(${Number(id)});out geom tags;`;
+  const w = ((await overpassJSON(q)).elements || [])[0];
+  if (!w?.geometry?.length) return null;
+  const coords = w.geometry.map((g) => [g.lon, g.lat]);
+  return { id: String(w.id), tags: w.tags || {}, coords, details: trackDetails(coords, w.tags || {}) };
+}
+
+// Why a track can't go into this route (legal access on the ride date, too rough for the rider,
+// through an avoid area), or null; the checks /plan applies before stitching.
+function trackRejection(t, { rideDate, rider, avoidAreas }) {
+  const [excluded] = screenTracks([t], { date: rideDate }).excluded;
+  if (excluded) return excluded.reason;
+  const hard = tooHardFor(t.tags, rider);
+  if (hard) return `too rough for ${rider.name} (${hard})`;
+  if (crossedArea(t.coords, avoidAreas) >= 0) return 'crosses an avoid area';
+  return null;
+}
+
+// Best replacement for a track: the unused corridor track whose ends sit closest to the old one's;
+// one ending at a barrier counts as 1 km further off.
+async function replacementTrack(legs, trackId, { surfaceRegex, rideDate, rider, avoidAreas }) {
+  const old = legs.find((l) => l.type === 'track' && String(l.id) === String(trackId));
+  if (!old) throw new RefineError(`track ${trackId} is not part of this route`);
+  const { bbox } = corridorBBox(old.from, old.to, { PAD_KM_MIN, PAD_KM_MAX, BBOX_AREA_MAX_KM2 });
+  const used = new Set(legs.filter((l) => l.type === 'track').map((l) => String(l.id)));
+  let best = null;
+  for (const t of await overpassTracks([bbox], { surfaceRegex, trackTypes: rider.tracktypes })) {
+    if (used.has(t.id) || t.coords.length < 2 || trackRejection(t, { rideDate, rider, avoidAreas })) continue;
+    const [s, e] = [t.coords[0], t.coords[t.coords.length - 1]];
+    const fit = Math.min(distKm(old.from, s) + distKm(old.to, e), distKm(old.from, e) + distKm(old.to, s)) + (t.end_barrier ? 1 : 0);
+    if (!best || fit < best.fit) best = { fit, t };
+  }
+  if (!best) throw new RefineError(`no other track near ${trackId}`);
+  return { id: best.t.id, coords: best.t.coords, details: trackDetails(best.t.coords, best.t.tags) };
+}
+
+// Route pending connectors one by one (CH, or the plan's custom model plus blocked areas).
+async function routePendingLegs(legs, cm, areas, stats) {
+  const out = [];
+  for (const leg of legs) {
+    if (leg.coords) { out.push(leg); continue; }
+    stats.rerouted++;
+    if (distKm(leg.from, leg.to) < 0.03) {
+      out.push({ ...leg, coords: [leg.from, leg.to], details: {} });
+      continue;
+    }
+    const gh = await ghRouteFor([leg.from.slice(0, 2), leg.to.slice(0, 2)], cm);
+    if (areas.length && gh.coords.some((c) => areas.some((area) => pointInPolygon(c, area)))) stats.throughBlocked++;
+    out.push({ ...leg, coords: gh.coords, details: gh.details });
+  }
+  return out;
+}
+
+// Edit a stored route: only connectors touched by an edit are routed again; the result is a new version.
 app.post('/refine', async (req, res) => {
-  req.url = '/plan';
-  app._router.handle(req, res, () => {});
+  const requestId = nanoid();
+  const log = logger.child({ requestId });
+  try {
+    const { route_id, edits, name } = refineSchema.parse(req.body);
+    const parent = await records.get(route_id);
+    if (!parent) return res.status(404).json({ error: 'route not found' });
+    if (!parent.legs?.length) return res.status(409).json({ error: 'route was stored without legs; plan it again' });
+
+    const params = validatePlan(parent.input);
+    const out = outputSettings(params);
+    const allowed_track_types = params.rider_profile ? out.rider.tracktypes : undefined;
+    const prefs = params.use_custom_model === false ? null : withBlockedAreas(buildCustomModel({ ...params, allowed_track_types }), params.avoid_areas, 'avoid');
+    const areas = [];
+    const stats = { rerouted: 0, throughBlocked: 0 };
+    const evidence = [];
+    const cm = { model: prefs, profile: out.rider.gh_profile, used: 0, fallback: 0 };
+    const route = (ls) => {
+      cm.model = withBlockedAreas(prefs, areas);
+      return routePendingLegs(ls, cm, areas, stats);
+    };
+
+    let legs = loadLegs(parent.legs);
+    const legsBefore = legs.length;
+    for (const edit of edits) {
+      if (edit.op === 'add_via') legs = addVia(legs, await parsePointOrGeocode(edit.at));
+      else if (edit.op === 'move_via') legs = moveVia(legs, await parsePointOrGeocode(edit.from), await parsePointOrGeocode(edit.to), REFINE_SNAP_KM);
+      else if (edit.op === 'remove_via') legs = removeVia(legs, await parsePointOrGeocode(edit.at), REFINE_SNAP_KM);
+      else if (edit.op === 'block_segment') {
+        const blocked = blockSegment(legs, edit.from_km, edit.to_km);
+        legs = blocked.legs;
+        areas.push(...blocked.areas);
+      } else if (edit.op === 'swap_track') {
+        const checks = { rideDate: params.ride_date, rider: out.rider, avoidAreas: indexAreas(params.avoid_areas) };
+        const track = edit.with_track_id
+          ? await overpassWay(edit.with_track_id)
+          : await replacementTrack(legs, edit.track_id, { surfaceRegex: trackSurfaceRegex(params, out.rider.surfaces), ...checks });
+        if (!track) throw new RefineError(`way ${edit.with_track_id} not found`);
+        const rejected = edit.with_track_id && trackRejection(track, checks);
+        if (rejected) throw new RefineError(`way ${edit.with_track_id} can't be used: ${rejected}`);
+        legs = swapTrack(legs, edit.track_id, track);
+        evidence.push({ type: 'swap_track', ref: `${edit.track_id} -> ${track.id}` });
+      } else if (edit.op === 'distance') {
+        const toleranceKm = edit.tolerance_km ?? Math.max(2, 0.05 * edit.km);
+        for (let round = 0; round < REFINE_FIT_ROUNDS; round++) {
+          const next = fitDistance(legs, edit.km, { toleranceKm });
+          if (!next) break;
+          legs = await route(next);
+        }
+        const achieved = legsKm(legs);
+        evidence.push({ type: 'distance_fit', ref: `requested=${edit.km} achieved=${achieved.toFixed(1)}` });
+        if (Math.abs(achieved - edit.km) > toleranceKm) {
+          evidence.push({ type: 'warning', ref: `distance: ${achieved.toFixed(1)} km vs ${edit.km} km requested (±${toleranceKm.toFixed(1)})` });
+        }
+      }
+      legs = await route(legs);
+    }
+    if (stats.throughBlocked) {
+      evidence.push({ type: 'warning', ref: `block_segment: ${stats.throughBlocked} rerouted connector(s) still cross a blocked stretch` });
+    }
+
+    const { coords, details } = joinParts(legs);
+    const a = legs[0].from.slice(0, 2), b = legs[legs.length - 1].to.slice(0, 2);
+    const ops = edits.map((e) => e.op).join(',');
+    const version = (parent.version ?? 1) + 1;
+    log.info({ parent: parent.id, version, ops, legs: legs.length, legs_before: legsBefore, rerouted: stats.rerouted }, 'refine: legs edited');
+
+    const cand = {
+      coords,
+      details,
+      legs,
+      vias: legs.slice(1).map((l) => l.from.slice(0, 2)),
+      cm,
+      note: `Refined from ${parent.id} (v${parent.version ?? 1}): ${ops}.`,
+      evidence: [
+        { type: 'GH_mode', ref: 'REFINE' },
+        { type: 'refine', ref: `parent=${parent.id} version=${version} edits=${ops} rerouted=${stats.rerouted} legs=${legs.length}` },
+        ...evidence
+      ]
+    };
+    const refined = await finishRoute(await sanityPass(cand, cand.vias, log), out, {
+      name: name ?? parent.name,
+      rank: 1,
+      score: null,
+      a,
+      b,
+      kmTarget: parent.result?.km_target_used ?? legsKm(legs),
+      padKm: parent.result?.corridor_pad_km ?? 0,
+      input: parent.input,
+      parentId: parent.id,
+      version,
+      edits
+    }, log);
+    res.json({ routes: [refined], evidence: refined.evidence });
+  } catch (e) {
+    if (e instanceof ZodError || e instanceof RefineError) return res.status(400).json({ error: e.message });
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
 });
 
-app.get('/health', (_, res) => res.json({ ok: true }));
+app.post('/import', async (req, res) => {
+  const requestId = nanoid();
+  const log = logger.child({ requestId });
+  try {
+    const { data, format, mode, name, anchor_spacing_km, ...prefs } = importSchema.parse(req.body);
+    const parsed = parseImport(data, format);
+    let line = parsed.line;
+    if (line && line.length > IMPORT_MAX_POINTS) {
+      line = processGeometry(line, {}, { simplify: 'dp', maxPoints: IMPORT_MAX_POINTS }).coords;
+    }
+    // a track yields anchors every anchor_spacing_km; GPX route points / waypoints are anchors already
+    const raw = line
+      ? [line[0], ...importAnchors(line, { spacingKm: anchor_spacing_km ?? IMPORT_ANCHOR_KM }), line[line.length - 1]]
+      : parsed.points;
+    const { cleaned, summary } = cleanAnchors(raw.map((p) => p.slice(0, 2)), { minSegKm: 0.05 });
+    if (cleaned.length < 2) throw new ImportError('the file has fewer than two distinct points');
+    const [start, vias, end] = [cleaned[0], cleaned.slice(1, -1), cleaned[cleaned.length - 1]];
+    log.info({ format: parsed.format, mode, points: line?.length ?? 0, cleaning: summary }, 'import: parsed');
+
+    // what /refine re-reads: the plan this import amounts to
+    const input = { ...prefs, start, end, vias };
+    const params = validatePlan(input);
+    const routeName = name ?? parsed.name ?? 'Imported route';
+    const analyze = mode === 'analyze' && !!line;
+    const result = analyze
+      ? await analyzeImport(line, vias, params, { format: parsed.format, name: routeName, input }, log)
+      : await planRoutes(params, input, log, { name: routeName });
+    const notes = analyze ? [] : [{ type: 'import', ref: `format=${parsed.format} mode=replan anchors=${vias.length}` }];
+    if (mode === 'analyze' && !line) notes.push({ type: 'warning', ref: 'import: the file has no track to analyze; planned through its route points instead' });
+    res.json({
+      ...result,
+      import: { format: parsed.format, name: parsed.name, mode: analyze ? 'analyze' : 'replan', points: line?.length ?? parsed.points.length, waypoints: parsed.waypoints.length, anchors: vias.length },
+      evidence: result.evidence.concat(notes)
+    });
+  } catch (e) {
+    if (e instanceof ZodError || e instanceof ImportError || e instanceof CorridorError) return res.status(400).json({ error: e.message });
+    logger.error(e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/* ========= JOBS ========= */
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json(jobLinks(job));
+});
+
+// Server-sent events: past stages first (after Last-Event-ID on reconnect), then live ones until the job ends.
+app.get('/jobs/:id/events', (req, res) => {
+  if (!jobs.get(req.params.id)) return res.status(404).json({ error: 'job not found' });
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  let unsubscribe = null;
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+  const close = () => { clearInterval(ping); unsubscribe?.(); };
+  unsubscribe = jobs.subscribe(req.params.id, (event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_STAGES.has(event.stage)) { close(); res.end(); }
+  }, { after: Number(req.get('last-event-id')) || 0 });
+  // reconnecting past the terminal event replays nothing; the stream is still over
+  if (TERMINAL_STAGES.has(jobs.get(req.params.id)?.status) && !res.writableEnded) { close(); res.end(); }
+  // a client going away only ends its stream; the job keeps running
+  req.on('close', close);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  if (job.status !== 'cancelled') return res.status(409).json({ error: `job already ${job.status}` });
+  logger.info({ jobId: job.id }, 'job: cancel requested');
+  res.json(jobLinks(job));
+});
+
+app.get('/health', async (_, res) => {
+  res.json({ ok: true, cache: await cache.stats() });
+});
 
-const PORT = process.env.PORT || 8080;
 app.listen(PORT, () =>
-  console.log(`ADV backend on :${PORT} | GH_MAX_RPS=${GH_MAX_RPS} | JOIN_RADIUS_M=${JOIN_RADIUS_M} | STITCH_MAX_TRACKS=${STITCH_MAX_TRACKS || '∞'}`)
+  console.log(`ADV backend on :${PORT} | GH_MAX_RPS=${GH_MAX_RPS} | JOIN_RADIUS_M=${JOIN_RADIUS_M} | STITCH_MAX_TRACKS=${STITCH_MAX_TRACKS || '∞'} | DEM=${dem.name} | STORAGE=${storage.name} | RECORDS=${records.name} | CACHE=${cache.name}`)
 );
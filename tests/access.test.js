@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseConditional, conditionHolds, trackAccess, screenTracks } from '../src/lib/access.js';
+
+const day = (iso) => new Date(`${iso}T12:00:00Z`);
+
+describe('track access', () => {
+  it('parses conditional restrictions', () => {
+    expect(parseConditional('no @ (Nov 01-Apr 30); destination @ (Mo-Fr 07:00-18:00)')).toEqual([
+      { value: 'no', condition: 'Nov 01-Apr 30' },
+      { value: 'destination', condition: 'Mo-Fr 07:00-18:00' }
+    ]);
+    expect(parseConditional(undefined)).toEqual([]);
+  });
+
+  it('evaluates date, weekday and weight conditions', () => {
+    expect(conditionHolds('Nov 01-Apr 30', day('2026-01-15'))).toBe(true);
+    expect(conditionHolds('Nov 01-Apr 30', day('2026-07-15'))).toBe(false);
+    expect(conditionHolds('Dec-Feb', day('2026-02-28'))).toBe(true);
+    expect(conditionHolds('Sa-Su', day('2026-10-18'))).toBe(true); // a Sunday
+    expect(conditionHolds('Mo-Fr', day('2026-10-18'))).toBe(false);
+    expect(conditionHolds('weight>3.5', day('2026-10-18'))).toBe(false);
+    // unknowable: no date, time of day, weather
+    expect(conditionHolds('Nov 01-Apr 30', null)).toBeNull();
+    expect(conditionHolds('Mo-Fr 07:00-18:00', day('2026-10-19'))).toBeNull();
+    expect(conditionHolds('wet', day('2026-10-19'))).toBeNull();
+  });
+
+  it('refuses denied ways, most specific key first', () => {
+    expect(trackAccess({ access: 'no' }).verdict).toBe('no');
+    expect(trackAccess({ motor_vehicle: 'forestry' })).toEqual({ verdict: 'no', reason: 'motor_vehicle=forestry' });
+    expect(trackAccess({ motor_vehicle: 'no', motorcycle: 'yes' }).verdict).toBe('ok');
+    expect(trackAccess({ access: 'yes', motorcycle: 'no' }).verdict).toBe('no');
+    expect(trackAccess({ motor_vehicle: 'destination' }).verdict).toBe('uncertain');
+    expect(trackAccess({}).verdict).toBe('ok');
+  });
+
+  it('applies conditional restrictions against the ride date', () => {
+    const tags = { 'motor_vehicle:conditional': 'no @ (Nov 01-Apr 30)' };
+    expect(trackAccess(tags, { date: '2026-01-10' }).verdict).toBe('no');
+    expect(trackAccess(tags, { date: '2026-06-10' }).verdict).toBe('ok');
+    const unknown = trackAccess(tags);
+    expect(unknown.verdict).toBe('uncertain');
+    expect(unknown.reason).toContain('without ride_date');
+  });
+
+  it('checks seasonal ways, flipped south of the equator', () => {
+    expect(trackAccess({ seasonal: 'summer' }, { date: '2026-07-01' }).verdict).toBe('ok');
+    expect(trackAccess({ seasonal: 'summer' }, { date: '2026-01-01' }).verdict).toBe('no');
+    expect(trackAccess({ seasonal: 'summer' }, { date: '2026-01-01', lat: -40 }).verdict).toBe('ok');
+    expect(trackAccess({ seasonal: 'yes' }, { date: '2026-07-01' }).verdict).toBe('uncertain');
+  });
+
+  it('screens tracks into kept, excluded and uncertain', () => {
+    const out = screenTracks([
+      { id: 1, tags: { access: 'private' }, coords: [[0, 45]] },
+      { id: 2, tags: { seasonal: 'yes' }, coords: [[0, 45]] },
+      { id: 3, tags: {}, coords: [[0, 45]] }
+    ]);
+    expect(out.tracks.map((t) => t.id)).toEqual([2, 3]);
+    expect(out.excluded).toEqual([{ id: 1, reason: 'access=private' }]);
+    expect([...out.uncertain.keys()]).toEqual(['2']);
+  });
+});
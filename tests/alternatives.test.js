@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { joinParts, motorwayShareFromDetails, offPavementShare } from '../src/lib/details.js';
+import { overlapShare, rankAlternatives } from '../src/lib/alternatives.js';
+
+const line = (from, to, n = 10) =>
+  Array.from({ length: n + 1 }, (_, i) => [from[0] + (to[0] - from[0]) * i / n, from[1] + (to[1] - from[1]) * i / n]);
+
+describe('joinParts', () => {
+  it('shifts detail ranges onto the joined polyline', () => {
+    const a = { coords: line([0, 0], [0.1, 0], 4), details: { road_class: [[0, 4, 'motorway']] } };
+    const b = { coords: line([0.1, 0], [0.2, 0], 4), details: { road_class: [[0, 4, 'track']] } };
+    const { coords, details } = joinParts([a, b]);
+    expect(coords).toHaveLength(9);
+    expect(details.road_class).toEqual([[0, 4, 'motorway'], [4, 8, 'track']]);
+    expect(motorwayShareFromDetails(coords, details).share).toBeCloseTo(0.5, 2);
+    expect(offPavementShare(coords, details)).toBeCloseTo(0.5, 2);
+  });
+});
+
+describe('rankAlternatives', () => {
+  const direct = { coords: line([0, 0], [0.5, 0]), details: { road_class: [[0, 10, 'motorway']] } };
+  const dirt = { coords: [...line([0, 0], [0.25, 0.1], 5), ...line([0.25, 0.1], [0.5, 0], 5).slice(1)], details: { road_class: [[0, 10, 'track']] } };
+
+  it('drops near-duplicates and ranks the better fit first', () => {
+    const ranked = rankAlternatives([direct, { ...direct }, dirt], { kmTarget: 60, offTarget: 0.8 }, 3);
+    expect(ranked).toHaveLength(2);
+    expect(ranked[0].cand).toBe(dirt);
+    expect(ranked[1].score.motorway_share).toBeCloseTo(1, 2);
+  });
+
+  it('measures overlap between distinct routes', () => {
+    expect(overlapShare(direct.coords, direct.coords)).toBe(1);
+    expect(overlapShare(direct.coords, dirt.coords)).toBeLessThan(0.2);
+  });
+});
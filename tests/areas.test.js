@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { areaBBox, indexAreas, inAnyArea, crossedArea, detourVias } from '../src/lib/areas.js';
+import { validatePlan } from '../src/lib/normalize.js';
+
+const square = (w, s, e, n) => ({ type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] });
+const donut = {
+  type: 'MultiPolygon',
+  coordinates: [[
+    [[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]],
+    [[1.4, 1.4], [1.6, 1.4], [1.6, 1.6], [1.4, 1.6], [1.4, 1.4]]
+  ]]
+};
+const areas = indexAreas([square(0, 0, 0.1, 0.1), donut]);
+
+describe('avoid areas', () => {
+  it('indexes bboxes and tests points, holes included', () => {
+    expect(areaBBox(donut)).toEqual([1, 1, 2, 2]);
+    expect(inAnyArea([0.05, 0.05], areas)).toBe(true);
+    expect(inAnyArea([1.2, 1.2], areas)).toBe(true);
+    expect(inAnyArea([1.5, 1.5], areas)).toBe(false);
+    expect(inAnyArea([0.5, 0.5], areas)).toBe(false);
+  });
+
+  it('finds polylines that enter an area, even between vertices', () => {
+    expect(crossedArea([[-0.1, 0.05], [0.05, 0.05]], areas)).toBe(0);
+    expect(crossedArea([[-0.1, 0.05], [0.2, 0.05]], areas)).toBe(0);
+    expect(crossedArea([[0.5, 1.5], [1.2, 1.5]], areas)).toBe(1);
+    expect(crossedArea([[-0.1, 0.2], [0.2, 0.2], [0.5, 0.5]], areas)).toBe(-1);
+  });
+
+  it('detours around an area with a clear chord when one exists', () => {
+    const from = [-0.1, 0.02], to = [0.2, 0.02];
+    const vias = detourVias(from, to, areas[0], areas, 0.5);
+    expect(vias).toHaveLength(2);
+    expect(vias.every((v) => v[1] < 0)).toBe(true);
+    expect(vias[0][0]).toBeLessThan(vias[1][0]);
+    expect(crossedArea([from, ...vias, to], areas)).toBe(-1);
+    // a corner cut is enough when the connector only clips the area
+    expect(detourVias([-0.1, 0.05], [0.05, 0.2], areas[0], areas, 0.5)).toHaveLength(1);
+  });
+
+  it('validates avoid_areas as GeoJSON polygons', () => {
+    const plan = validatePlan({ start: [0, 0], end: [1, 1], avoid_areas: [square(0, 0, 0.1, 0.1), donut] });
+    expect(plan.avoid_areas).toHaveLength(2);
+    expect(() => validatePlan({ start: [0, 0], end: [1, 1], avoid_areas: [{ type: 'Point', coordinates: [0, 0] }] })).toThrow();
+    expect(() => validatePlan({ start: [0, 0], end: [1, 1], avoid_areas: [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }] })).toThrow();
+  });
+});
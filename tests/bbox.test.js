@@ -1,5 +1,24 @@
 import { describe, it, expect } from 'vitest';
-import { corridorBBox, bboxAreaKm2 } from '../src/lib/bbox.js';
+import { CorridorError, distKm, bboxAreaKm2, corridorBBox, padBBox, corridorTiles, gridTiles, mergeById } from '../src/lib/bbox.js';
+
+const inBox = ([lon, lat], [south, west, north, east]) => lat >= south && lat <= north && lon >= west && lon <= east;
+
+describe('distances and areas', () => {
+  it('measures great-circle km', () => {
+    expect(distKm([0, 0], [1, 0])).toBeCloseTo(111.19, 1);
+    expect(distKm([0, 60], [1, 60])).toBeCloseTo(55.6, 0);
+    expect(distKm([2, 3], [2, 3])).toBe(0);
+  });
+
+  it('measures bbox area and pads boxes on every side', () => {
+    expect(bboxAreaKm2([0, 0, 0.1, 0.1])).toBeCloseTo(123.6, 0);
+    const [south, west, north, east] = padBBox([[0, 0], [0.1, 0.1]], 11.1);
+    expect(south).toBeCloseTo(-0.1, 2);
+    expect(west).toBeCloseTo(-0.1, 2);
+    expect(north).toBeCloseTo(0.2, 2);
+    expect(east).toBeCloseTo(0.2, 2);
+  });
+});
 
 describe('corridorBBox', () => {
   it('clamps pad and area', () => {
@@ -18,3 +37,80 @@ describe('corridorBBox', () => {
     expect(padKm).toBeLessThan(8); // pad reduced below minimum
   });
 });
+
+describe('corridorTiles', () => {
+  const clamps = { PAD_KM_MIN: 8, PAD_KM_MAX: 25, BBOX_AREA_MAX_KM2: 2500 };
+
+  it('keeps short trips to a single tile', () => {
+    const { tiles, padKm, shrunk } = corridorTiles([[0, 0], [0.1, 0.1]], clamps);
+    expect(tiles).toHaveLength(1);
+    expect(padKm).toBe(8);
+    expect(shrunk).toBe(false);
+  });
+
+  it('keeps the pad on a long diagonal that would collapse one box', () => {
+    const line = [[0, 0], [2, 2]];
+    expect(corridorBBox(line[0], line[1], clamps).padKm).toBeLessThan(8);
+    const { tiles, padKm, shrunk } = corridorTiles(line, clamps);
+    expect(tiles.length).toBeGreaterThan(5);
+    expect(padKm).toBeGreaterThanOrEqual(8);
+    expect(shrunk).toBe(false);
+    for (const t of tiles) expect(bboxAreaKm2(t)).toBeLessThanOrEqual(2500 + 1e-6);
+    // the middle of the diagonal is covered, its far corners are not
+    expect(tiles.some((t) => inBox([1, 1], t))).toBe(true);
+    expect(tiles.some((t) => inBox([2, 0], t))).toBe(false);
+  });
+
+  it('follows the vias', () => {
+    const { tiles } = corridorTiles([[0, 0], [0.5, 0.5], [1, 0]], clamps);
+    expect(tiles.some((t) => inBox([0.5, 0.5], t))).toBe(true);
+    expect(tiles.some((t) => inBox([0.5, 0], t))).toBe(false);
+  });
+
+  it('keeps every tile of a very long diagonal within the bound and padded', () => {
+    const line = [[0, 0], [9.25, 9.25]]; // ~1455 km
+    const { tiles, padKm, shrunk } = corridorTiles(line, { ...clamps, MAX_AREA_KM2: Infinity });
+    expect(tiles.length).toBeGreaterThan(12);
+    expect(padKm).toBeGreaterThanOrEqual(8);
+    expect(shrunk).toBe(false);
+    for (const t of tiles) expect(bboxAreaKm2(t)).toBeLessThanOrEqual(2500 + 1e-6);
+  });
+
+  it('rejects corridors over the total area cap', () => {
+    expect(() => corridorTiles([[0, 0], [9.25, 9.25]], clamps)).toThrow(CorridorError);
+    expect(() => corridorTiles([[0, 0], [9.25, 9.25]], clamps)).toThrow(/corridor too large/);
+  });
+});
+
+describe('gridTiles', () => {
+  const clamps = { PAD_KM_MIN: 8, PAD_KM_MAX: 25, BBOX_AREA_MAX_KM2: 2500 };
+
+  it('covers a loop extent with tiles within the bound', () => {
+    // a 300 km loop (radius ~35 km) swings through a ~140 km square
+    const sw = [-0.9, 44.36], ne = [0.9, 45.64];
+    const { tiles, areaKm2 } = gridTiles(sw, ne, clamps);
+    expect(tiles.length).toBeGreaterThan(1);
+    for (const t of tiles) expect(bboxAreaKm2(t)).toBeLessThanOrEqual(2500 + 1e-6);
+    expect(areaKm2).toBeGreaterThan(140 * 140);
+    expect(tiles.some((t) => inBox([0, 45], t))).toBe(true);
+    expect(tiles.some((t) => inBox(sw, t)) && tiles.some((t) => inBox(ne, t))).toBe(true);
+  });
+
+  it('keeps a small loop to one tile and rejects huge ones', () => {
+    expect(gridTiles([0, 45], [0.2, 45.2], clamps).tiles).toHaveLength(1);
+    expect(() => gridTiles([0, 40], [4, 44], clamps)).toThrow(CorridorError);
+  });
+});
+
+describe('mergeById', () => {
+  it('keeps the first copy of ways found by overlapping tiles', () => {
+    const merged = mergeById([[{ id: 1, n: 'a' }, { id: 2 }], [{ id: '1', n: 'b' }, { id: 3 }]]);
+    expect(merged.map((w) => String(w.id))).toEqual(['1', '2', '3']);
+    expect(merged[0].n).toBe('a');
+  });
+
+  it('tells nodes and ways with the same id apart', () => {
+    const merged = mergeById([[{ type: 'way', id: 7 }], [{ type: 'node', id: 7 }, { type: 'way', id: 7 }]]);
+    expect(merged.map((e) => e.type)).toEqual(['way', 'node']);
+  });
+});
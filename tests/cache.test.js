@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { createCache, memoryCache, sqliteCache, snapTile, overpassKey } from '../src/lib/cache.js';
+
+const clock = () => {
+  let t = 1000;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+};
+
+for (const [name, make] of [['memory', (o) => memoryCache(o)], ['sqlite', (o) => sqliteCache({ file: ':memory:', ...o })]]) {
+  describe(`${name} cache driver`, () => {
+    it('drops the least recently used entries past the per-kind bound', async () => {
+      const c = await make({ maxEntries: { route: 2 } });
+      await c.set('route', 'a', { n: 1 }, 60_000);
+      await c.set('route', 'b', { n: 2 }, 60_000);
+      expect(await c.get('route', 'a')).toEqual({ n: 1 }); // a is now fresher than b
+      await c.set('route', 'c', { n: 3 }, 60_000);
+      expect(await c.get('route', 'b')).toBeUndefined();
+      expect(await c.get('route', 'a')).toEqual({ n: 1 });
+      expect(await c.get('route', 'c')).toEqual({ n: 3 });
+      expect(await c.size('route')).toBe(2);
+      await c.set('geocode', 'x', [1, 2], 60_000); // other kinds have their own bound
+      expect(await c.size('route')).toBe(2);
+    });
+
+    it('expires entries after their TTL', async () => {
+      const now = clock();
+      const c = await make({ now });
+      await c.set('overpass', 'k', { elements: [] }, 5000);
+      now.advance(4999);
+      expect(await c.get('overpass', 'k')).toEqual({ elements: [] });
+      now.advance(1);
+      expect(await c.get('overpass', 'k')).toBeUndefined();
+    });
+  });
+}
+
+describe('createCache', () => {
+  it('wraps lookups, counts hits and misses and reports stats', async () => {
+    const cache = await createCache('memory', { ttlMs: { geocode: 60_000 } });
+    let calls = 0;
+    const lookup = () => cache.wrap('geocode', 'lisbon', async () => { calls++; return [-9.14, 38.72]; });
+    expect(await lookup()).toEqual([-9.14, 38.72]);
+    expect(await lookup()).toEqual([-9.14, 38.72]);
+    expect(calls).toBe(1);
+    const stats = await cache.stats();
+    expect(stats.backend).toBe('memory');
+    expect(stats.kinds.geocode).toEqual({ hits: 1, misses: 1, errors: 0, hit_rate: 0.5, entries: 1 });
+    expect(stats.kinds.overpass.hit_rate).toBeNull();
+    expect(cache.counts().geocode).toBe('1/1');
+  });
+
+  it('does not store null results and does not cache failures', async () => {
+    const cache = await createCache('memory');
+    expect(await cache.wrap('route', 'k', async () => null)).toBeNull();
+    await expect(cache.wrap('route', 'k', async () => { throw new Error('GH down'); })).rejects.toThrow('GH down');
+    expect(await cache.wrap('route', 'k', async () => 'ok')).toBe('ok');
+    expect((await cache.stats()).kinds.route.misses).toBe(3);
+  });
+
+  it('rejects unknown backends', async () => {
+    await expect(createCache('memcached')).rejects.toThrow(/unknown CACHE/);
+  });
+});
+
+describe('overpass keys', () => {
+  it('snaps tiles outward to the grid', () => {
+    expect(snapTile([38.6912, -9.1234, 38.7301, -8.8]))
+      .toEqual([38.69, -9.13, 38.74, -8.8]);
+  });
+
+  it('ignores whitespace in the query and keeps the tile readable', () => {
+    const a = overpassKey('[out:json];\n  way["highway"="track"]{{bbox}};\nout geom;', [38.69, -9.13, 38.74, -8.8]);
+    const b = overpassKey('[out:json]; way["highway"="track"]{{bbox}}; out geom;', [38.69, -9.13, 38.74, -8.8]);
+    expect(a).toBe(b);
+    expect(a.startsWith('38.6900,-9.1300,38.7400,-8.8000|')).toBe(true);
+    expect(overpassKey('way(1);out;')).not.toBe(overpassKey('way(2);out;'));
+  });
+});
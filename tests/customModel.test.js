@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { buildCustomModel, trackSurfaceRegex } from '../src/lib/customModel.js';
+
+describe('buildCustomModel', () => {
+  it('returns null without preferences', () => {
+    expect(buildCustomModel({})).toBeNull();
+  });
+
+  it('turns surface and toll preferences into priority/speed rules', () => {
+    const model = buildCustomModel({ prefer_surfaces: ['gravel', 'dirt'], avoid_surfaces: ['mud'], avoid_tolls: true });
+    expect(model.priority).toEqual([
+      { if: 'surface == DIRT', multiply_by: '0.1' },
+      { if: 'surface == GRAVEL', multiply_by: '1' },
+      { else: '', multiply_by: '0.6' },
+      { if: 'toll == ALL', multiply_by: '0.05' }
+    ]);
+    expect(model.speed[0].limit_to).toBe('50');
+  });
+
+  it('nearly rules out track grades a rider profile does not allow', () => {
+    const model = buildCustomModel({ allowed_track_types: ['grade1', 'grade2'] });
+    expect(model.priority).toEqual([{ if: 'track_type == GRADE3 || track_type == GRADE4 || track_type == GRADE5', multiply_by: '0.05' }]);
+    expect(model.speed).toBeUndefined();
+  });
+});
+
+describe('trackSurfaceRegex', () => {
+  it('defaults to the dirt set and drops avoided surfaces', () => {
+    expect(trackSurfaceRegex()).toBe('^(gravel|compacted|fine_gravel|ground|earth|mud|pebblestone|unpaved)$');
+    expect(trackSurfaceRegex({ avoid_surfaces: ['mud', 'dirt'] })).toBe('^(gravel|compacted|fine_gravel|ground|pebblestone|unpaved)$');
+  });
+
+  it('uses preferred surfaces when given, null when all are avoided', () => {
+    expect(trackSurfaceRegex({ prefer_surfaces: ['fine_gravel', 'compacted'] })).toBe('^(fine_gravel|compacted)$');
+    expect(trackSurfaceRegex({ prefer_surfaces: ['sand'], avoid_surfaces: ['sand'] })).toBeNull();
+  });
+});
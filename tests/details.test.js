@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { joinParts, trackDetails, detailBreakdown, surfaceStats, transferDetails, remapDetails } from '../src/lib/details.js';
+
+const line = (from, to, n = 10) =>
+  Array.from({ length: n + 1 }, (_, i) => [from[0] + (to[0] - from[0]) * i / n, from[1] + (to[1] - from[1]) * i / n]);
+
+describe('trackDetails', () => {
+  it('tags a stitched track from its Overpass tags', () => {
+    const d = trackDetails(line([0, 0], [0.1, 0], 4), { surface: 'pebblestone', tracktype: 'grade2' });
+    expect(d.surface).toEqual([[0, 4, 'gravel']]);
+    expect(d.track_type).toEqual([[0, 4, 'grade2']]);
+    expect(d.road_class).toEqual([[0, 4, 'track']]);
+  });
+});
+
+describe('detailBreakdown', () => {
+  it('reports km/pct per value and uncovered stretches as missing', () => {
+    const pts = line([0, 0], [0.4, 0], 4);
+    const b = detailBreakdown(pts, [[0, 2, 'ASPHALT'], [2, 3, 'gravel']]);
+    expect(Object.keys(b)).toEqual(['asphalt', 'gravel', 'missing']);
+    expect(b.asphalt.pct).toBeCloseTo(50, 0);
+    expect(b.gravel.pct + b.missing.pct).toBeCloseTo(50, 0);
+  });
+});
+
+describe('surfaceStats', () => {
+  it('counts stitched dirt in the off-pavement share', () => {
+    const connector = { coords: line([0, 0], [0.1, 0], 4), details: { surface: [[0, 4, 'asphalt']], road_class: [[0, 4, 'secondary']] } };
+    const track = line([0.1, 0], [0.2, 0], 4);
+    const { coords, details } = joinParts([connector, { coords: track, details: trackDetails(track, { surface: 'gravel' }) }]);
+    const stats = surfaceStats(coords, details);
+    expect(stats.off_pavement_share).toBeCloseTo(0.5, 2);
+    expect(stats.surface.gravel.pct).toBeCloseTo(50, 0);
+    expect(stats.road_class.track.km).toBeGreaterThan(0);
+    expect(stats.toll_km).toBe(0);
+  });
+});
+
+describe('transferDetails', () => {
+  it('carries ranges onto a denser line and leaves stray stretches uncovered', () => {
+    const source = line([0, 0], [0.1, 0], 4);
+    const details = { surface: [[0, 2, 'ASPHALT'], [2, 4, 'GRAVEL']] };
+    const target = line([0, 0.0002], [0.1, 0.0002], 8);
+    const { details: out, matchedShare } = transferDetails(source, details, target);
+    expect(out.surface).toEqual([[0, 4, 'ASPHALT'], [4, 8, 'GRAVEL']]);
+    expect(matchedShare).toBe(1);
+
+    // the last quarter leaves the source by ~1 km
+    const detour = target.map(([x, y], i) => (i >= 7 ? [x, y + 0.01] : [x, y]));
+    const partial = transferDetails(source, details, detour);
+    expect(partial.details.surface).toEqual([[0, 4, 'ASPHALT'], [4, 6, 'GRAVEL']]);
+    expect(partial.matchedShare).toBeLessThan(0.8);
+  });
+});
+
+describe('remapDetails', () => {
+  it('moves ranges onto the first new point at or past each end', () => {
+    const index = [0, 0.5, 1, 2, 2, 3.5, 6];
+    const out = remapDetails({ surface: [[0, 2, 'asphalt'], [2, 4, 'gravel'], [4, 6, 'dirt'], [6, 9, 'sand']] }, index);
+    expect(out.surface).toEqual([[0, 3, 'asphalt'], [3, 6, 'gravel']]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { riderProfile, tooHardFor, segmentGrade, routeDifficulty } from '../src/lib/difficulty.js';
+import { GH_DETAILS, trackDetails } from '../src/lib/details.js';
+
+// 10 steps of ~1.11 km along the equator
+const pts = Array.from({ length: 11 }, (_, i) => [i * 0.01, 0]);
+
+describe('rider profiles', () => {
+  it('falls back to the mid-weight profile', () => {
+    expect(riderProfile().name).toBe('adv_mid');
+    expect(riderProfile('light_enduro').gh_profile).toBe('scooter');
+    expect(riderProfile('heavy_road').tracktypes).toEqual(['grade1', 'grade2']);
+  });
+
+  it('flags tracks too rough for the profile', () => {
+    const heavy = riderProfile('heavy_road'), enduro = riderProfile('light_enduro');
+    expect(tooHardFor({ smoothness: 'bad' }, heavy)).toBe('smoothness=bad');
+    expect(tooHardFor({ smoothness: 'bad' }, enduro)).toBeNull();
+    expect(tooHardFor({ sac_scale: 'hiking' }, heavy)).toBe('sac_scale=hiking');
+    expect(tooHardFor({ sac_scale: 'mountain_hiking' }, enduro)).toBeNull();
+    expect(tooHardFor({ 'mtb:scale': '3' }, enduro)).toBe('mtb:scale=3');
+    expect(tooHardFor({}, heavy)).toBeNull();
+  });
+});
+
+describe('difficulty grades', () => {
+  it('grades a stretch by its roughest detail', () => {
+    expect(segmentGrade({ surface: 'asphalt', road_class: 'primary' })).toBe(1);
+    expect(segmentGrade({ surface: 'gravel' })).toBe(2);
+    expect(segmentGrade({ surface: 'missing', road_class: 'track' })).toBe(3);
+    expect(segmentGrade({ surface: 'gravel', track_type: 'grade4' })).toBe(4);
+    expect(segmentGrade({ surface: 'compacted', smoothness: 'horrible' })).toBe(5);
+  });
+
+  it('splits a route into graded runs with km per grade', () => {
+    const out = routeDifficulty(pts, {
+      surface: [[0, 6, 'asphalt'], [6, 10, 'gravel']],
+      track_type: [[8, 10, 'grade4']]
+    });
+    expect(out.segments.map((s) => s.grade)).toEqual([1, 2, 4]);
+    expect(out.segments[1].from_km).toBeCloseTo(6.67, 1);
+    expect(out.by_grade.map((g) => [g.grade, g.pct])).toEqual([[1, 60], [2, 20], [4, 20]]);
+    expect(out).toMatchObject({ grade: 4, label: 'hard', max_grade: 4 });
+  });
+
+  it('does not let a short hard bit set the overall grade', () => {
+    const out = routeDifficulty(pts, { surface: [[0, 10, 'asphalt']], smoothness: [[9, 10, 'horrible']] }, { minShare: 0.2 });
+    expect(out.max_grade).toBe(5);
+    expect(out.grade).toBe(1);
+    expect(routeDifficulty(pts, {}).by_grade).toEqual([{ grade: 1, label: 'easy', km: 11.1, pct: 100 }]);
+  });
+
+  it('grades stitched tracks by their raw OSM surface', () => {
+    const details = trackDetails(pts, { surface: 'mud', tracktype: 'grade2' });
+    expect(details.surface[0][2]).toBe('dirt');
+    expect(routeDifficulty(pts, details).grade).toBe(4);
+    expect(routeDifficulty(pts, { ...details, osm_surface: undefined }).grade).toBe(3);
+  });
+
+  it('uses smoothness reported by GH', () => {
+    expect(GH_DETAILS).toContain('smoothness');
+    expect(routeDifficulty(pts, { surface: [[0, 10, 'ASPHALT']], smoothness: [[0, 10, 'VERY_BAD']] }).grade).toBe(4);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { hgtDem, hgtTileName, fillElevation } from '../src/lib/dem.js';
+import { durationH, climbM, avgSpeedKmh } from '../src/lib/estimate.js';
+
+const line = (from, to, n = 10) =>
+  Array.from({ length: n + 1 }, (_, i) => [from[0] + (to[0] - from[0]) * i / n, from[1] + (to[1] - from[1]) * i / n]);
+
+describe('hgtDem', () => {
+  it('reads and interpolates a 3x3 tile', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'dem-'));
+    const buf = Buffer.alloc(18);
+    [0, 0, 0, 100, 100, 100, 200, 200, 200].forEach((z, i) => buf.writeInt16BE(z, i * 2)); // north row first
+    expect(hgtTileName(-9.5, 38.5)).toBe('N38W010.hgt');
+    writeFileSync(path.join(dir, 'N38W010.hgt'), buf);
+    const dem = hgtDem(dir);
+    const [mid, south, missing] = await dem.elevations([[-9.5, 38.5], [-9.5, 38.0], [5, 5]]);
+    expect(mid).toBeCloseTo(100, 5);
+    expect(south).toBeCloseTo(200, 5);
+    expect(missing).toBeNull();
+  });
+});
+
+describe('fillElevation', () => {
+  it('keeps GH heights and interpolates the stitched gap', async () => {
+    const coords = [[0, 0, 100], [0.01, 0], [0.02, 0, 200]];
+    expect(await fillElevation(coords, null)).toEqual([[0, 0, 100], [0.01, 0, 150], [0.02, 0, 200]]);
+    expect(await fillElevation([[0, 0], [1, 1]], null)).toEqual([[0, 0], [1, 1]]);
+  });
+});
+
+describe('durationH', () => {
+  it('rides gravel slower than asphalt, matching the blended speed', () => {
+    const pts = line([0, 0], [0.9, 0], 2);
+    const h = durationH(pts, { surface: [[0, 1, 'asphalt'], [1, 2, 'gravel']] });
+    const km = 100.08; // 0.9° of longitude at the equator
+    expect(h).toBeCloseTo((km / 2) / 50 + (km / 2) / 30, 1);
+    expect(avgSpeedKmh(0.5)).toBe(40);
+  });
+});
+
+describe('climbM', () => {
+  it('ignores noise below the threshold', () => {
+    const coords = [100, 102, 101, 110, 130, 127, 120].map((z, i) => [i * 0.001, 0, z]);
+    expect(climbM(coords)).toEqual({ ascent: 30, descent: 10 });
+    expect(climbM([[0, 0], [1, 1]])).toEqual({ ascent: null, descent: null });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { fitToleranceKm, roadFactor, detourCost, offsetDetours, pickDetour, pickTrim } from '../src/lib/fit.js';
+import { distKm } from '../src/lib/bbox.js';
+
+// start and end ~44.5 km apart along the equator; 0.1° ≈ 11.1 km
+const a = [0, 0], b = [0.4, 0];
+
+describe('distance fit', () => {
+  it('sizes the band from the target, never under the minimum', () => {
+    expect(fitToleranceKm(200)).toBe(10);
+    expect(fitToleranceKm(20)).toBe(2);
+    expect(fitToleranceKm(200, { pct: 10 })).toBe(20);
+  });
+
+  it('measures the road factor from a built route', () => {
+    expect(roadFactor([a, b], distKm(a, b) * 1.3)).toBeCloseTo(1.3);
+    expect(roadFactor([a, b], 0)).toBe(1.35);
+    expect(roadFactor([a, b], distKm(a, b) * 9)).toBe(2.5);
+  });
+
+  it('slots a detour between the stops it sits beside', () => {
+    const stops = [a, [0.2, 0], b];
+    const cost = detourCost(stops, [0.3, 0.1], 1);
+    expect(cost.at).toBe(1);
+    expect(cost.addedKm).toBeCloseTo(distKm([0.2, 0], [0.3, 0.1]) + distKm([0.3, 0.1], b) - distKm([0.2, 0], b));
+  });
+
+  it('places offset points that add about the missing km', () => {
+    const pts = offsetDetours([a, b], 40, 1.2);
+    expect(pts).toHaveLength(2);
+    expect(pts.map((p) => Math.sign(p[1])).sort()).toEqual([-1, 1]);
+    for (const pt of pts) expect(detourCost([a, b], pt, 1.2).addedKm).toBeCloseTo(40, 0);
+  });
+
+  it('picks the candidate closest to the missing km and skips tried ones', () => {
+    const cands = [
+      { pt: [0.2, 0.02], source: 'track' },
+      { pt: [0.2, 0.15], source: 'track' },
+      { pt: [0.2, 0.4], source: 'minor_road' }
+    ];
+    const pick = pickDetour([a, b], 20, cands, { factor: 1 });
+    expect(pick.pt).toEqual([0.2, 0.15]);
+    expect(pick.at).toBe(0);
+    // what is left closes too little of the gap, unless any progress will do
+    expect(pickDetour([a, b], 20, cands, { factor: 1, exclude: [[0.2, 0.15]] })).toBeNull();
+    expect(pickDetour([a, b], 20, cands, { factor: 1, exclude: [[0.2, 0.15]], minShare: 0 }).pt).toEqual([0.2, 0.02]);
+    expect(pickDetour([a, b], 2, [{ pt: [0.2, 0.4] }], { factor: 1 })).toBeNull();
+  });
+
+  it('drops the optional via whose saving best matches the excess', () => {
+    const stops = [a, [0.1, 0.05], [0.2, 0.2], [0.3, 0], b];
+    expect(pickTrim(stops, 30, [0, 1, 2], 1).at).toBe(1);
+    expect(pickTrim(stops, 30, [0, 2], 1).at).not.toBe(1);
+    expect(pickTrim([a, [0.2, 0], b], 5, [0], 1)).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { toKML, toTCX, toGPXRoute, shapingPoints, splitTrack } from '../src/lib/formats.js';
+
+const line = Array.from({ length: 11 }, (_, i) => [i * 0.01, 0, 100 + i]);
+const km = line.map((_, i) => i * 1.1);
+
+describe('splitTrack', () => {
+  it('keeps parts under the cap and joins them end to start', () => {
+    const coords = Array.from({ length: 1201 }, (_, i) => [i * 0.001, 0]);
+    const parts = splitTrack(coords, 500);
+    expect(parts.every((p) => p.length <= 500)).toBe(true);
+    for (let i = 1; i < parts.length; i++) expect(parts[i][0]).toEqual(parts[i - 1].at(-1));
+    expect(parts.at(-1).at(-1)).toEqual(coords.at(-1));
+    expect(splitTrack(line, 500)).toEqual([line]);
+  });
+});
+
+describe('shapingPoints', () => {
+  it('keeps start, vias and finish and fills the budget with route vertices', () => {
+    const pts = shapingPoints(line, km, [5.5], 5);
+    expect(pts.length).toBeLessThanOrEqual(5);
+    expect(pts[0]).toEqual({ coord: line[0], via: true });
+    expect(pts.at(-1)).toEqual({ coord: line[10], via: true });
+    expect(pts.filter((p) => p.via).map((p) => p.coord)).toContainEqual(line[5]);
+  });
+
+  it('marks vias and shaping points in the GPX <rte>', () => {
+    const gpx = toGPXRoute('R', shapingPoints(line, km, [], 4));
+    expect(gpx).toContain('<rte><name>R</name>');
+    expect(gpx.match(/<trp:ViaPoint\/>/g)).toHaveLength(2);
+    expect(gpx.match(/<trp:ShapingPoint\/>/g)).toHaveLength(2);
+  });
+});
+
+describe('KML / TCX', () => {
+  it('writes a LineString with heights and POI placemarks', () => {
+    const kml = toKML('A & B', line, { waypoints: [{ category: 'ford', name: null, coord: [0.05, 0] }] });
+    expect(kml).toContain('<name>A &amp; B</name>');
+    expect(kml).toContain('<coordinates>0,0,100 0.01,0,101');
+    expect(kml).toContain('<Point><coordinates>0.05,0</coordinates>');
+  });
+
+  it('writes a course with timed trackpoints and course points', () => {
+    const hours = km.map((k) => k / 50);
+    const tcx = toTCX('Long course name here', line, {
+      km, hours, start: new Date(0), waypoints: [{ category: 'drinking_water', name: 'Spring', coord: [0.05, 0], km_from_start: 5.5 }]
+    });
+    expect(tcx).toContain('<Name>Long course nam</Name>');
+    expect(tcx.match(/<Trackpoint>/g)).toHaveLength(11);
+    expect(tcx).toContain('<DistanceMeters>11000</DistanceMeters>');
+    expect(tcx).toContain('<TotalTimeSeconds>792</TotalTimeSeconds>');
+    expect(tcx).toContain('<PointType>Water</PointType>');
+    expect(tcx).toContain(`<Time>${new Date(5.5 / 50 * 3600 * 1000).toISOString()}</Time><Position><LatitudeDegrees>0</LatitudeDegrees><LongitudeDegrees>0.05</LongitudeDegrees>`);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { planFuelStops, fuelGaps, projectOnRoute } from '../src/lib/fuel.js';
+
+const st = (alongKm, offKm = 0, id = `s${alongKm}`) => ({ id, alongKm, offKm });
+
+describe('planFuelStops', () => {
+  it('fills up as late as the usable range allows', () => {
+    const { stops, gaps } = planFuelStops(500, [st(50), st(140), st(170), st(300), st(330)], { rangeKm: 200, reserveKm: 30 });
+    expect(stops.map(s => s.alongKm)).toEqual([170, 330]);
+    expect(gaps).toEqual([]);
+  });
+
+  it('charges the detour against the range', () => {
+    const { stops } = planFuelStops(300, [st(160, 8), st(150, 0)], { rangeKm: 200, reserveKm: 30 });
+    expect(stops[0].alongKm).toBe(150);
+  });
+
+  it('reports stretches no station can bridge', () => {
+    const { stops, gaps } = planFuelStops(600, [st(100), st(400)], { rangeKm: 200, reserveKm: 30 });
+    expect(stops.map(s => s.alongKm)).toEqual([100, 400]);
+    expect(gaps).toEqual([{ fromKm: 100, toKm: 400 }, { fromKm: 400, toKm: 600 }]);
+  });
+});
+
+describe('fuelGaps', () => {
+  it('measures legs between start, stops and finish', () => {
+    expect(fuelGaps(300, [120, 250], 150)).toEqual([]);
+    expect(fuelGaps(300, [40], 150)).toEqual([{ fromKm: 40, toKm: 300 }]);
+  });
+});
+
+describe('projectOnRoute', () => {
+  it('finds the nearest vertex and its distance along', () => {
+    const coords = [[0, 0], [0.1, 0], [0.2, 0]];
+    const p = projectOnRoute(coords, [0, 11.1, 22.2], [0.1, 0.01]);
+    expect(p.idx).toBe(1);
+    expect(p.alongKm).toBe(11.1);
+    expect(p.offKm).toBeCloseTo(1.11, 1);
+  });
+});
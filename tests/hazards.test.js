@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseIncline, hazardFromOsm, steepStretches, hazardsAlongRoute, hazardWaypoint } from '../src/lib/hazards.js';
+
+// due east along the equator, a point every ~55.6 m
+const line = (heights) => heights.map((z, i) => [i * 0.0005, 0, z]);
+
+describe('hazards', () => {
+  it('reads incline tags as percentages', () => {
+    expect(parseIncline('12%')).toBe(12);
+    expect(parseIncline('-8')).toBe(-8);
+    expect(parseIncline('10°')).toBeCloseTo(17.6, 1);
+    expect(parseIncline('up')).toBeNull();
+  });
+
+  it('types Overpass elements', () => {
+    expect(hazardFromOsm({ type: 'node', id: 1, lat: 1, lon: 2, tags: { ford: 'yes' } })).toMatchObject({ type: 'ford', coord: [2, 1], osm_id: 'node/1' });
+    expect(hazardFromOsm({ type: 'node', id: 2, lat: 1, lon: 2, tags: { barrier: 'lift_gate' } })).toMatchObject({ type: 'barrier', subtype: 'lift_gate' });
+    expect(hazardFromOsm({ type: 'way', id: 3, center: { lat: 1, lon: 2 }, tags: { noexit: 'yes' } }).type).toBe('dead_end');
+    expect(hazardFromOsm({ type: 'way', id: 4, center: { lat: 1, lon: 2 }, tags: { incline: '-20%' } })).toMatchObject({ type: 'steep', grade_pct: -20 });
+    expect(hazardFromOsm({ type: 'way', id: 5, center: { lat: 1, lon: 2 }, tags: { incline: '8%' } })).toBeNull();
+    expect(hazardFromOsm({ type: 'node', id: 6, lat: 1, lon: 2, tags: { barrier: 'fence' } })).toBeNull();
+  });
+
+  it('finds steep stretches in the elevation profile', () => {
+    // flat, ~20 % up over ~220 m, flat, ~20 % down
+    const coords = line([0, 0, 0, 11, 22, 33, 44, 44, 44, 44, 33, 22, 11, 0, 0]);
+    const steep = steepStretches(coords, { steepPct: 15, minLenM: 100 });
+    expect(steep.map((h) => h.subtype)).toEqual(['up', 'down']);
+    expect(steep[0].grade_pct).toBe(20);
+    expect(steep[0].km_from_start).toBeCloseTo(0.1, 1);
+    expect(steep[1].grade_pct).toBe(-20);
+    expect(steepStretches(coords, { steepPct: 25 })).toEqual([]);
+    expect(steepStretches(coords.map(([x, y]) => [x, y]))).toEqual([]);
+  });
+
+  it('keeps hazards on the route, merges repeats and orders them by km', () => {
+    const coords = line([0, 0, 0, 0, 0]);
+    const out = hazardsAlongRoute([
+      { type: 'barrier', subtype: 'gate', coord: [0.0015, 0.0001] },
+      { type: 'ford', subtype: null, coord: [0.0005, 0] },
+      { type: 'ford', subtype: null, coord: [0.00052, 0] },
+      { type: 'dead_end', subtype: null, coord: [0.001, 0.01] }
+    ], coords, { bufferKm: 0.03 });
+    expect(out.map((h) => h.type)).toEqual(['ford', 'barrier']);
+    expect(out[1]).toMatchObject({ km_from_start: 0.2, off_route_m: 11 });
+  });
+
+  it('turns hazards into waypoints', () => {
+    expect(hazardWaypoint({ type: 'barrier', subtype: 'lift_gate', coord: [1, 2], source: 'osm', km_from_start: 3 }))
+      .toMatchObject({ category: 'lift_gate', name: 'lift gate', km_from_start: 3 });
+    expect(hazardWaypoint({ type: 'steep', subtype: 'down', grade_pct: -18, coord: [1, 2], source: 'elevation', km_from_start: 4 }).name).toBe('steep 18%');
+  });
+});
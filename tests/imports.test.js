@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { detectFormat, parseImport, importAnchors, ImportError } from '../src/lib/imports.js';
+
+const gpx = `<?xml version="1.0"?><gpx version="1.1"><metadata><name>Serra &amp; Rio</name></metadata>
+<wpt lat="38.8" lon="-9.0"><name>Café</name></wpt>
+<trk><name>Day 1</name><trkseg>
+  <trkpt lat="38.7" lon="-9.1"><ele>12.5</ele></trkpt>
+  <trkpt lon="-9.05" lat="38.72"/>
+</trkseg><trkseg><trkpt lat="38.75" lon="-9.0"></trkpt></trkseg></trk></gpx>`;
+
+describe('import parsing', () => {
+  it('detects the format', () => {
+    expect(detectFormat(gpx)).toBe('gpx');
+    expect(detectFormat('<?xml version="1.0"?><kml xmlns="x">')).toBe('kml');
+    expect(detectFormat({ type: 'LineString' })).toBe('geojson');
+    expect(detectFormat('  {"type":"Feature"}')).toBe('geojson');
+    expect(detectFormat('lat,lon')).toBeNull();
+  });
+
+  it('joins GPX track segments and keeps waypoints apart', () => {
+    const out = parseImport(gpx);
+    expect(out.name).toBe('Serra & Rio');
+    expect(out.line).toEqual([[-9.1, 38.7, 12.5], [-9.05, 38.72], [-9, 38.75]]);
+    expect(out.waypoints).toEqual([{ coord: [-9, 38.8], name: 'Café' }]);
+  });
+
+  it('plans through GPX route points when there is no track', () => {
+    const out = parseImport('<gpx><rte><rtept lat="1" lon="2"/><rtept lat="1.1" lon="2.1"/></rte></gpx>');
+    expect(out.line).toBeNull();
+    expect(out.points).toEqual([[2, 1], [2.1, 1.1]]);
+  });
+
+  it('reads KML line strings and placemarks', () => {
+    const kml = `<kml><Document><name>Trip</name>
+      <Placemark><name>Line</name><LineString><coordinates>2,1,5 2.1,1.1,6</coordinates></LineString></Placemark>
+      <Placemark><name><![CDATA[Camp]]></name><Point><coordinates>2.05,1.05</coordinates></Point></Placemark>
+    </Document></kml>`;
+    const out = parseImport(kml);
+    expect(out).toMatchObject({ format: 'kml', name: 'Trip', line: [[2, 1, 5], [2.1, 1.1, 6]] });
+    expect(out.waypoints).toEqual([{ coord: [2.05, 1.05], name: 'Camp' }]);
+  });
+
+  it('reads GeoJSON objects and strings', () => {
+    const fc = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Loop' }, geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0.1, 0]], [[0.2, 0], [0.3, 0, 40]]] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0.1, 0.1] } }
+      ]
+    };
+    expect(parseImport(fc).line).toEqual([[0, 0], [0.1, 0], [0.2, 0], [0.3, 0, 40]]);
+    expect(parseImport(JSON.stringify(fc)).name).toBe('Loop');
+    expect(() => parseImport('{ nope', 'geojson')).toThrow(ImportError);
+    expect(() => parseImport({ type: 'Point', coordinates: [0, 0] })).toThrow(/no track/);
+  });
+
+  it('rejects malformed bodies as ImportError', () => {
+    const line = { type: 'LineString', coordinates: [[0, 0], [0.1, 0]] };
+    expect(() => parseImport(line, 'gpx')).toThrow(ImportError);
+    expect(() => parseImport(line, 'kml')).toThrow(/must be the file's text/);
+    expect(() => parseImport('{"type":"LineString"}')).toThrow(ImportError);
+    expect(() => parseImport({ type: 'Feature', geometry: { type: 'LineString', coordinates: null } })).toThrow(ImportError);
+    expect(() => parseImport({ type: 'MultiLineString', coordinates: [null, 'x', {}] })).toThrow(ImportError);
+    expect(() => parseImport({ type: 'FeatureCollection', features: {} })).toThrow(ImportError);
+    const mixed = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: null } },
+        { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [null, [[0, 0], [0.1, 0]]] } }
+      ]
+    };
+    expect(parseImport(mixed).line).toEqual([[0, 0], [0.1, 0]]);
+  });
+
+  it('places anchors every spacing along the line', () => {
+    // ~1.11 km per step, 20 steps
+    const line = Array.from({ length: 21 }, (_, i) => [i * 0.01, 0]);
+    const anchors = importAnchors(line, { spacingKm: 5 });
+    expect(anchors).toEqual([[0.05, 0], [0.1, 0], [0.15, 0]]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { createJobs, progress, JobCancelled } from '../src/lib/jobs.js';
+
+let n = 0;
+const newJobs = () => createJobs({ newId: () => `job${++n}`, ttlMs: 1000 });
+const tick = () => new Promise((r) => setTimeout(r, 5));
+
+// resolves once the job has reached a terminal status
+const settled = async (jobs, id) => {
+  for (let i = 0; i < 200; i++) {
+    const job = jobs.get(id);
+    if (job.status !== 'running') return job;
+    await tick();
+  }
+  throw new Error('job still running');
+};
+
+describe('jobs', () => {
+  it('ignores progress outside a job', () => {
+    expect(() => progress('geocoding')).not.toThrow();
+  });
+
+  it('runs work in the background and keeps its stages and result', async () => {
+    const jobs = newJobs();
+    const job = jobs.start('plan', async () => {
+      progress('geocoding', { points: 2 });
+      await tick();
+      progress('connector', { leg: 1 });
+      return { routes: [] };
+    });
+    expect(job.status).toBe('running');
+    const done = await settled(jobs, job.id);
+    expect(done).toMatchObject({ status: 'done', stage: 'done', result: { routes: [] } });
+
+    const seen = [];
+    jobs.subscribe(job.id, (e) => seen.push(e.stage), { after: 1 });
+    expect(seen).toEqual(['connector', 'done']);
+  });
+
+  it('streams live events until the job ends', async () => {
+    const jobs = newJobs();
+    let release;
+    const job = jobs.start('plan', async () => {
+      progress('corridor');
+      await new Promise((r) => { release = r; });
+      progress('upload', { file: 'x.gpx' });
+    });
+    await tick();
+    const seen = [];
+    jobs.subscribe(job.id, (e) => seen.push(e));
+    release();
+    await settled(jobs, job.id);
+    expect(seen.map((e) => e.stage)).toEqual(['corridor', 'upload', 'done']);
+    expect(seen[1]).toMatchObject({ seq: 2, file: 'x.gpx' });
+  });
+
+  it('records failures', async () => {
+    const jobs = newJobs();
+    const job = jobs.start('plan', async () => { throw new Error('GH 500'); });
+    expect(await settled(jobs, job.id)).toMatchObject({ status: 'failed', error: 'GH 500' });
+  });
+
+  it('cancels at the next stage', async () => {
+    const jobs = newJobs();
+    let release, thrown = null;
+    const job = jobs.start('plan', async () => {
+      progress('geocoding');
+      await new Promise((r) => { release = r; });
+      try { progress('corridor'); } catch (err) { thrown = err; throw err; }
+    });
+    await tick();
+    expect(jobs.cancel(job.id).status).toBe('cancelled');
+    release();
+    await tick();
+    expect(thrown).toBeInstanceOf(JobCancelled);
+    expect(jobs.get(job.id)).toMatchObject({ status: 'cancelled', stage: 'cancelled' });
+    expect(jobs.cancel('nope')).toBeNull();
+  });
+});
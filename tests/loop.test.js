@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { distKm } from '../src/lib/bbox.js';
+import { loopRing, rankLoopBearings, orderAroundCenter, retraceShare } from '../src/lib/loop.js';
+import { validatePlan } from '../src/lib/normalize.js';
+
+const start = [-9.14, 38.72];
+
+describe('loopRing', () => {
+  it('places anchors on a circle passing through start', () => {
+    const { center, radiusKm, ring } = loopRing(start, 100, { anchors: 4 });
+    expect(ring).toHaveLength(4);
+    expect(distKm(center, start)).toBeCloseTo(radiusKm, 3);
+    for (const p of ring) expect(distKm(center, p)).toBeCloseTo(radiusKm, 3);
+    const ringKm = 2 * Math.PI * radiusKm;
+    expect(ringKm).toBeGreaterThan(60);
+    expect(ringKm).toBeLessThan(100);
+  });
+});
+
+describe('rankLoopBearings', () => {
+  it('prefers the bearing whose ring lands on tracks', () => {
+    const east = loopRing(start, 60, { bearing: 90 });
+    const tracks = east.ring.map((p, i) => ({ id: String(i), coords: [[p[0] + 0.002, p[1]]] }));
+    const [best] = rankLoopBearings(start, 60, tracks);
+    expect(best.bearing).toBe(90);
+    expect(best.snapped).toBe(4);
+  });
+});
+
+describe('orderAroundCenter', () => {
+  it('keeps ring order regardless of input order', () => {
+    const { center, ring } = loopRing(start, 60);
+    const shuffled = [ring[2], ring[0], ring[3], ring[1]];
+    expect(orderAroundCenter(center, start, shuffled)).toEqual(ring);
+  });
+});
+
+describe('retraceShare', () => {
+  it('is ~0 for a ring and ~half for an out-and-back', () => {
+    const { ring } = loopRing(start, 40, { anchors: 12 });
+    expect(retraceShare([start, ...ring, start])).toBeLessThan(0.05);
+    const far = [start[0] + 0.1, start[1]];
+    expect(retraceShare([start, far, start])).toBeGreaterThan(0.4);
+  });
+});
+
+describe('planSchema', () => {
+  it('keeps loop and off_pavement_target', () => {
+    const p = validatePlan({ start, end: start, loop: true, off_pavement_target: 0.5 });
+    expect(p.loop).toBe(true);
+    expect(p.off_pavement_target).toBe(0.5);
+    expect(() => validatePlan({ start, end: start, off_pavement_target: 2 })).toThrow();
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { classifyOsm, classifyOtm, poisAlongRoute, poiFromOsm } from '../src/lib/pois.js';
+import { toGPX, toGeoJSON } from '../src/lib/formats.js';
+
+const route = [[0, 0], [0.1, 0], [0.2, 0]];
+
+describe('classify', () => {
+  it('maps OSM tags and OpenTripMap kinds to categories', () => {
+    expect(classifyOsm({ highway: 'ford' })).toBe('ford');
+    expect(classifyOsm({ mountain_pass: 'yes', tourism: 'viewpoint' })).toBe('mountain_pass');
+    expect(classifyOsm({ amenity: 'bench' })).toBeNull();
+    expect(classifyOtm('interesting_places,view_points')).toBe('viewpoint');
+  });
+});
+
+describe('poisAlongRoute', () => {
+  it('keeps wanted POIs inside the buffer, merges duplicates and sorts by km', () => {
+    const pois = [
+      poiFromOsm({ type: 'node', id: 2, lat: 0.001, lon: 0.15, tags: { amenity: 'cafe' } }),
+      poiFromOsm({ type: 'node', id: 1, lat: 0.002, lon: 0.05, tags: { tourism: 'viewpoint' } }),
+      { category: 'viewpoint', name: 'Alto', coord: [0.0502, 0.002], source: 'opentripmap' },
+      poiFromOsm({ type: 'node', id: 3, lat: 0.05, lon: 0.1, tags: { amenity: 'drinking_water' } })
+    ];
+    const kept = poisAlongRoute(pois, route, { categories: ['viewpoint', 'cafe', 'drinking_water'], bufferKm: 0.5 });
+    expect(kept.map((p) => p.category)).toEqual(['viewpoint', 'cafe']);
+    expect(kept[0]).toMatchObject({ name: 'Alto', osm_id: 'node/1' });
+    expect(kept[0].off_route_m).toBeCloseTo(221, -1);
+    expect(kept[1].km_from_start).toBeCloseTo(16.7, 1);
+  });
+});
+
+describe('formats', () => {
+  const wpt = { category: 'ford', name: 'Ribeira <funda> & co', coord: [0.1, 0], km_from_start: 11.1 };
+
+  it('escapes names and emits waypoints before the track', () => {
+    const gpx = toGPX('Day "1"', route, { waypoints: [wpt], time: new Date(0) });
+    expect(gpx).toContain('<metadata><name>Day &quot;1&quot;</name><time>1970-01-01T00:00:00.000Z</time></metadata>');
+    expect(gpx).toContain('<wpt lat="0" lon="0.1"><name>Ribeira &lt;funda&gt; &amp; co</name>');
+    expect(gpx.indexOf('<wpt')).toBeLessThan(gpx.indexOf('<trk>'));
+  });
+
+  it('builds a FeatureCollection with POI points', () => {
+    const geo = toGeoJSON('ADV Route', route, { waypoints: [wpt] });
+    expect(geo.features.map((f) => f.geometry.type)).toEqual(['LineString', 'Point']);
+    expect(geo.features[1].properties.category).toBe('ford');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createRecords, routeBBox } from '../src/lib/records.js';
+import { routeListSchema } from '../src/lib/normalize.js';
+
+const record = (id, createdAt, bbox) => ({
+  id,
+  name: `Route ${id}`,
+  created_at: createdAt,
+  updated_at: createdAt,
+  parent_id: null,
+  input: { start: [10, 45], end: [10.5, 45.2] },
+  anchors: [[10, 45], [10.5, 45.2]],
+  stats: { distance_km: 45.1 },
+  evidence: [{ type: 'GH_mode', ref: 'CH' }],
+  files: {},
+  paths: [`routes/${id}.gpx`],
+  result: { id },
+  bbox
+});
+
+describe('routeBBox', () => {
+  it('returns [south, west, north, east]', () => {
+    expect(routeBBox([[10, 45, 100], [10.5, 44.8], [9.9, 45.2]])).toEqual([44.8, 9.9, 45.2, 10.5]);
+  });
+});
+
+describe('sqlite records', () => {
+  it('stores, filters, pages, renames and removes routes', async () => {
+    const db = await createRecords('sqlite', { file: ':memory:' });
+    await db.insert(record('a', '2026-01-01T10:00:00.000Z', [45, 10, 45.2, 10.5]));
+    await db.insert(record('b', '2026-02-01T10:00:00.000Z', [47, 11, 47.3, 11.4]));
+    await db.insert(record('c', '2026-03-01T10:00:00.000Z', [45.1, 10.2, 45.5, 10.8]));
+
+    const a = await db.get('a');
+    expect(a.input).toEqual({ start: [10, 45], end: [10.5, 45.2] });
+    expect(a.bbox).toEqual([45, 10, 45.2, 10.5]);
+    expect(await db.get('zzz')).toBeNull();
+
+    const page = await db.list(routeListSchema.parse({ limit: '2' }));
+    expect(page.total).toBe(3);
+    expect(page.items.map((r) => r.id)).toEqual(['c', 'b']);
+    expect((await db.list(routeListSchema.parse({ limit: '2', offset: '2' }))).items.map((r) => r.id)).toEqual(['a']);
+
+    const near = await db.list(routeListSchema.parse({ bbox: '45.15,10.4,45.3,10.6' }));
+    expect(near.items.map((r) => r.id).sort()).toEqual(['a', 'c']);
+    const feb = await db.list(routeListSchema.parse({ from: '2026-01-15T00:00:00Z', to: '2026-02-15T00:00:00Z' }));
+    expect(feb.items.map((r) => r.id)).toEqual(['b']);
+
+    expect((await db.update('b', { name: 'Alps' })).name).toBe('Alps');
+    expect(await db.update('zzz', { name: 'x' })).toBeNull();
+    expect(await db.remove('b')).toBe(true);
+    expect(await db.remove('b')).toBe(false);
+  });
+
+  it('rejects a malformed bbox filter', () => {
+    expect(() => routeListSchema.parse({ bbox: '1,2,3' })).toThrow(/south,west,north,east/);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RefineError, loadLegs, splitAtWaypoints, legsKm, addVia, moveVia, removeVia,
+  blockSegment, swapTrack, fitDistance, sliceByKm
+} from '../src/lib/refine.js';
+import { refineSchema } from '../src/lib/normalize.js';
+import { polylineLenKm, pointInPolygon } from '../src/lib/geometry.js';
+import { withBlockedAreas } from '../src/lib/customModel.js';
+
+// straight line east along the equator, ~1.11 km per 0.01°
+const line = (lon0, lon1, n = 11) => Array.from({ length: n }, (_, i) => [lon0 + (lon1 - lon0) * i / (n - 1), 0]);
+
+// connector 0→0.1, track 0.1→0.2 (id 7), connector 0.2→0.3, connector 0.3→0.4
+const stored = [
+  { type: 'connector', coords: line(0, 0.1), details: {} },
+  { type: 'track', id: '7', coords: line(0.1, 0.2), details: { surface: [[0, 10, 'gravel']] } },
+  { type: 'connector', coords: line(0.2, 0.3), details: {} },
+  { type: 'connector', coords: line(0.3, 0.4), details: {} }
+];
+
+describe('legs', () => {
+  it('splits a routed path at its waypoints', () => {
+    const coords = line(0, 0.4, 41);
+    const legs = splitAtWaypoints(coords, { surface: [[0, 40, 'asphalt']] }, [[0, 0], [0.1, 0], [0.3, 0.001], [0.4, 0]]);
+    expect(legs.map((l) => l.coords.length)).toEqual([11, 21, 11]);
+    expect(legs[1].details.surface).toEqual([[0, 20, 'asphalt']]);
+  });
+
+  it('adds, moves and removes vias on connectors only', () => {
+    const legs = loadLegs(stored);
+    const added = addVia(legs, [0.35, 0.01]);
+    expect(added).toHaveLength(5);
+    expect(added[3]).toMatchObject({ coords: null, from: [0.3, 0], to: [0.35, 0.01] });
+
+    const moved = moveVia(legs, [0.301, 0], [0.3, 0.02], 0.5);
+    expect(moved[2]).toMatchObject({ coords: null, to: [0.3, 0.02] });
+    expect(moved[3]).toMatchObject({ coords: null, from: [0.3, 0.02] });
+
+    const removed = removeVia(legs, [0.3, 0], 0.5);
+    expect(removed).toHaveLength(3);
+    expect(removed[2]).toMatchObject({ coords: null, from: [0.2, 0], to: [0.4, 0] });
+
+    expect(() => removeVia(legs, [0.1, 0], 0.5)).toThrow(RefineError);
+    expect(() => removeVia(legs, [0.3, 0.1], 0.5)).toThrow(/no via within 500 m/);
+  });
+
+  it('blocks a stretch with areas that clear the leg ends', () => {
+    const { legs, areas } = blockSegment(loadLegs(stored), 12, 14);
+    expect(legs[1]).toMatchObject({ type: 'connector', coords: null, from: [0.1, 0], to: [0.2, 0] });
+    expect(legs[0].coords).not.toBeNull();
+    expect(areas.length).toBeGreaterThan(0);
+    expect(areas.some((a) => pointInPolygon([0.117, 0], a))).toBe(true);
+    expect(areas.some((a) => pointInPolygon([0.1, 0], a))).toBe(false);
+    expect(() => blockSegment(loadLegs(stored), 90, 95)).toThrow(RefineError);
+
+    const model = withBlockedAreas({ priority: [{ if: 'road_class == MOTORWAY', multiply_by: '0.1' }] }, areas);
+    expect(model.priority[0]).toEqual({ if: areas.map((_, i) => `in_block${i}`).join(' || '), multiply_by: '0' });
+    expect(model.areas.features).toHaveLength(areas.length);
+  });
+
+  it('slices a polyline by km', () => {
+    const part = sliceByKm(line(0, 0.1), 2, 5);
+    expect(polylineLenKm(part)).toBeCloseTo(3, 1);
+  });
+
+  it('swaps a track, flipping it to the route direction', () => {
+    const track = { id: '9', coords: line(0.21, 0.11), details: { surface: [[0, 4, 'dirt'], [4, 10, 'gravel']] } };
+    const legs = swapTrack(loadLegs(stored), '7', track);
+    expect(legs).toHaveLength(4);
+    expect(legs[0]).toMatchObject({ coords: null, from: [0, 0], to: [0.11, 0] });
+    expect(legs[1]).toMatchObject({ type: 'track', id: '9', from: [0.11, 0], to: [0.21, 0] });
+    expect(legs[1].details.surface).toEqual([[0, 6, 'gravel'], [6, 10, 'dirt']]);
+    expect(legs[2]).toMatchObject({ coords: null, from: [0.21, 0], to: [0.3, 0] });
+    expect(() => swapTrack(legs, '7', track)).toThrow(/not part of this route/);
+  });
+
+  it('steps toward a distance target', () => {
+    const legs = loadLegs(stored);
+    const km = legsKm(legs);
+    expect(fitDistance(legs, km + 1, { toleranceKm: 2 })).toBeNull();
+
+    const longer = fitDistance(legs, km + 20, { toleranceKm: 2 });
+    expect(longer).toHaveLength(5);
+    expect(Math.abs(legsKm(longer) - (km + 20))).toBeLessThan(4);
+
+    // a straight route has nothing worth dropping; a dogleg via does
+    expect(fitDistance(legs, km - 5, { toleranceKm: 0.5 })).toBeNull();
+    const dogleg = loadLegs([
+      ...stored.slice(0, 2),
+      { type: 'connector', coords: [[0.2, 0], [0.3, 0.1]], details: {} },
+      { type: 'connector', coords: [[0.3, 0.1], [0.4, 0]], details: {} }
+    ]);
+    const shorter = fitDistance(dogleg, legsKm(dogleg) - 2, { toleranceKm: 0.5, roadFactor: 1.3 });
+    expect(shorter).toHaveLength(3);
+    expect(shorter[2]).toMatchObject({ coords: null, from: [0.2, 0], to: [0.4, 0] });
+  });
+});
+
+describe('refineSchema', () => {
+  const swap = (with_track_id) => ({ route_id: 'r1', edits: [{ op: 'swap_track', track_id: '100', with_track_id }] });
+
+  it('takes an OSM way id for swap_track', () => {
+    expect(refineSchema.parse(swap('4242')).edits[0].with_track_id).toBe(4242);
+    expect(refineSchema.parse(swap(undefined)).edits[0].with_track_id).toBeUndefined();
+  });
+
+  it('rejects ids that are not positive integers', () => {
+    for (const bad of ['abc', '-3', '1.5', 0]) expect(() => refineSchema.parse(swap(bad))).toThrow();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { legGaps, findSpikes, findSpurs, findUTurns, findRepeats, dropVertices, sanitizeLegs } from '../src/lib/sanity.js';
+import { joinParts } from '../src/lib/details.js';
+import { polylineLenKm } from '../src/lib/geometry.js';
+
+// points every 0.001° (~111 m) along the equator / a meridian
+const east = (lon0, n, lat = 0) => Array.from({ length: n + 1 }, (_, i) => [lon0 + i * 0.001, lat]);
+const north = (lon, lat0, n) => Array.from({ length: n + 1 }, (_, i) => [lon, lat0 + i * 0.001]);
+const leg = (coords, type = 'connector') => ({ type, coords, details: { surface: [[0, coords.length - 1, 'asphalt']] } });
+
+// 2 km east, a 1 km dead end north and back, 2 km more east
+const spurRoute = [
+  ...east(0, 20),
+  ...north(0.02, 0.001, 9),
+  ...north(0.02, 0, 9).reverse().slice(1),
+  ...east(0.021, 19)
+];
+
+describe('route sanity', () => {
+  it('finds gaps between legs', () => {
+    const gaps = legGaps([leg(east(0, 5)), leg(east(0.007, 5)), leg(east(0.012, 5))], { gapM: 150 });
+    expect(gaps).toHaveLength(1);
+    expect(gaps[0].leg).toBe(1);
+    expect(gaps[0].km).toBeCloseTo(0.222, 2);
+  });
+
+  it('finds single-vertex spikes', () => {
+    const coords = [...east(0, 5), [0.0055, 0.01], ...east(0.006, 5)];
+    expect(findSpikes(coords)).toEqual([6]);
+  });
+
+  it('finds out-and-back spurs but keeps ones the rider asked for', () => {
+    const [spur] = findSpurs(spurRoute);
+    expect(spurRoute[spur.i]).toEqual([0.02, 0]);
+    expect(spurRoute[spur.tip][1]).toBeCloseTo(0.01);
+    expect(spur.km).toBeCloseTo(2, 0);
+    expect(findSpurs(spurRoute, { keep: [[0.02, 0.01]] })).toEqual([]);
+    expect(findSpurs(spurRoute, { spurMaxKm: 0.5 })).toEqual([]);
+  });
+
+  it('flags U-turns and stretches ridden twice', () => {
+    expect(findUTurns(spurRoute).map((u) => u.atKm)).toEqual([3.3]);
+    expect(findUTurns(east(0, 40))).toEqual([]);
+    const [rep] = findRepeats(spurRoute);
+    expect(rep.fromKm).toBeGreaterThan(2.9);
+    expect(rep.toKm).toBeGreaterThan(3.6);
+  });
+
+  it('drops vertices and keeps leg boundaries aligned', () => {
+    const legs = [leg(east(0, 10)), leg(east(0.01, 10), 'track'), leg(east(0.02, 10))];
+    const cut = dropVertices(legs, new Set([9, 10, 11, 12]));
+    expect(cut.map((l) => l.type)).toEqual(['connector', 'track', 'connector']);
+    expect(cut[1].coords[0]).toEqual(cut[0].coords[cut[0].coords.length - 1]);
+    expect(joinParts(cut).coords).toHaveLength(27);
+    expect(cut[1].details.surface).toEqual([[0, cut[1].coords.length - 1, 'asphalt']]);
+  });
+
+  it('cuts the spur out of the legs', () => {
+    const legs = [leg(spurRoute.slice(0, 30)), leg(spurRoute.slice(29))];
+    const out = sanitizeLegs(legs);
+    expect(out.spurs).toHaveLength(1);
+    expect(polylineLenKm(out.coords)).toBeCloseTo(polylineLenKm(spurRoute) - 2, 0);
+    expect(out.uturns).toEqual([]);
+    expect(out.repeats).toEqual([]);
+    expect(out.legs.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { douglasPeucker, douglasPeuckerMax, visvalingam, densify, processGeometry } from '../src/lib/simplify.js';
+import { polylineLenKm } from '../src/lib/geometry.js';
+
+// 1 km east with ~1 m noise, then a sharp 1 km turn north
+const zigzag = [
+  ...Array.from({ length: 101 }, (_, i) => [i * 0.00009, (i % 2) * 0.00001, 100]),
+  ...Array.from({ length: 100 }, (_, i) => [0.009, (i + 1) * 0.00009, 100 + i])
+];
+
+describe('simplification', () => {
+  it('Douglas–Peucker drops noise under the tolerance but keeps the corner', () => {
+    const kept = douglasPeucker(zigzag, 5);
+    expect(kept).toEqual([0, 100, 200]);
+    expect(douglasPeucker(zigzag, 0.1).length).toBeGreaterThan(100);
+  });
+
+  it('meets a point cap with both algorithms', () => {
+    expect(douglasPeuckerMax(zigzag, { maxPoints: 3 })).toEqual([0, 100, 200]);
+    const vw = visvalingam(zigzag, { maxPoints: 3 });
+    expect(vw).toEqual([0, 100, 200]);
+    const byArea = visvalingam(zigzag, { toleranceM: 5 });
+    expect(byArea.length).toBeLessThan(zigzag.length / 5);
+    expect(byArea).toContain(100);
+  });
+});
+
+describe('densify', () => {
+  it('caps segment length and interpolates heights', () => {
+    const { coords, index } = densify([[0, 0, 0], [0.009, 0, 90]], 100);
+    expect(coords).toHaveLength(12);
+    expect(coords[6][2]).toBeCloseTo(49.1, 1);
+    expect(index[11]).toBe(1);
+  });
+});
+
+describe('processGeometry', () => {
+  it('simplifies, densifies and carries details over', () => {
+    const details = { surface: [[0, 100, 'asphalt'], [100, 200, 'gravel']] };
+    const out = processGeometry(zigzag, details, { simplify: 'dp', toleranceM: 5, densifyM: 300 });
+    expect(out.coords).toHaveLength(9);
+    expect(out.details.surface).toEqual([[0, 4, 'asphalt'], [4, 8, 'gravel']]);
+    expect(polylineLenKm(out.coords)).toBeLessThan(polylineLenKm(zigzag));
+  });
+});
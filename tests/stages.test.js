@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { cumulative, nominalStageEnds, pickStageEnd } from '../src/lib/stages.js';
+
+const line = (from, to, n = 10) =>
+  Array.from({ length: n + 1 }, (_, i) => [from[0] + (to[0] - from[0]) * i / n, from[1] + (to[1] - from[1]) * i / n]);
+
+describe('nominalStageEnds', () => {
+  it('splits riding time evenly', () => {
+    const coords = line([0, 0], [3, 0], 30);
+    const { h } = cumulative(coords, {});
+    expect(nominalStageEnds(h, 3)).toEqual([10, 20]);
+    expect(nominalStageEnds(h, 1)).toEqual([]);
+  });
+
+  it('weights unpaved stretches by their slower speed', () => {
+    const coords = line([0, 0], [2, 0], 20);
+    const { h } = cumulative(coords, { surface: [[0, 10, 'gravel'], [10, 20, 'asphalt']] });
+    const [end] = nominalStageEnds(h, 2);
+    expect(end).toBeLessThan(10); // gravel half takes longer than the asphalt half
+  });
+});
+
+describe('pickStageEnd', () => {
+  const coords = line([0, 0], [1, 0], 20);
+  const { km } = cumulative(coords, {});
+
+  it('moves the cut to the vertex nearest a lodging within the window', () => {
+    const camp = { id: 'node/1', coord: [0.6, 0.01] };
+    const end = pickStageEnd(coords, km, 10, [camp], { windowKm: 15 });
+    expect(end.idx).toBe(12);
+    expect(end.lodging).toBe(camp);
+    expect(end.offRouteKm).toBeCloseTo(1.11, 1);
+  });
+
+  it('keeps the nominal end when lodging is out of reach', () => {
+    const end = pickStageEnd(coords, km, 10, [{ coord: [0.95, 0] }], { windowKm: 5 });
+    expect(end).toEqual({ idx: 10, lodging: null, offRouteKm: null });
+  });
+});
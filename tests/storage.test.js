@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../src/lib/storage.js';
+
+describe('local storage', () => {
+  it('writes, links, reads and removes files under its directory', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'adv-storage-'));
+    const storage = await createStorage('local', { dir, linkFor: (p) => `http://x/download/route/${p.split('/').pop()}` });
+    expect(await storage.put('routes/abc.gpx', Buffer.from('<gpx/>'), 'application/gpx+xml')).toBe('http://x/download/route/abc.gpx');
+    expect(await storage.url('routes/abc.gpx')).toBe('http://x/download/route/abc.gpx');
+    const file = await storage.read('routes/abc.gpx');
+    expect(file.contentType).toBe('application/gpx+xml');
+    expect(String(file.data)).toBe('<gpx/>');
+    await storage.remove(['routes/abc.gpx']);
+    expect(await storage.url('routes/abc.gpx')).toBeNull();
+    expect(await storage.read('routes/abc.gpx')).toBeNull();
+  });
+
+  it('refuses paths outside the directory and unknown drivers', async () => {
+    const storage = await createStorage('LOCAL', { dir: tmpdir(), linkFor: (p) => p });
+    await expect(storage.put('../escape.gpx', Buffer.from(''))).rejects.toThrow(/outside/);
+    await expect(createStorage('FTP', {})).rejects.toThrow(/unknown STORAGE/);
+  });
+});
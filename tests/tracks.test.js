@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { scoreTracks, selectTracks, trackQuality, clipTrack, markEndBarriers } from '../src/lib/tracks.js';
+
+// axis due east along the equator, ~111 km; 0.01° ≈ 1.11 km
+const axis = [[0, 0], [1, 0]];
+const track = (id, lon0, lon1, lat = 0.01, tags = { tracktype: 'grade2', surface: 'gravel' }) => ({
+  id,
+  tags,
+  coords: Array.from({ length: 6 }, (_, i) => [lon0 + (lon1 - lon0) * i / 5, lat])
+});
+
+describe('track scoring', () => {
+  it('rates firm, graded surfaces above soft ones', () => {
+    expect(trackQuality({ tracktype: 'grade1', surface: 'compacted' })).toBe(1);
+    expect(trackQuality({ tracktype: 'grade3', surface: 'mud' })).toBeLessThan(trackQuality({ tracktype: 'grade2', surface: 'gravel' }));
+  });
+
+  it('prefers tracks close to the axis, flips backward ones and drops far ones', () => {
+    const scored = scoreTracks([
+      track('near', 0.2, 0.25),
+      track('off', 0.4, 0.45, 0.06),
+      track('far', 0.6, 0.65, 0.2),
+      track('flipped', 0.75, 0.7)
+    ], axis, { axisKm: 5 });
+    expect(scored.map((s) => s.track.id)).toEqual(['near', 'flipped', 'off']);
+    const flipped = scored.find((s) => s.track.id === 'flipped');
+    expect(flipped.track.coords[0][0]).toBeCloseTo(0.7);
+    expect(flipped.fromKm).toBeLessThan(flipped.toKm);
+  });
+
+  it('rewards progress along the axis and connected tracks', () => {
+    const across = { id: 'across', tags: {}, coords: [[0.5, -0.02], [0.5005, 0], [0.501, 0.02]] };
+    const [along] = scoreTracks([track('along', 0.5, 0.55, 0.01, {}), across], axis, { axisKm: 5 });
+    expect(along.track.id).toBe('along');
+
+    const chain = scoreTracks([track('a', 0.2, 0.25), track('b', 0.25, 0.3), track('c', 0.6, 0.65)], axis, { axisKm: 5 });
+    expect(chain.find((s) => s.track.id === 'a').parts.connectivity).toBeGreaterThan(0);
+    expect(chain.find((s) => s.track.id === 'c').parts.connectivity).toBe(0);
+  });
+
+  it('marks tracks ending at a barrier and ranks them behind alternatives', () => {
+    const [gated, open] = markEndBarriers([track('gated', 0.2, 0.25), track('open', 0.3, 0.35, 0.012)], [
+      { coord: [0.25, 0.01], kind: 'gate' },
+      { coord: [0.325, 0.012], kind: 'bollard' } // mid-track, not an end
+    ]);
+    expect(gated.end_barrier).toBe('gate');
+    expect(open.end_barrier).toBeNull();
+    expect(scoreTracks([gated, open], axis, { axisKm: 5 }).map((s) => s.track.id)).toEqual(['open', 'gated']);
+    expect(scoreTracks([gated, open], axis, { axisKm: 5, barrierFactor: 1 })[0].track.id).toBe('gated');
+  });
+
+  it('selects an ordered, non-overlapping set that leaves vias alone', () => {
+    const scored = scoreTracks([
+      track('t1', 0.6, 0.7),
+      track('t2', 0.65, 0.75, 0.02),
+      track('t3', 0.1, 0.2),
+      track('t4', 0.3, 0.4)
+    ], axis, { axisKm: 8 });
+    const ids = (picks) => picks.map((p) => p.track.id);
+    expect(ids(selectTracks(scored, { max: 3 }))).toEqual(['t3', 't4', 't1']);
+    expect(ids(selectTracks(scored, { max: 2, keepClear: [39] }))).toEqual(['t3', 't1']);
+    expect(ids(selectTracks(scored, { max: 3, skip: 1 })).length).toBe(3);
+  });
+});
+
+describe('track clipping', () => {
+  const coords = track('t', 0.1, 0.2).coords; // 6 vertices, 0.02° apart
+
+  it('keeps the section between the vertices nearest the arrival and the next stop', () => {
+    const clip = clipTrack(coords, [0.121, 0.03], [0.179, -0.02]);
+    expect(clip.reversed).toBe(false);
+    expect(clip.coords).toHaveLength(4);
+    expect(clip.entry[0]).toBeCloseTo(0.12);
+    expect(clip.exit[0]).toBeCloseTo(0.18);
+  });
+
+  it('rides a track backwards when the route comes from its far end', () => {
+    const clip = clipTrack(coords, [0.21, 0], [0.09, 0]);
+    expect(clip.reversed).toBe(true);
+    expect(clip.entry[0]).toBeCloseTo(0.2);
+    expect(clip.exit[0]).toBeCloseTo(0.1);
+  });
+
+  it('drops sections that are too short to bother with', () => {
+    expect(clipTrack(coords, [0.14, 0], [0.141, 0])).toBeNull();
+    expect(clipTrack(coords, [0.14, 0], [0.16, 0], { minKm: 5 })).toBeNull();
+  });
+});